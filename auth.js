@@ -0,0 +1,319 @@
+/**
+ * API Authentication
+ * Client tokens with scopes, the admin routes that manage them, and the signed
+ * header internal calls carry. Only relies on the web platform (crypto.subtle),
+ * so the Express server, the main load balancer and the internal workers share it.
+ *
+ * Tokens look like plk_<id>_<secret>. Only a SHA-256 hash is stored; the token
+ * itself is shown once, when it is created. ADMIN_TOKEN (a secret) is accepted
+ * as an extra admin token so the first client tokens can be issued.
+ *
+ * Token store interface (all async):
+ *   get(id)        -> record or null
+ *   put(record)    -> void
+ *   list()         -> records
+ *
+ * Memory and KV stores are provided here, a JSON file store in fileTokenStore.js.
+ */
+
+import { jsonResponse } from './core.js';
+
+export const TOKEN_SCOPES = ['generate', 'compare', 'admin'];
+
+export const INTERNAL_SIGNATURE_HEADER = 'X-Internal-Signature';
+export const CLIENT_ID_HEADER = 'X-Client-Id';
+
+const TOKEN_PATTERN = /^plk_([a-f0-9]{16})_([A-Za-z0-9_-]{32,})$/;
+
+// How old a signed internal request may be (clock skew plus retries)
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Scope each route needs; anything not listed is public
+const ROUTE_SCOPES = [
+  { method: 'POST', path: '/api/generate-image', scope: 'generate' },
+  { method: 'POST', path: '/api/generate-image-stream', scope: 'generate' },
+  { method: 'POST', path: '/api/compare-images', scope: 'compare' },
+  { path: /^\/admin(\/|$)/, scope: 'admin' }
+];
+
+const encoder = new TextEncoder();
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+// Hex SHA-256 of a string or of raw bytes (an ArrayBuffer or typed array)
+const sha256 = async (data) => toHex(await crypto.subtle.digest('SHA-256', typeof data === 'string' ? encoder.encode(data) : data));
+
+const hmacSha256 = async (secret, text) => {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(text)));
+};
+
+/**
+ * Compare two hex strings without leaking where they differ
+ */
+const timingSafeEqual = (a, b) => {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+/**
+ * Scope a route needs
+ * @returns {string|null} Scope name, or null for public routes
+ */
+export const getRequiredScope = (method, path) => {
+  const route = ROUTE_SCOPES.find(candidate =>
+    (!candidate.method || candidate.method === method) &&
+    (candidate.path instanceof RegExp ? candidate.path.test(path) : candidate.path === path)
+  );
+  return route ? route.scope : null;
+};
+
+/**
+ * Whether a client may use a scope (admin may use every scope)
+ */
+export const hasScope = (client, scope) => client.scopes.includes(scope) || client.scopes.includes('admin');
+
+/**
+ * Issue a new client token
+ * @param {Object} options - { name, scopes }
+ * @returns {Promise<Object>} { token, record } - only the record (with the hash) is stored
+ */
+export const createToken = async ({ name, scopes }, now = Date.now()) => {
+  const id = toHex(randomBytes(8));
+  const token = `plk_${id}_${toBase64Url(randomBytes(32))}`;
+
+  return {
+    token,
+    record: {
+      id,
+      name,
+      scopes,
+      hash: await sha256(token),
+      createdAt: new Date(now).toISOString(),
+      revokedAt: null
+    }
+  };
+};
+
+/**
+ * Token record without its hash, for admin responses
+ */
+export const describeToken = ({ hash, ...record }) => record;
+
+const unauthorized = (error) => jsonResponse({ success: false, error }, 401, {
+  'WWW-Authenticate': 'Bearer'
+});
+
+/**
+ * Create an authenticator
+ * @param {Object} options
+ * @param {Object} options.store - Token store
+ * @param {string} options.adminToken - Bootstrap admin token (optional)
+ * @param {boolean} options.enabled - false lets every request through (default true)
+ * @returns {Object} { enabled, authenticate(request) }
+ */
+export const createAuthenticator = ({ store, adminToken, enabled = true }) => {
+  const adminTokenHash = adminToken ? sha256(adminToken) : null;
+
+  return {
+    enabled,
+
+    /**
+     * Check the bearer token against the route's scope
+     * @returns {Promise<Object>} { client } (null on public routes) or { error: Response }
+     */
+    async authenticate(request) {
+      const { pathname } = new URL(request.url);
+      const scope = getRequiredScope(request.method, pathname);
+      if (!enabled || !scope) return { client: null };
+
+      const match = (request.headers.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+      if (!match) {
+        return { error: unauthorized('Missing bearer token') };
+      }
+
+      const token = match[1];
+      const hash = await sha256(token);
+      let client = null;
+
+      if (adminTokenHash && timingSafeEqual(hash, await adminTokenHash)) {
+        client = { id: 'admin', name: 'ADMIN_TOKEN', scopes: ['admin'] };
+      } else {
+        const [, id] = token.match(TOKEN_PATTERN) || [];
+        const record = id ? await store.get(id) : null;
+        if (!record || !timingSafeEqual(hash, record.hash)) {
+          return { error: unauthorized('Invalid token') };
+        }
+        if (record.revokedAt) {
+          return { error: unauthorized('Token has been revoked') };
+        }
+        client = { id: record.id, name: record.name, scopes: record.scopes };
+      }
+
+      if (!hasScope(client, scope)) {
+        return {
+          error: jsonResponse({ success: false, error: `Token does not have the "${scope}" scope` }, 403)
+        };
+      }
+      return { client };
+    }
+  };
+};
+
+/**
+ * Wrap a fetch handler so it only runs for authenticated requests
+ * @param {Object} authenticator - See createAuthenticator
+ * @param {Function} handler - async (request, client, ...rest) => Response
+ * @returns {Function} async (request, ...rest) => Response (rest is passed through, e.g. { ip })
+ */
+export const withAuth = (authenticator, handler) => async (request, ...rest) => {
+  const { client, error } = await authenticator.authenticate(request);
+  return error || handler(request, client, ...rest);
+};
+
+const validateTokenRequest = (body) => {
+  if (typeof body?.name !== 'string' || body.name.trim().length === 0) {
+    return 'Name is required';
+  }
+  if (!Array.isArray(body.scopes) || body.scopes.length === 0) {
+    return `Scopes must be a non-empty array (available: ${TOKEN_SCOPES.join(', ')})`;
+  }
+  const unknown = body.scopes.filter(scope => !TOKEN_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scopes: ${unknown.join(', ')} (available: ${TOKEN_SCOPES.join(', ')})`;
+  }
+  return null;
+};
+
+/**
+ * Create the /admin/tokens handler (authenticate with the admin scope first)
+ *   GET    /admin/tokens       - list tokens (never the tokens or hashes)
+ *   POST   /admin/tokens       - { name, scopes } -> new token, shown only once
+ *   DELETE /admin/tokens/:id   - revoke a token
+ * @param {Object} store - Token store
+ * @returns {Function} async (request) => Response|null (null for other routes)
+ */
+export const createTokenAdminHandler = (store) => async (request) => {
+  const { pathname } = new URL(request.url);
+  const method = request.method;
+
+  if (pathname === '/admin/tokens' && method === 'GET') {
+    const records = await store.list();
+    return jsonResponse({ success: true, tokens: records.map(describeToken) });
+  }
+
+  if (pathname === '/admin/tokens' && method === 'POST') {
+    const body = await request.json().catch(() => null);
+    const validationError = validateTokenRequest(body);
+    if (validationError) {
+      return jsonResponse({ success: false, error: validationError }, 400);
+    }
+
+    const { token, record } = await createToken({ name: body.name.trim(), scopes: [...new Set(body.scopes)] });
+    await store.put(record);
+    console.log(`🔐 Issued token ${record.id} (${record.name}) with scopes: ${record.scopes.join(', ')}`);
+
+    return jsonResponse({
+      success: true,
+      token,
+      ...describeToken(record),
+      message: 'Store this token now, it cannot be shown again'
+    }, 201);
+  }
+
+  const revokeMatch = pathname.match(/^\/admin\/tokens\/([a-f0-9]{16})$/);
+  if (revokeMatch && method === 'DELETE') {
+    const record = await store.get(revokeMatch[1]);
+    if (!record) {
+      return jsonResponse({ success: false, error: 'Token not found' }, 404);
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await store.put(record);
+      console.log(`🔐 Revoked token ${record.id} (${record.name})`);
+    }
+    return jsonResponse({ success: true, ...describeToken(record) });
+  }
+
+  return null;
+};
+
+/**
+ * Sign a request for an internal worker
+ * The signature covers the method, path, client id, a digest of the body and
+ * the time, so it cannot be replayed on another route, with another body or
+ * for long.
+ * @param {string} secret - INTERNAL_SIGNING_SECRET shared with the workers
+ * @param {Object} request - { method, path, clientId, body } (body is the exact string or bytes sent, empty by default)
+ * @returns {Promise<Object>} Headers to add to the internal request
+ */
+export const signInternalRequest = async (secret, { method, path, clientId = '', body = '' }, now = Date.now()) => {
+  const signature = await hmacSha256(secret, `${now}.${method}.${path}.${clientId}.${await sha256(body)}`);
+  return {
+    [INTERNAL_SIGNATURE_HEADER]: `t=${now},v1=${signature}`,
+    [CLIENT_ID_HEADER]: clientId
+  };
+};
+
+/**
+ * Check the signature of an internal request (see signInternalRequest)
+ * @returns {Promise<boolean>}
+ */
+export const verifyInternalRequest = async (request, secret, now = Date.now()) => {
+  const header = request.headers.get(INTERNAL_SIGNATURE_HEADER) || '';
+  const [, timestamp, signature] = header.match(/^t=(\d+),v1=([a-f0-9]{64})$/) || [];
+  if (!timestamp || Math.abs(now - Number(timestamp)) > SIGNATURE_MAX_AGE_MS) return false;
+
+  const { pathname } = new URL(request.url);
+  const clientId = request.headers.get(CLIENT_ID_HEADER) || '';
+  // Read a copy, so the handler still gets the body
+  const bodyDigest = await sha256(await request.clone().arrayBuffer());
+  const expected = await hmacSha256(secret, `${timestamp}.${request.method}.${pathname}.${clientId}.${bodyDigest}`);
+  return timingSafeEqual(signature, expected);
+};
+
+/**
+ * In-memory token store (per process / isolate) - for tests and local development
+ */
+export const createMemoryTokenStore = () => {
+  const records = new Map();
+
+  return {
+    name: 'memory',
+    get: async (id) => records.get(id) || null,
+    put: async (record) => {
+      records.set(record.id, { ...record });
+    },
+    list: async () => Array.from(records.values())
+  };
+};
+
+/**
+ * Cloudflare KV token store
+ * @param {Object} namespace - KV namespace binding
+ * @param {Object} options - { prefix }
+ */
+export const createKVTokenStore = (namespace, { prefix = 'token:' } = {}) => ({
+  name: 'kv',
+  get: async (id) => namespace.get(`${prefix}${id}`, 'json'),
+  put: async (record) => {
+    await namespace.put(`${prefix}${record.id}`, JSON.stringify(record));
+  },
+  list: async () => {
+    const { keys } = await namespace.list({ prefix });
+    const records = await Promise.all(keys.map(({ name }) => namespace.get(name, 'json')));
+    return records.filter(Boolean);
+  }
+});
@@ -0,0 +1,212 @@
+/**
+ * Image Blob Store
+ * Keeps a local copy of generated images so lessons never depend on provider
+ * URLs that expire. Images are content-addressed (SHA-256 of the bytes), which
+ * makes their URLs stable and lets them be cached forever by browsers.
+ *
+ * Store interface (a subset of the Cloudflare R2 bucket API, all async):
+ *   put(id, bytes, { contentType })  -> void
+ *   get(id)                          -> { body, contentType, size } or null
+ *   delete(id)                       -> void
+ *
+ * Node's filesystem store lives in fileBlobStore.js.
+ *
+ * Downloads over MAX_STORED_IMAGE_BYTES are refused. SVG images can carry
+ * scripts, so they are served sandboxed and as attachments.
+ */
+
+const IMAGE_ID_PATTERN = /^[a-f0-9]{64}$/;
+
+// Largest image kept in the store (provider images are well below this)
+export const MAX_STORED_IMAGE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Check whether a string is a valid image id
+ */
+export const isImageId = (id) => typeof id === 'string' && IMAGE_ID_PATTERN.test(id);
+
+/**
+ * In-memory store (per process / per isolate) - mainly for local development
+ */
+export const createMemoryBlobStore = () => {
+  const blobs = new Map();
+
+  return {
+    name: 'memory',
+    put: async (id, bytes, { contentType }) => {
+      blobs.set(id, { bytes, contentType });
+    },
+    get: async (id) => {
+      const blob = blobs.get(id);
+      return blob ? { body: blob.bytes, contentType: blob.contentType, size: blob.bytes.byteLength } : null;
+    },
+    delete: async (id) => {
+      blobs.delete(id);
+    }
+  };
+};
+
+/**
+ * Cloudflare R2 store
+ * @param {Object} bucket - R2 bucket binding
+ * @param {Object} options - { prefix }
+ */
+export const createR2BlobStore = (bucket, { prefix = 'images/' } = {}) => ({
+  name: 'r2',
+  put: async (id, bytes, { contentType }) => {
+    await bucket.put(`${prefix}${id}`, bytes, {
+      httpMetadata: { contentType }
+    });
+  },
+  get: async (id) => {
+    const object = await bucket.get(`${prefix}${id}`);
+    if (!object) return null;
+    return {
+      body: object.body,
+      contentType: object.httpMetadata?.contentType || 'application/octet-stream',
+      size: object.size
+    };
+  },
+  delete: async (id) => {
+    await bucket.delete(`${prefix}${id}`);
+  }
+});
+
+const tooLarge = (maxBytes) => new Error(`Image is larger than ${maxBytes} bytes`);
+
+/**
+ * Read a response body, giving up as soon as it passes maxBytes
+ */
+const readLimited = async (body, maxBytes) => {
+  const reader = body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      reader.cancel().catch(() => {});
+      throw tooLarge(maxBytes);
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes;
+};
+
+/**
+ * Download image bytes from a provider URL or data URL
+ * @param {string} imageUrl - https:// URL or data:image/...;base64 URL
+ * @param {Function} fetchImpl - fetch implementation (optional)
+ * @param {Object} options - { maxBytes } (default MAX_STORED_IMAGE_BYTES)
+ * @returns {Promise<Object>} { bytes: Uint8Array, contentType }
+ */
+export const downloadImage = async (imageUrl, fetchImpl = fetch, { maxBytes = MAX_STORED_IMAGE_BYTES } = {}) => {
+  if (imageUrl.startsWith('data:')) {
+    const match = imageUrl.match(/^data:([^;,]+)(;base64)?,(.*)$/s);
+    if (!match) {
+      throw new Error('Invalid data URL format');
+    }
+    const [, contentType, isBase64, data] = match;
+    const binary = isBase64 ? atob(data) : decodeURIComponent(data);
+    if (binary.length > maxBytes) throw tooLarge(maxBytes);
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return { bytes, contentType };
+  }
+
+  const response = await fetchImpl(imageUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to download image: ${response.status} ${response.statusText}`);
+  }
+
+  const contentType = (response.headers.get('Content-Type') || 'image/webp').split(';')[0].trim();
+  if (!contentType.startsWith('image/')) {
+    response.body?.cancel().catch(() => {});
+    throw new Error(`Provider returned ${contentType} instead of an image`);
+  }
+
+  // Refuse early when the size is announced, and count the bytes when it is not
+  if (Number(response.headers.get('Content-Length')) > maxBytes) {
+    response.body?.cancel().catch(() => {});
+    throw tooLarge(maxBytes);
+  }
+  const bytes = response.body ? await readLimited(response.body, maxBytes) : new Uint8Array(0);
+
+  return { bytes, contentType };
+};
+
+/**
+ * Hex SHA-256 digest of some bytes
+ */
+const sha256 = async (bytes) => {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Download an image once and keep it in the blob store
+ * @param {Object} store - Blob store
+ * @param {string} imageUrl - Provider image URL (or data URL)
+ * @param {Function} fetchImpl - fetch implementation (optional)
+ * @returns {Promise<Object>} { id, contentType, size }
+ */
+export const storeImage = async (store, imageUrl, fetchImpl = fetch) => {
+  const { bytes, contentType } = await downloadImage(imageUrl, fetchImpl);
+  const id = await sha256(bytes);
+
+  await store.put(id, bytes, { contentType });
+  console.log(`🗄️ Stored image ${id} (${bytes.byteLength} bytes, ${contentType}) in ${store.name} blob store`);
+
+  return { id, contentType, size: bytes.byteLength };
+};
+
+/**
+ * Serve a stored image with caching headers
+ * Images are content-addressed, so they never change and can be cached forever.
+ * @param {Object} store - Blob store
+ * @param {string} id - Image id
+ * @param {Request} request - Incoming request (for If-None-Match)
+ * @returns {Promise<Response|null>} Image response, or null when not found
+ */
+export const serveImage = async (store, id, request) => {
+  if (!isImageId(id)) return null;
+
+  const etag = `"${id}"`;
+  const headers = {
+    'ETag': etag,
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    // Lesson frontends load these images from other origins
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  };
+
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  const blob = await store.get(id);
+  if (!blob) return null;
+
+  // An SVG opened directly would run its scripts on this origin; <img> tags still show it
+  const isSvg = blob.contentType.toLowerCase().startsWith('image/svg+xml');
+
+  return new Response(request.method === 'HEAD' ? null : blob.body, {
+    status: 200,
+    headers: {
+      ...headers,
+      'Content-Type': blob.contentType,
+      'X-Content-Type-Options': 'nosniff',
+      ...(isSvg ? { 'Content-Security-Policy': 'sandbox', 'Content-Disposition': 'attachment' } : {}),
+      ...(blob.size !== undefined ? { 'Content-Length': String(blob.size) } : {})
+    }
+  });
+};
@@ -0,0 +1,203 @@
+/**
+ * Circuit Breaker
+ * Per-backend circuit breaker shared by the Node load balancer (loadbalancer.js)
+ * and the Workers load balancer (main-worker.js).
+ *
+ *   closed    - requests flow; recent outcomes are tracked
+ *   open      - backend is skipped until the open interval ends
+ *   half_open - a limited number of probe requests decide between closed and open
+ *
+ * The circuit trips on too many consecutive failures or a high failure rate over
+ * the recent window. Each trip in a row doubles the open interval (up to a cap).
+ *
+ * Breakers are plain JSON objects driven by the functions below, so the Workers
+ * load balancer can persist them with the rest of its state.
+ */
+
+export const DEFAULT_BREAKER_OPTIONS = {
+  consecutiveFailureThreshold: 3,
+  failureRateThreshold: 0.5,
+  minimumRequests: 10,
+  windowSize: 20,
+  openMs: 30 * 1000,
+  maxOpenMs: 10 * 60 * 1000,
+  halfOpenMaxProbes: 1,
+  halfOpenSuccessThreshold: 2,
+  // A probe that never reported back (e.g. its isolate died) frees its slot after this
+  probeTimeoutMs: 60 * 1000
+};
+
+// Transitions kept per breaker for the status endpoints
+const MAX_TRANSITIONS = 10;
+
+/**
+ * Create a closed breaker
+ */
+export const createBreaker = () => ({
+  state: 'closed',
+  outcomes: [],
+  consecutiveFailures: 0,
+  trips: 0,
+  openedAt: null,
+  openUntil: null,
+  probesInFlight: 0,
+  probeStartedAt: null,
+  probeSuccesses: 0,
+  transitions: []
+});
+
+const transition = (breaker, to, now, reason) => {
+  if (breaker.state === to) return;
+
+  breaker.transitions.push({ from: breaker.state, to, at: now, reason });
+  if (breaker.transitions.length > MAX_TRANSITIONS) {
+    breaker.transitions.shift();
+  }
+  breaker.state = to;
+};
+
+const open = (breaker, now, options, reason) => {
+  const openMs = Math.min(options.openMs * 2 ** breaker.trips, options.maxOpenMs);
+
+  breaker.trips++;
+  breaker.openedAt = now;
+  breaker.openUntil = now + openMs;
+  breaker.probesInFlight = 0;
+  breaker.probeStartedAt = null;
+  breaker.probeSuccesses = 0;
+  transition(breaker, 'open', now, reason);
+};
+
+const close = (breaker, now, reason) => {
+  breaker.trips = 0;
+  breaker.outcomes = [];
+  breaker.consecutiveFailures = 0;
+  breaker.openedAt = null;
+  breaker.openUntil = null;
+  breaker.probesInFlight = 0;
+  breaker.probeStartedAt = null;
+  breaker.probeSuccesses = 0;
+  transition(breaker, 'closed', now, reason);
+};
+
+/**
+ * Move an open breaker to half-open once its interval has passed
+ */
+const refresh = (breaker, now, options) => {
+  if (breaker.state === 'open' && now >= breaker.openUntil) {
+    breaker.probesInFlight = 0;
+    breaker.probeSuccesses = 0;
+    transition(breaker, 'half_open', now, 'open interval elapsed');
+  }
+
+  if (breaker.state === 'half_open' && breaker.probesInFlight > 0 &&
+      now - breaker.probeStartedAt > options.probeTimeoutMs) {
+    breaker.probesInFlight = 0;
+  }
+};
+
+/**
+ * Check whether a request may be sent without reserving a probe slot
+ * @param {Object} breaker - Breaker state
+ * @param {number} now - Current time in ms
+ * @param {Object} options - Breaker options
+ * @returns {boolean}
+ */
+export const canRequest = (breaker, now = Date.now(), options = DEFAULT_BREAKER_OPTIONS) => {
+  refresh(breaker, now, options);
+
+  if (breaker.state === 'closed') return true;
+  if (breaker.state === 'half_open') return breaker.probesInFlight < options.halfOpenMaxProbes;
+  return false;
+};
+
+/**
+ * Reserve a request slot (a probe when half-open)
+ * @returns {boolean} false when the breaker does not allow the request
+ */
+export const acquireRequest = (breaker, now = Date.now(), options = DEFAULT_BREAKER_OPTIONS) => {
+  if (!canRequest(breaker, now, options)) return false;
+
+  if (breaker.state === 'half_open') {
+    breaker.probesInFlight++;
+    breaker.probeStartedAt = now;
+  }
+  return true;
+};
+
+const pushOutcome = (breaker, success, options) => {
+  breaker.outcomes.push(success ? 1 : 0);
+  if (breaker.outcomes.length > options.windowSize) {
+    breaker.outcomes.shift();
+  }
+};
+
+const failureRate = (breaker) => {
+  if (breaker.outcomes.length === 0) return 0;
+  const failures = breaker.outcomes.filter(outcome => outcome === 0).length;
+  return failures / breaker.outcomes.length;
+};
+
+/**
+ * Record a successful request
+ */
+export const recordSuccess = (breaker, now = Date.now(), options = DEFAULT_BREAKER_OPTIONS) => {
+  breaker.consecutiveFailures = 0;
+
+  if (breaker.state === 'half_open') {
+    breaker.probesInFlight = Math.max(0, breaker.probesInFlight - 1);
+    breaker.probeSuccesses++;
+    if (breaker.probeSuccesses >= options.halfOpenSuccessThreshold) {
+      close(breaker, now, `${breaker.probeSuccesses} successful probes`);
+    }
+    return;
+  }
+
+  pushOutcome(breaker, true, options);
+};
+
+/**
+ * Record a failed request
+ */
+export const recordFailure = (breaker, now = Date.now(), options = DEFAULT_BREAKER_OPTIONS) => {
+  breaker.consecutiveFailures++;
+
+  if (breaker.state === 'half_open') {
+    open(breaker, now, options, 'probe failed');
+    return;
+  }
+
+  // Late results from requests sent before the circuit opened
+  if (breaker.state === 'open') return;
+
+  pushOutcome(breaker, false, options);
+
+  if (breaker.consecutiveFailures >= options.consecutiveFailureThreshold) {
+    open(breaker, now, options, `${breaker.consecutiveFailures} consecutive failures`);
+  } else if (breaker.outcomes.length >= options.minimumRequests &&
+             failureRate(breaker) >= options.failureRateThreshold) {
+    open(breaker, now, options, `failure rate ${Math.round(failureRate(breaker) * 100)}%`);
+  }
+};
+
+/**
+ * Summarize a breaker for status endpoints
+ */
+export const describeBreaker = (breaker, now = Date.now(), options = DEFAULT_BREAKER_OPTIONS) => {
+  refresh(breaker, now, options);
+
+  return {
+    state: breaker.state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    failureRate: Math.round(failureRate(breaker) * 100) / 100,
+    trips: breaker.trips,
+    retryInMs: breaker.state === 'open' ? breaker.openUntil - now : 0,
+    probesInFlight: breaker.probesInFlight,
+    transitions: breaker.transitions.map(({ from, to, at, reason }) => ({
+      from,
+      to,
+      at: new Date(at).toISOString(),
+      reason
+    }))
+  };
+};
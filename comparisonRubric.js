@@ -0,0 +1,133 @@
+/**
+ * Comparison Rubric
+ * The aspects a comparison scores and how they add up to the overall score.
+ * Shared by the comparison code in core.js and config validation, so every
+ * runtime weighs a lesson the same way.
+ *
+ * The vision model scores each aspect 0-100 with a short explanation:
+ *
+ *   subject      - the main thing in the picture
+ *   count        - how many of each object
+ *   colours      - colours of the subject and the scene
+ *   composition  - where things are and how big
+ *   style        - cartoon, photo, painting, ...
+ *   background   - setting and surroundings
+ *
+ * overallScore is the weighted mean of the aspect scores. Weights come from
+ * the request (`weights`), a named lesson (`lesson`, from rubric.lessons in
+ * config.js) or rubric.weights, on top of DEFAULT_RUBRIC_WEIGHTS.
+ */
+
+export const RUBRIC_ASPECTS = ['subject', 'count', 'colours', 'composition', 'style', 'background'];
+
+// What each aspect means, for the model and for UI labels
+export const RUBRIC_LABELS = {
+  subject: 'Subject',
+  count: 'Number of objects',
+  colours: 'Colours',
+  composition: 'Position and size',
+  style: 'Style',
+  background: 'Background'
+};
+
+// The subject matters most when a child is learning to describe a picture
+export const DEFAULT_RUBRIC_WEIGHTS = {
+  subject: 3,
+  count: 2,
+  colours: 2,
+  composition: 1,
+  style: 1,
+  background: 1
+};
+
+export const MAX_RUBRIC_WEIGHT = 100;
+
+export const LESSON_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+/**
+ * Check a set of weights (partial sets are fine, missing aspects keep their weight)
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateRubricWeights = (weights) => {
+  if (weights === null || typeof weights !== 'object' || Array.isArray(weights)) {
+    return `Weights must be an object of aspect weights (${RUBRIC_ASPECTS.join(', ')})`;
+  }
+  const unknown = Object.keys(weights).filter(aspect => !RUBRIC_ASPECTS.includes(aspect));
+  if (unknown.length > 0) {
+    return `Unknown rubric aspects: ${unknown.join(', ')} (available: ${RUBRIC_ASPECTS.join(', ')})`;
+  }
+  const invalid = Object.entries(weights)
+    .filter(([, weight]) => typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > MAX_RUBRIC_WEIGHT);
+  if (invalid.length > 0) {
+    return `Weights must be numbers from 0 to ${MAX_RUBRIC_WEIGHT} (${invalid.map(([aspect]) => aspect).join(', ')})`;
+  }
+  return null;
+};
+
+/**
+ * Create the rubric settings for a runtime
+ * @param {Object} options
+ * @param {Object} options.weights - Default weights, on top of DEFAULT_RUBRIC_WEIGHTS
+ * @param {Object} options.lessons - Named weights { lesson: weights }
+ * @returns {Object} { weights, lessons, validate(options), resolveWeights(options) }
+ */
+export const createRubric = ({ weights = {}, lessons = {} } = {}) => {
+  const defaults = { ...DEFAULT_RUBRIC_WEIGHTS, ...weights };
+
+  // Defaults, then the lesson, then the request's own weights
+  const resolveWeights = ({ lesson, weights: requestWeights } = {}) =>
+    ({ ...defaults, ...(lesson ? lessons[lesson] : {}), ...requestWeights });
+
+  return {
+    weights: defaults,
+    lessons,
+
+    /**
+     * Validate the rubric fields of a comparison request
+     * @param {Object} options - { lesson, weights } from the request body
+     * @returns {string|null} Error message, or null when valid
+     */
+    validate({ lesson, weights: requestWeights } = {}) {
+      if (lesson !== undefined && !(typeof lesson === 'string' && Object.hasOwn(lessons, lesson))) {
+        const names = Object.keys(lessons);
+        return names.length > 0
+          ? `Lesson must be one of: ${names.join(', ')}`
+          : 'No lessons are configured (rubric.lessons)';
+      }
+      if (requestWeights !== undefined) {
+        const error = validateRubricWeights(requestWeights);
+        if (error) return error;
+      }
+      const resolved = resolveWeights({ lesson, weights: requestWeights });
+      if (RUBRIC_ASPECTS.every(aspect => resolved[aspect] === 0)) {
+        return 'At least one rubric weight must be above 0';
+      }
+      return null;
+    },
+
+    /**
+     * Weights for a request (validate first)
+     * @param {Object} options - { lesson, weights } from the request body
+     * @returns {Object} A weight for every aspect
+     */
+    resolveWeights
+  };
+};
+
+/**
+ * Weighted mean of the aspect scores
+ * @param {Object} aspects - { aspect: { score } } (aspects not in RUBRIC_ASPECTS are ignored)
+ * @param {Object} weights - { aspect: weight } (missing aspects use DEFAULT_RUBRIC_WEIGHTS)
+ * @returns {number|null} Integer 0-100, or null when every weight is 0
+ */
+export const scoreRubric = (aspects, weights = DEFAULT_RUBRIC_WEIGHTS) => {
+  let total = 0;
+  let weightSum = 0;
+  RUBRIC_ASPECTS.forEach(aspect => {
+    const weight = weights[aspect] ?? DEFAULT_RUBRIC_WEIGHTS[aspect];
+    if (!aspects[aspect] || weight === 0) return;
+    total += aspects[aspect].score * weight;
+    weightSum += weight;
+  });
+  return weightSum > 0 ? Math.round(total / weightSum) : null;
+};
@@ -0,0 +1,555 @@
+/**
+ * Configuration
+ * One schema for worker pools, server pools, API key lists and provider
+ * endpoints, shared by the Express server, the internal workers and the main
+ * load balancer. Works on plain objects, so it runs on Node (process.env) and
+ * Workers (env) alike.
+ *
+ * The configuration comes from the APP_CONFIG variable (a JSON string, or an
+ * object when set as a structured wrangler var), with simple env vars as
+ * defaults for anything it leaves out:
+ *
+ *   {
+ *     "workers":   { "bindings": ["SERVER1", "SERVER2"], "strategy": "ewma", "weights": { "SERVER1": 2 } },
+ *     "servers":   { "urls": ["https://prompt-server-1.example.dev"], "strategy": "round-robin", "weights": {} },
+ *     "keys":      { "image": { "prefix": "IMAGE_ROUTER_API_KEY_", "dailyQuota": 500 }, "comparison": { "rateLimitPerMinute": 20 } },
+ *     "providers": {
+ *       "chain": "imagerouter,pollinations",
+ *       "fallback": "pollinations",
+ *       "endpoints": { "imagerouter": "https://api.imagerouter.io/v1/openai/images/generations" },
+ *       "comparison": { "endpoint": "https://api.siliconflow.com/v1/chat/completions", "model": "Qwen/Qwen3-VL-8B-Instruct" }
+ *     },
+ *     "auth":      { "enabled": true },
+ *     "rateLimits": { "student": { "capacity": 5, "refillPerMinute": 5, "dailyGenerate": 100 }, "ip": null },
+ *     "moderation": { "enabled": true, "blockTerms": { "violence": ["dhishoom"] }, "allowTerms": ["toy sword"] },
+ *     "imageSafety": { "enabled": true, "maxRegenerations": 1, "failOpen": true },
+ *     "generation": {
+ *       "defaults": { "size": "auto", "quality": "auto", "format": "webp", "n": 1 },
+ *       "deriveSeeds": true,
+ *       "models": { "imagerouter": { "default": "run-diffusion/Juggernaut-Lightning-Flux", "allowed": ["run-diffusion/Juggernaut-Lightning-Flux"] } }
+ *     },
+ *     "enhancement": { "default": "kid-friendly-cartoon", "presets": { "watercolour": "{prompt}, soft watercolour painting" } },
+ *     "rubric": { "weights": { "subject": 3 }, "lessons": { "colours-1": { "colours": 5, "style": 0 } } },
+ *     "imageInput": { "allowedHosts": ["images.example.org", "*.cdn.example.org"], "maxBytes": 5242880 }
+ *   }
+ *
+ * Without an explicit list, workers are every SERVER<n> service binding and
+ * keys are every <prefix><n> secret, in numeric order. Secrets never go in
+ * APP_CONFIG itself, only the prefixes that find them.
+ */
+
+import { DEFAULT_PROVIDER, getProvider, getProviderNames, validateGenerationParams } from './imageProviders.js';
+import { DEFAULT_ROUTING_STRATEGY, ROUTING_STRATEGIES, parseWeights } from './routingStrategies.js';
+import { DEFAULT_RATE_LIMITS, RATE_LIMIT_SUBJECTS } from './rateLimiter.js';
+import { CUSTOM_ENHANCEMENT, DEFAULT_ENHANCEMENT, ENHANCEMENT_PRESETS, PRESET_NAME_PATTERN, validateTemplate } from './promptEnhancement.js';
+import { LESSON_NAME_PATTERN, validateRubricWeights } from './comparisonRubric.js';
+import { DEFAULT_MAX_IMAGE_BYTES, validateImageHosts } from './imageInput.js';
+
+export const DEFAULT_KEY_PREFIXES = {
+  image: 'IMAGE_ROUTER_API_KEY_',
+  comparison: 'COMPARISON_API_KEY_'
+};
+
+// Internal workers the Express server balances comparisons across
+export const DEFAULT_SERVER_URLS = Array.from({ length: 20 }, (_, index) =>
+  `https://prompt-server-${index + 1}.prompt-tool.workers.dev`
+);
+
+const WORKER_BINDING_PATTERN = /^SERVER(\d+)$/;
+const TOP_LEVEL_SECTIONS = ['workers', 'servers', 'keys', 'providers', 'auth', 'rateLimits', 'moderation', 'imageSafety', 'generation', 'enhancement', 'rubric', 'imageInput'];
+
+// Generation parameters config may set defaults for (per request: see validateGenerationParams)
+const GENERATION_DEFAULTS = ['size', 'quality', 'format', 'n', 'negativePrompt'];
+
+/**
+ * Find env entries named <prefix><number>, in numeric order
+ * @param {Object} env - process.env or Worker env
+ * @param {string} prefix - e.g. IMAGE_ROUTER_API_KEY_
+ * @returns {Array} [name, value] pairs with a non-empty value
+ */
+export const discoverNumbered = (env, prefix) => {
+  const pattern = new RegExp(`^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\d+)$`);
+
+  return Object.keys(env)
+    .map(name => ({ name, match: name.match(pattern) }))
+    .filter(({ name, match }) => match && env[name])
+    .sort((a, b) => Number(a.match[1]) - Number(b.match[1]))
+    .map(({ name }) => [name, env[name]]);
+};
+
+/**
+ * Find every SERVER<n> service binding, in numeric order
+ */
+export const discoverWorkerBindings = (env) => Object.keys(env)
+  .filter(name => WORKER_BINDING_PATTERN.test(name) && typeof env[name]?.fetch === 'function')
+  .sort((a, b) => Number(a.match(WORKER_BINDING_PATTERN)[1]) - Number(b.match(WORKER_BINDING_PATTERN)[1]));
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const splitList = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(item => item);
+
+/**
+ * Read APP_CONFIG (JSON string or object)
+ */
+const readRawConfig = (env, errors) => {
+  const value = env.APP_CONFIG;
+  if (value === undefined || value === '') return {};
+  if (isPlainObject(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    if (!isPlainObject(parsed)) {
+      errors.push('APP_CONFIG must be a JSON object');
+      return {};
+    }
+    return parsed;
+  } catch (error) {
+    errors.push(`APP_CONFIG is not valid JSON: ${error.message}`);
+    return {};
+  }
+};
+
+/**
+ * Validate and normalize one pool section (workers or servers)
+ */
+const readPool = (section, raw, members, envDefaults, errors) => {
+  if (raw !== undefined && !isPlainObject(raw)) {
+    errors.push(`${section} must be an object`);
+    raw = {};
+  }
+  raw = raw || {};
+
+  const strategy = raw.strategy || envDefaults.strategy || DEFAULT_ROUTING_STRATEGY;
+  if (!ROUTING_STRATEGIES.includes(strategy)) {
+    errors.push(`${section}.strategy "${strategy}" is not one of: ${ROUTING_STRATEGIES.join(', ')}`);
+  }
+
+  const weights = raw.weights ?? envDefaults.weights ?? {};
+  if (!isPlainObject(weights)) {
+    errors.push(`${section}.weights must be an object of { name: weight }`);
+  } else {
+    Object.entries(weights).forEach(([name, weight]) => {
+      if (!(typeof weight === 'number' && weight > 0)) {
+        errors.push(`${section}.weights.${name} must be a positive number`);
+      }
+      if (!members.includes(name)) {
+        errors.push(`${section}.weights.${name} does not match any ${section === 'workers' ? 'worker binding' : 'server URL'}`);
+      }
+    });
+  }
+
+  return { strategy, weights: isPlainObject(weights) ? weights : {} };
+};
+
+/**
+ * Load and validate the configuration
+ * @param {Object} env - process.env or Worker env
+ * @param {Object} options - { checkBindings } (true on the main load balancer,
+ *   where listed worker bindings must exist)
+ * @returns {Object} { workers, servers, keys, keyPrefixes, keyLimits, providers, auth, rateLimits, moderation,
+ *   imageSafety, generation, enhancement, rubric, imageInput, warnings }
+ * @throws {Error} Listing every problem when the configuration is invalid
+ */
+export const loadConfig = (env, { checkBindings = false } = {}) => {
+  const errors = [];
+  const warnings = [];
+  const raw = readRawConfig(env, errors);
+
+  Object.keys(raw)
+    .filter(key => !TOP_LEVEL_SECTIONS.includes(key))
+    .forEach(key => errors.push(`Unknown config section "${key}" (expected: ${TOP_LEVEL_SECTIONS.join(', ')})`));
+
+  // Worker pool (main load balancer service bindings)
+  let bindings = discoverWorkerBindings(env);
+  if (raw.workers?.bindings !== undefined) {
+    if (!Array.isArray(raw.workers.bindings) || raw.workers.bindings.some(name => typeof name !== 'string')) {
+      errors.push('workers.bindings must be an array of binding names');
+    } else {
+      bindings = raw.workers.bindings;
+      if (checkBindings) {
+        bindings
+          .filter(name => typeof env[name]?.fetch !== 'function')
+          .forEach(name => errors.push(`workers.bindings: "${name}" is not a service binding on this worker`));
+      }
+    }
+  }
+  const workers = {
+    bindings,
+    ...readPool('workers', raw.workers, bindings, {
+      strategy: env.ROUTING_STRATEGY,
+      weights: env.WORKER_WEIGHTS ? parseWeights(env.WORKER_WEIGHTS) : undefined
+    }, errors)
+  };
+  if (checkBindings && bindings.length === 0) {
+    errors.push('No worker bindings found: add SERVER1..SERVERn service bindings or set workers.bindings');
+  }
+
+  // Server pool (Express load balancer URLs)
+  let urls = splitList(env.LOAD_BALANCER_SERVERS);
+  if (raw.servers?.urls !== undefined) {
+    urls = Array.isArray(raw.servers.urls) ? raw.servers.urls : [];
+    if (!Array.isArray(raw.servers.urls)) errors.push('servers.urls must be an array of URLs');
+  }
+  if (urls.length === 0) urls = DEFAULT_SERVER_URLS;
+  urls.filter(url => !isHttpUrl(url)).forEach(url => errors.push(`servers.urls: "${url}" is not an http(s) URL`));
+  urls = urls.map(url => String(url).replace(/\/+$/, ''));
+  const servers = {
+    urls,
+    ...readPool('servers', raw.servers, urls, { strategy: env.ROUTING_STRATEGY }, errors)
+  };
+
+  // API key lists, discovered by prefix, with optional per-key limits (see keyPool.js)
+  const keyPrefixes = { ...DEFAULT_KEY_PREFIXES };
+  const keyLimits = Object.fromEntries(Object.keys(DEFAULT_KEY_PREFIXES).map(pool => [
+    pool,
+    { rateLimitPerMinute: null, dailyQuota: null }
+  ]));
+  if (raw.keys !== undefined) {
+    if (!isPlainObject(raw.keys)) {
+      errors.push('keys must be an object');
+    } else {
+      Object.entries(raw.keys).forEach(([pool, source]) => {
+        if (!(pool in DEFAULT_KEY_PREFIXES)) {
+          errors.push(`keys.${pool} is not a key pool (expected: ${Object.keys(DEFAULT_KEY_PREFIXES).join(', ')})`);
+          return;
+        }
+        if (!isPlainObject(source)) {
+          errors.push(`keys.${pool} must be an object`);
+          return;
+        }
+        if (source.prefix !== undefined) {
+          if (typeof source.prefix !== 'string' || !source.prefix) {
+            errors.push(`keys.${pool}.prefix must be a non-empty string`);
+          } else {
+            keyPrefixes[pool] = source.prefix;
+          }
+        }
+        ['rateLimitPerMinute', 'dailyQuota'].forEach(limit => {
+          if (source[limit] === undefined || source[limit] === null) return;
+          if (!(Number.isInteger(source[limit]) && source[limit] > 0)) {
+            errors.push(`keys.${pool}.${limit} must be a positive integer`);
+          } else {
+            keyLimits[pool][limit] = source[limit];
+          }
+        });
+      });
+    }
+  }
+  const keys = Object.fromEntries(Object.entries(keyPrefixes).map(([pool, prefix]) => [
+    pool,
+    discoverNumbered(env, prefix).map(([name, value]) => ({ name, value }))
+  ]));
+
+  // Providers
+  const rawProviders = raw.providers ?? {};
+  if (!isPlainObject(rawProviders)) errors.push('providers must be an object');
+
+  const chain = rawProviders.chain || env.IMAGE_PROVIDER || DEFAULT_PROVIDER;
+  splitList(chain)
+    .filter(name => !getProvider(name))
+    .forEach(name => errors.push(`providers.chain: unknown provider "${name}" (available: ${getProviderNames().join(', ')})`));
+
+  const fallback = rawProviders.fallback || env.FALLBACK_IMAGE_PROVIDER || 'pollinations';
+  const fallbackProvider = getProvider(fallback);
+  if (!fallbackProvider) {
+    errors.push(`providers.fallback: unknown provider "${fallback}"`);
+  } else if (fallbackProvider.requiresApiKey) {
+    errors.push(`providers.fallback: "${fallback}" needs an API key, the load balancer fallback must be key-less`);
+  }
+
+  const endpoints = { ...(env.API_URL ? { imagerouter: env.API_URL } : {}), ...rawProviders.endpoints };
+  Object.entries(endpoints).forEach(([name, url]) => {
+    if (!getProvider(name)) errors.push(`providers.endpoints.${name}: unknown provider`);
+    if (!isHttpUrl(url)) errors.push(`providers.endpoints.${name}: "${url}" is not an http(s) URL`);
+  });
+
+  const comparison = { ...rawProviders.comparison };
+  if (comparison.endpoint !== undefined && !isHttpUrl(comparison.endpoint)) {
+    errors.push(`providers.comparison.endpoint: "${comparison.endpoint}" is not an http(s) URL`);
+  }
+  if (comparison.model !== undefined && typeof comparison.model !== 'string') {
+    errors.push('providers.comparison.model must be a string');
+  }
+
+  // Authentication (see auth.js); tokens and secrets come from env, never APP_CONFIG
+  const rawAuth = raw.auth ?? {};
+  if (!isPlainObject(rawAuth)) errors.push('auth must be an object');
+  const authEnabled = rawAuth.enabled ?? env.AUTH_ENABLED !== 'false';
+  if (typeof authEnabled !== 'boolean') errors.push('auth.enabled must be true or false');
+
+  // Rate limits per subject (see rateLimiter.js); null turns a subject off
+  const rawRateLimits = raw.rateLimits ?? {};
+  const rateLimits = { enabled: rawRateLimits.enabled ?? env.RATE_LIMIT_ENABLED !== 'false', limits: {} };
+  if (!isPlainObject(rawRateLimits)) {
+    errors.push('rateLimits must be an object');
+  } else {
+    if (typeof rateLimits.enabled !== 'boolean') errors.push('rateLimits.enabled must be true or false');
+    Object.entries(rawRateLimits)
+      .filter(([subject]) => subject !== 'enabled')
+      .forEach(([subject, limit]) => {
+        if (!RATE_LIMIT_SUBJECTS.includes(subject)) {
+          errors.push(`rateLimits.${subject} is not a rate limit subject (expected: ${RATE_LIMIT_SUBJECTS.join(', ')})`);
+        } else if (limit === null) {
+          rateLimits.limits[subject] = null;
+        } else if (!isPlainObject(limit)) {
+          errors.push(`rateLimits.${subject} must be an object or null`);
+        } else {
+          Object.entries(limit).forEach(([field, value]) => {
+            if (!(field in DEFAULT_RATE_LIMITS[subject])) {
+              errors.push(`rateLimits.${subject}.${field} is not a limit (expected: ${Object.keys(DEFAULT_RATE_LIMITS[subject]).join(', ')})`);
+            } else if (!(typeof value === 'number' && value > 0) && !(field.startsWith('daily') && value === null)) {
+              errors.push(`rateLimits.${subject}.${field} must be a positive number${field.startsWith('daily') ? ' or null' : ''}`);
+            }
+          });
+          rateLimits.limits[subject] = limit;
+        }
+      });
+  }
+
+  // Prompt moderation (see moderation.js); extra terms add to the built-in lists
+  const rawModeration = raw.moderation ?? {};
+  const moderation = {
+    enabled: rawModeration.enabled ?? env.MODERATION_ENABLED !== 'false',
+    blockTerms: {},
+    allowTerms: []
+  };
+  const isTermList = (value) => Array.isArray(value) && value.every(term => typeof term === 'string' && term.trim());
+  if (!isPlainObject(rawModeration)) {
+    errors.push('moderation must be an object');
+  } else {
+    if (typeof moderation.enabled !== 'boolean') errors.push('moderation.enabled must be true or false');
+    if (rawModeration.blockTerms !== undefined) {
+      if (!isPlainObject(rawModeration.blockTerms)) {
+        errors.push('moderation.blockTerms must be an object of { category: [terms] }');
+      } else {
+        Object.entries(rawModeration.blockTerms).forEach(([category, terms]) => {
+          if (!isTermList(terms)) {
+            errors.push(`moderation.blockTerms.${category} must be an array of non-empty strings`);
+          } else {
+            moderation.blockTerms[category] = terms;
+          }
+        });
+      }
+    }
+    if (rawModeration.allowTerms !== undefined) {
+      if (!isTermList(rawModeration.allowTerms)) {
+        errors.push('moderation.allowTerms must be an array of non-empty strings');
+      } else {
+        moderation.allowTerms = rawModeration.allowTerms;
+      }
+    }
+    Object.keys(rawModeration)
+      .filter(key => !['enabled', 'blockTerms', 'allowTerms'].includes(key))
+      .forEach(key => errors.push(`moderation.${key} is not a moderation setting (expected: enabled, blockTerms, allowTerms)`));
+  }
+
+  // Generated image safety check (see checkImageSafety in core.js), off unless enabled
+  const rawImageSafety = raw.imageSafety ?? {};
+  const imageSafety = {
+    enabled: rawImageSafety.enabled ?? env.IMAGE_SAFETY_ENABLED === 'true',
+    maxRegenerations: rawImageSafety.maxRegenerations ?? 1,
+    failOpen: rawImageSafety.failOpen ?? true
+  };
+  if (!isPlainObject(rawImageSafety)) {
+    errors.push('imageSafety must be an object');
+  } else {
+    if (typeof imageSafety.enabled !== 'boolean') errors.push('imageSafety.enabled must be true or false');
+    if (!(Number.isInteger(imageSafety.maxRegenerations) && imageSafety.maxRegenerations >= 0)) {
+      errors.push('imageSafety.maxRegenerations must be a non-negative integer');
+    }
+    if (typeof imageSafety.failOpen !== 'boolean') errors.push('imageSafety.failOpen must be true or false');
+    Object.keys(rawImageSafety)
+      .filter(key => !['enabled', 'maxRegenerations', 'failOpen'].includes(key))
+      .forEach(key => errors.push(`imageSafety.${key} is not an image safety setting (expected: enabled, maxRegenerations, failOpen)`));
+  }
+
+  // Generation parameter defaults and per-provider model lists (see imageProviders.js)
+  const rawGeneration = raw.generation ?? {};
+  // Seeds derived from the prompt keep images identical across servers and workers (see deriveSeed)
+  const generation = {
+    defaults: {},
+    models: {},
+    deriveSeeds: rawGeneration.deriveSeeds ?? env.DERIVE_SEEDS !== 'false'
+  };
+  if (!isPlainObject(rawGeneration)) {
+    errors.push('generation must be an object');
+  } else {
+    Object.keys(rawGeneration)
+      .filter(key => !['defaults', 'models', 'deriveSeeds'].includes(key))
+      .forEach(key => errors.push(`generation.${key} is not a generation setting (expected: defaults, models, deriveSeeds)`));
+    if (typeof generation.deriveSeeds !== 'boolean') errors.push('generation.deriveSeeds must be true or false');
+
+    const defaults = rawGeneration.defaults ?? {};
+    if (!isPlainObject(defaults)) {
+      errors.push('generation.defaults must be an object');
+    } else {
+      Object.keys(defaults)
+        .filter(key => !GENERATION_DEFAULTS.includes(key))
+        .forEach(key => errors.push(`generation.defaults.${key} cannot have a default (expected: ${GENERATION_DEFAULTS.join(', ')})`));
+      // Defaults must suit the first provider in the chain; fallbacks use their own where they differ
+      const primary = getProvider(splitList(chain)[0]);
+      const defaultsError = primary && validateGenerationParams(primary, defaults);
+      if (defaultsError) errors.push(`generation.defaults: ${defaultsError}`);
+      generation.defaults = defaults;
+    }
+
+    const models = rawGeneration.models ?? {};
+    if (!isPlainObject(models)) {
+      errors.push('generation.models must be an object of { provider: { default, allowed } }');
+    } else {
+      Object.entries(models).forEach(([name, settings]) => {
+        if (!getProvider(name)) {
+          errors.push(`generation.models.${name}: unknown provider`);
+        } else if (!isPlainObject(settings)) {
+          errors.push(`generation.models.${name} must be an object of { default, allowed }`);
+        } else {
+          const { default: defaultModel, allowed } = settings;
+          if (defaultModel !== undefined && (typeof defaultModel !== 'string' || !defaultModel)) {
+            errors.push(`generation.models.${name}.default must be a non-empty string`);
+          }
+          if (allowed !== undefined && !(Array.isArray(allowed) && allowed.length > 0 && allowed.every(model => typeof model === 'string' && model))) {
+            errors.push(`generation.models.${name}.allowed must be a non-empty array of model names`);
+          } else if (allowed && defaultModel !== undefined && !allowed.includes(defaultModel)) {
+            errors.push(`generation.models.${name}.default "${defaultModel}" is not in generation.models.${name}.allowed`);
+          }
+          generation.models[name] = settings;
+        }
+      });
+    }
+  }
+
+  // Prompt enhancement presets (see promptEnhancement.js); extra presets add to the built-in ones
+  const rawEnhancement = raw.enhancement ?? {};
+  const enhancement = {
+    defaultPreset: rawEnhancement.default ?? env.PROMPT_ENHANCEMENT ?? DEFAULT_ENHANCEMENT,
+    presets: {}
+  };
+  if (!isPlainObject(rawEnhancement)) {
+    errors.push('enhancement must be an object');
+  } else {
+    Object.keys(rawEnhancement)
+      .filter(key => !['default', 'presets'].includes(key))
+      .forEach(key => errors.push(`enhancement.${key} is not an enhancement setting (expected: default, presets)`));
+
+    const presets = rawEnhancement.presets ?? {};
+    if (!isPlainObject(presets)) {
+      errors.push('enhancement.presets must be an object of { name: template }');
+    } else {
+      Object.entries(presets).forEach(([name, template]) => {
+        const templateError = validateTemplate(template);
+        if (!PRESET_NAME_PATTERN.test(name) || name === CUSTOM_ENHANCEMENT) {
+          errors.push(`enhancement.presets.${name}: names are lowercase letters, digits and dashes, and "${CUSTOM_ENHANCEMENT}" is reserved`);
+        } else if (templateError) {
+          errors.push(`enhancement.presets.${name}: ${templateError}`);
+        } else {
+          enhancement.presets[name] = template;
+        }
+      });
+    }
+
+    const presetNames = [...Object.keys(ENHANCEMENT_PRESETS), ...Object.keys(presets)];
+    if (!presetNames.includes(enhancement.defaultPreset)) {
+      errors.push(`enhancement.default "${enhancement.defaultPreset}" is not a preset (available: ${presetNames.join(', ')})`);
+    }
+  }
+
+  // Comparison rubric weights, by default and per lesson (see comparisonRubric.js)
+  const rawRubric = raw.rubric ?? {};
+  const rubric = { weights: {}, lessons: {} };
+  if (!isPlainObject(rawRubric)) {
+    errors.push('rubric must be an object');
+  } else {
+    Object.keys(rawRubric)
+      .filter(key => !['weights', 'lessons'].includes(key))
+      .forEach(key => errors.push(`rubric.${key} is not a rubric setting (expected: weights, lessons)`));
+
+    if (rawRubric.weights !== undefined) {
+      const weightsError = validateRubricWeights(rawRubric.weights);
+      if (weightsError) {
+        errors.push(`rubric.weights: ${weightsError}`);
+      } else {
+        rubric.weights = rawRubric.weights;
+      }
+    }
+
+    const lessons = rawRubric.lessons ?? {};
+    if (!isPlainObject(lessons)) {
+      errors.push('rubric.lessons must be an object of { lesson: weights }');
+    } else {
+      Object.entries(lessons).forEach(([name, weights]) => {
+        const weightsError = validateRubricWeights(weights);
+        if (!LESSON_NAME_PATTERN.test(name)) {
+          errors.push(`rubric.lessons.${name}: names are letters, digits, dots, dashes and underscores (max 64)`);
+        } else if (weightsError) {
+          errors.push(`rubric.lessons.${name}: ${weightsError}`);
+        } else {
+          rubric.lessons[name] = weights;
+        }
+      });
+    }
+  }
+
+  // Hosts comparison image URLs may point at, and the image size limit (see imageInput.js)
+  const rawImageInput = raw.imageInput ?? {};
+  const imageInput = {
+    allowedHosts: rawImageInput.allowedHosts ?? splitList(env.IMAGE_URL_HOSTS).map(host => host.toLowerCase()),
+    maxBytes: rawImageInput.maxBytes ?? DEFAULT_MAX_IMAGE_BYTES
+  };
+  if (!isPlainObject(rawImageInput)) {
+    errors.push('imageInput must be an object');
+  } else {
+    Object.keys(rawImageInput)
+      .filter(key => !['allowedHosts', 'maxBytes'].includes(key))
+      .forEach(key => errors.push(`imageInput.${key} is not an image input setting (expected: allowedHosts, maxBytes)`));
+    const hostsError = validateImageHosts(imageInput.allowedHosts);
+    if (hostsError) errors.push(`imageInput.allowedHosts: ${hostsError}`);
+    if (!(Number.isInteger(imageInput.maxBytes) && imageInput.maxBytes > 0)) {
+      errors.push('imageInput.maxBytes must be a positive integer');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const needsImageKeys = splitList(chain).some(name => getProvider(name).requiresApiKey);
+  if (needsImageKeys && keys.image.length === 0) {
+    warnings.push(`No image API keys found (${keyPrefixes.image}1, ${keyPrefixes.image}2, ...)`);
+  }
+  const unseeded = splitList(chain).filter(name => !getProvider(name).parameters.seed);
+  if (generation.deriveSeeds && unseeded.length > 0) {
+    warnings.push(`Derived seeds are dropped for ${unseeded.join(', ')} (no seed support); their images only repeat from the cache`);
+  }
+  if (imageSafety.enabled && keys.comparison.length === 0) {
+    warnings.push(`The image safety check needs comparison API keys (${keyPrefixes.comparison}1, ...)`);
+  }
+
+  return {
+    workers,
+    servers,
+    keys,
+    keyPrefixes,
+    keyLimits,
+    providers: { chain, fallback, endpoints, comparison },
+    auth: { enabled: authEnabled },
+    rateLimits,
+    moderation,
+    imageSafety,
+    generation,
+    enhancement,
+    rubric,
+    imageInput,
+    warnings
+  };
+};
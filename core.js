@@ -0,0 +1,1724 @@
+/**
+ * Prompt Learning Core
+ * Runtime-agnostic API logic shared by the Express server (server.js) and the
+ * Cloudflare workers (worker.js). Everything here only relies on the web
+ * platform (fetch, Request, Response, streams), so both deployments run the
+ * exact same validation, prompt enhancement, generation and comparison code.
+ */
+
+import {
+  resolveProviders,
+  generateWithProviders,
+  getProvider,
+  getProviderNames,
+  resolveGenerationParams,
+  validateGenerationParams,
+  GENERATION_PARAMETERS,
+  MAX_NEGATIVE_PROMPT_LENGTH
+} from './imageProviders.js';
+import { buildCacheKey } from './imageCache.js';
+import { storeImage, serveImage } from './blobStore.js';
+import { parseRetryAfter } from './responseClassification.js';
+import { maskKey } from './keyPool.js';
+import { BLOCKED_PROMPT_MESSAGE } from './moderation.js';
+import { CUSTOM_ENHANCEMENT, ENHANCEMENT_PRESETS, applyTemplate, createPromptEnhancer } from './promptEnhancement.js';
+import { RUBRIC_ASPECTS, RUBRIC_LABELS, createRubric, scoreRubric } from './comparisonRubric.js';
+import {
+  AGE_BANDS,
+  DEFAULT_FEEDBACK,
+  FEEDBACK_TEMPLATES,
+  TONES,
+  buildFeedbackInstructions,
+  resolveFeedbackOptions,
+  validateFeedbackOptions
+} from './feedbackTemplates.js';
+import {
+  DEFAULT_LOCAL_WEIGHT,
+  DEFAULT_SCORING,
+  blendScores,
+  compareImagesLocally,
+  validateScoringOptions
+} from './localSimilarity.js';
+import { IMAGE_SOURCES, createImageInput, toDataUrl } from './imageInput.js';
+
+export const API_VERSION = '1.0.0';
+export const MAX_PROMPT_LENGTH = 1000;
+
+export const SILICONFLOW_API_URL = 'https://api.siliconflow.com/v1/chat/completions';
+export const SILICONFLOW_MODEL = 'Qwen/Qwen3-VL-8B-Instruct';
+
+const JSON_HEADERS = {
+  'Content-Type': 'application/json'
+};
+
+const API_ENDPOINTS = [
+  'POST /api/generate-image',
+  'POST /api/generate-image-stream',
+  'POST /api/compare-images',
+  'GET /api/health',
+  'GET /api/status'
+];
+
+// Server-Sent Events for /api/generate-image-stream
+const SSE_HEARTBEAT_MS = 15000;
+
+// Largest page GET /admin/cache returns
+const MAX_ADMIN_PAGE_SIZE = 200;
+
+const SSE_PHASE_MESSAGES = {
+  validated: 'Prompt validated',
+  queued: 'Starting image generation...',
+  key_selected: 'API key selected',
+  provider_request_sent: 'Request sent to image provider...',
+  provider_responded: 'Image provider responded',
+  safety_checked: 'Image safety checked',
+  safety_regenerating: 'Making a friendlier picture...',
+  cached: 'Image cached',
+  done: 'Image generated successfully!'
+};
+
+// ============================================
+// Prompt helpers
+// ============================================
+
+/**
+ * Validate a generation prompt
+ * @param {*} prompt - Prompt from the request body
+ * @returns {string|null} Error message, or null when the prompt is valid
+ */
+export const validatePrompt = (prompt) => {
+  if (!prompt) {
+    return 'Prompt is required';
+  }
+  if (typeof prompt !== 'string') {
+    return 'Prompt must be a string';
+  }
+  if (prompt.trim().length === 0) {
+    return 'Prompt cannot be empty';
+  }
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    return `Prompt too long (max ${MAX_PROMPT_LENGTH} characters)`;
+  }
+  return null;
+};
+
+/**
+ * Enhance prompt for exact literal interpretation (the literal preset, see promptEnhancement.js)
+ */
+export const enhancePrompt = (prompt) => applyTemplate(ENHANCEMENT_PRESETS.literal, prompt);
+
+// ============================================
+// Image generation
+// ============================================
+
+/**
+ * Generate an image through the provider chain, with optional caching
+ * @param {string} prompt - The text prompt to generate image from
+ * @param {Object} options
+ * @param {string} options.provider - Per-request provider override (optional)
+ * @param {string} options.model - Per-request model override (optional)
+ * @param {Object} options.params - Per-request generation parameters: size, aspectRatio, quality, format, n,
+ *   seed, negativePrompt (optional, see validateGenerationParams in imageProviders.js)
+ * @param {Object} options.generation - Generation defaults and model lists from config.js (optional)
+ * @param {Object} options.enhancement - { preset, key, prompt } from a prompt enhancer (optional, default
+ *   the literal preset, see promptEnhancement.js)
+ * @param {string} options.configuredProviders - Provider chain from config (optional)
+ * @param {Object} options.endpoints - Provider API URL overrides by provider name (optional)
+ * @param {Function} options.getApiKey - Returns the next API key for a provider
+ * @param {Function} options.reportApiKey - Told how each keyed call ended (optional, see keyPool.js)
+ * @param {Object} options.cache - ImageCache instance (optional, see imageCache.js)
+ * @param {Object} options.blobStore - Keep a local copy of the image (optional, see blobStore.js)
+ * @param {string} options.publicBaseUrl - Origin used to build stable /api/images URLs
+ * @param {Object} options.safety - Generated image check (optional): { check, maxRegenerations,
+ *   failOpen } where check is async (imageUrl) => { safe, category, reason }
+ * @param {Function} options.onProgress - Called with (phase, data) as generation advances (optional)
+ * @param {AbortSignal} options.signal - Aborts every upstream request when fired (optional)
+ * @param {Function} options.fetchImpl - fetch implementation (optional)
+ * @returns {Promise<Object>} { imageUrl, sourceUrl?, imageId?, images?, provider, model, parameters, enhancement,
+ *   providerPrompt, cached, safety? } (images lists every image when more than one was asked for, providerPrompt
+ *   is the text the provider received)
+ */
+export const generateImage = async (prompt, options = {}) => {
+  const {
+    provider,
+    model,
+    params = {},
+    generation = {},
+    enhancement,
+    configuredProviders,
+    endpoints,
+    getApiKey,
+    reportApiKey,
+    cache,
+    blobStore,
+    publicBaseUrl = '',
+    safety = null,
+    onProgress = () => {},
+    signal
+  } = options;
+
+  // Route every upstream call (provider API, image download) through the abort signal
+  const baseFetch = options.fetchImpl || fetch;
+  const fetchImpl = signal ? (url, init = {}) => baseFetch(url, { ...init, signal }) : baseFetch;
+
+  // Stored images are served from our own stable URL instead of the provider's
+  const stableUrl = (image) => image.imageId
+    ? { ...image, sourceUrl: image.imageUrl, imageUrl: `${publicBaseUrl}/api/images/${image.imageId}` }
+    : image;
+  const withStableUrl = (result) => ({
+    ...stableUrl(result),
+    ...(result.images ? { images: result.images.map(stableUrl) } : {})
+  });
+
+  const storeCopy = async (image) => {
+    try {
+      const stored = await storeImage(blobStore, image.imageUrl, fetchImpl);
+      return { ...image, imageId: stored.id, contentType: stored.contentType };
+    } catch (error) {
+      console.warn(`⚠️ Could not store image locally, using provider URL: ${error.message}`);
+      return image;
+    }
+  };
+
+  try {
+    if (!prompt || prompt.trim().length === 0) {
+      throw new Error("Prompt cannot be empty");
+    }
+
+    const providers = resolveProviders(provider, configuredProviders);
+    const enhanced = enhancement || { preset: 'literal', key: 'literal', prompt: enhancePrompt(prompt) };
+
+    // The key holds the parameters the first provider is called with (a model
+    // only applies to a single provider, see generateWithProviders)
+    const { model: keyModel, ...keyParams } = resolveGenerationParams(
+      providers[0],
+      { ...params, model: providers.length === 1 ? model : undefined },
+      generation,
+      enhanced.prompt
+    );
+    const cacheKey = buildCacheKey(prompt, { provider, model: keyModel, enhancement: enhanced.key, ...keyParams });
+
+    // Call the provider chain; API keys are only drawn for providers that need them
+    const generate = (text, extraParams = {}) => generateWithProviders(
+      providers,
+      { prompt: text, model, params: { ...params, ...extraParams }, settings: generation, endpoints },
+      getApiKey,
+      fetchImpl,
+      onProgress,
+      reportApiKey
+    );
+
+    const checkSafety = async (result) => {
+      const checked = await applyImageSafety(result, {
+        ...safety,
+        regenerate: () => generate(`${enhanced.prompt}, ${SAFER_PROMPT_SUFFIX}`, {
+          negativePrompt: saferNegativePrompt(params.negativePrompt ?? generation.defaults?.negativePrompt)
+        }),
+        onProgress
+      });
+      return checked.images ? checkExtraImages(checked, safety) : checked;
+    };
+
+    // The safety verdict is cached with the image, so it is only checked once
+    const cacheable = ({ safety: verdict, ...result }) => (verdict?.checked ? { ...result, safety: verdict } : result);
+
+    // A failed cache write costs the next request a generation, not this one its image
+    const storeInCache = async (value) => {
+      try {
+        await cache.set(cacheKey, value);
+        return true;
+      } catch (error) {
+        console.warn(`⚠️ Could not cache image for prompt "${prompt}": ${error.message}`);
+        return false;
+      }
+    };
+
+    // Check cache first
+    if (cache) {
+      let cached = await cache.get(cacheKey);
+      if (cached) {
+        console.log(`✅ Returning cached image for prompt: "${prompt}"`);
+        console.log(`📦 Cache hit! Image URL: ${cached.imageUrl}`);
+
+        // Cached before the check was turned on
+        if (safety && !cached.safety) {
+          cached = await checkSafety(cached);
+          if (cached.safety.checked) await storeInCache(cacheable(cached));
+        }
+
+        onProgress('cached', { hit: true });
+        return { ...withStableUrl(cached), enhancement: enhanced.preset, cached: true };
+      }
+    }
+
+    console.log(`🎨 Generating NEW image with ${providers.map(p => p.label).join(' → ')} for prompt: "${prompt}"`);
+
+    let result = await generate(enhanced.prompt);
+
+    console.log(`✅ Successfully generated image via ${result.provider}: ${result.imageUrl}`);
+
+    if (safety) {
+      result = await checkSafety(result);
+    }
+
+    // Download the images once so they outlive the provider URL
+    if (blobStore && !result.placeholder) {
+      const stored = await Promise.all((result.images || [{ imageUrl: result.imageUrl }]).map(storeCopy));
+      result = { ...result, ...stored[0], ...(result.images ? { images: stored } : {}) };
+    }
+
+    // A placeholder shown because the check failed is not kept: the next request checks again
+    if (cache && !(result.placeholder && !result.safety.checked) && await storeInCache(cacheable(result))) {
+      console.log(`💾 Cached for future use. Total cached prompts: ${cache.stats().size}`);
+      onProgress('cached', { hit: false, stored: true });
+    }
+
+    return { ...withStableUrl(result), enhancement: enhanced.preset, cached: false };
+
+  } catch (error) {
+    console.error("❌ Error in generateImage:", error);
+    // Keep the upstream status and retry hint, so a provider's client error or
+    // rate limit is not answered (and retried by load balancers) as our fault
+    const failure = new Error(`Image generation failed: ${error.message}`);
+    failure.name = error.name;
+    failure.status = error.status;
+    failure.retryAfterMs = error.retryAfterMs;
+    throw failure;
+  }
+};
+
+// ============================================
+// Image comparison
+// ============================================
+
+// Comparison answers the model must give (a small JSON Schema subset, see validateAgainstSchema)
+export const COMPARISON_SCHEMA = {
+  type: 'object',
+  required: ['similarityScore', 'differences', 'improvements', 'aspects'],
+  properties: {
+    similarityScore: { type: 'integer', minimum: 0, maximum: 100 },
+    differences: { type: 'string', minLength: 1 },
+    improvements: { type: 'string', minLength: 1 },
+    aspects: {
+      type: 'object',
+      required: RUBRIC_ASPECTS,
+      properties: Object.fromEntries(RUBRIC_ASPECTS.map(aspect => [aspect, {
+        type: 'object',
+        required: ['score', 'explanation'],
+        properties: {
+          score: { type: 'integer', minimum: 0, maximum: 100 },
+          explanation: { type: 'string' }
+        }
+      }]))
+    }
+  }
+};
+
+// How much to trust a comparison result, best first
+export const PARSE_STATUSES = ['valid', 'repaired', 'reasked', 'legacy', 'failed'];
+
+/**
+ * Build prompt template for comparison
+ * @param {string} originalPrompt - User's original prompt (optional)
+ * @param {Object} instructions - Feedback wording from buildFeedbackInstructions (default: Hinglish for 5-8 year olds)
+ */
+export const buildComparisonPrompt = (originalPrompt, instructions = buildFeedbackInstructions()) => {
+  const promptSection = originalPrompt ? `✏️ SECOND: Generated (prompt: "${originalPrompt}")` : '✏️ SECOND: Generated image';
+
+  return `Compare these two images:
+🎯 FIRST: ${instructions.target}
+${promptSection}
+
+${instructions.guidance}
+
+Also score how well the SECOND image matches the FIRST on each aspect: ${RUBRIC_ASPECTS.map(aspect => `${aspect} (${RUBRIC_LABELS[aspect].toLowerCase()})`).join(', ')}.
+
+Reply with ONLY this JSON object, no other text:
+{
+  "similarityScore": [integer 0-100],
+  "differences": "[${instructions.differences}]",
+  "improvements": "[${instructions.improvements}]",
+  "aspects": {
+${RUBRIC_ASPECTS.map(aspect => `    "${aspect}": { "score": [integer 0-100], "explanation": "[${instructions.explanation}]" }`).join(',\n')}
+  }
+}`;
+};
+
+/**
+ * Ask the model to fix a comparison answer that did not match the schema
+ */
+export const buildRepairPrompt = (responseText, errors) => `Your previous answer was not valid JSON for the required format.
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous answer:
+${responseText.slice(0, 4000)}
+
+Return ONLY the corrected JSON object with "similarityScore" (integer 0-100), "differences" (string), "improvements" (string) and "aspects" with ${RUBRIC_ASPECTS.map(aspect => `"${aspect}"`).join(', ')}, each { "score": integer 0-100, "explanation": string }. Keep the original wording.`;
+
+/**
+ * Validate a value against a JSON Schema subset: type (object, string,
+ * integer, number), required, properties, additionalProperties, minimum,
+ * maximum, minLength
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export const validateAgainstSchema = (value, schema, path = 'answer') => {
+  const typeOk = {
+    object: () => value !== null && typeof value === 'object' && !Array.isArray(value),
+    string: () => typeof value === 'string',
+    integer: () => Number.isInteger(value),
+    number: () => typeof value === 'number' && Number.isFinite(value)
+  }[schema.type];
+  if (typeOk && !typeOk()) {
+    return [`${path} must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`];
+  }
+
+  const errors = [];
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${path} must not be empty`);
+
+  if (schema.type === 'object') {
+    (schema.required || [])
+      .filter(name => value[name] === undefined)
+      .forEach(name => errors.push(`${path}.${name} is required`));
+    Object.entries(value).forEach(([name, child]) => {
+      const childSchema = schema.properties?.[name] || schema.additionalProperties;
+      if (childSchema) errors.push(...validateAgainstSchema(child, childSchema, `${path}.${name}`));
+    });
+  }
+  return errors;
+};
+
+/**
+ * Pull the JSON object out of a model answer (code fences and chatter around it are ignored)
+ * @returns {Object} { value } or { error }
+ */
+const extractJsonObject = (text) => {
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    return { error: 'answer has no JSON object' };
+  }
+
+  const candidate = unfenced.slice(start, end + 1);
+  try {
+    return { value: JSON.parse(candidate) };
+  } catch (error) {
+    // Trailing commas are the most common slip
+    try {
+      return { value: JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1')), repaired: true };
+    } catch {
+      return { error: `answer is not valid JSON (${error.message})` };
+    }
+  }
+};
+
+// Field names models use instead of the schema's
+const COMPARISON_FIELD_ALIASES = {
+  score: 'similarityScore',
+  similarity: 'similarityScore',
+  similarity_score: 'similarityScore',
+  keyDifferences: 'differences',
+  visualDifferences: 'differences',
+  visual_differences: 'differences',
+  promptImprovements: 'improvements',
+  prompt_improvements: 'improvements'
+};
+
+const ASPECT_ALIASES = {
+  colors: 'colours',
+  color: 'colours',
+  colour: 'colours',
+  number: 'count',
+  quantity: 'count',
+  position: 'composition',
+  layout: 'composition',
+  setting: 'background'
+};
+
+/**
+ * Fix the small, unambiguous slips in a comparison object: aliased field
+ * and aspect names, scores given as "85" or "85%" or 84.6, bare aspect
+ * scores without an explanation, lists instead of text
+ * @returns {Object} { value, changed }
+ */
+const repairComparisonObject = (raw) => {
+  let changed = false;
+
+  const renameFields = (object, aliases) => {
+    const renamed = {};
+    Object.entries(object).forEach(([name, field]) => {
+      const target = aliases[name] && object[aliases[name]] === undefined ? aliases[name] : name;
+      if (target !== name) changed = true;
+      renamed[target] = field;
+    });
+    return renamed;
+  };
+  const value = renameFields(raw, COMPARISON_FIELD_ALIASES);
+
+  const toScore = (score) => {
+    const number = typeof score === 'string' ? Number(score.trim().replace(/%$/, '')) : score;
+    if (typeof number !== 'number' || !Number.isFinite(number) || Number.isInteger(score)) return score;
+    changed = true;
+    return Math.round(number);
+  };
+
+  if (value.similarityScore !== undefined) value.similarityScore = toScore(value.similarityScore);
+  if (value.aspects && typeof value.aspects === 'object' && !Array.isArray(value.aspects)) {
+    value.aspects = Object.fromEntries(Object.entries(renameFields(value.aspects, ASPECT_ALIASES)).map(([name, aspect]) => {
+      if (aspect !== null && typeof aspect === 'object' && !Array.isArray(aspect)) {
+        return [name, aspect.score === undefined ? aspect : { ...aspect, score: toScore(aspect.score) }];
+      }
+      const score = toScore(aspect);
+      if (!Number.isInteger(score)) return [name, aspect];
+      changed = true;
+      return [name, { score, explanation: '' }];
+    }));
+  }
+  ['differences', 'improvements'].forEach(name => {
+    if (Array.isArray(value[name]) && value[name].every(item => typeof item === 'string')) {
+      value[name] = value[name].join(' ');
+      changed = true;
+    }
+  });
+
+  return { value, changed };
+};
+
+/**
+ * Parse and validate a JSON comparison answer
+ * @param {string} responseText - Model answer
+ * @returns {Object} { status: 'valid' | 'repaired' | 'invalid', value, errors }
+ */
+export const parseStructuredComparison = (responseText) => {
+  const extracted = extractJsonObject(responseText);
+  if (extracted.error) {
+    return { status: 'invalid', value: null, errors: [extracted.error] };
+  }
+  if (extracted.value === null || typeof extracted.value !== 'object' || Array.isArray(extracted.value)) {
+    return { status: 'invalid', value: null, errors: ['answer must be a JSON object'] };
+  }
+
+  const { value, changed } = repairComparisonObject(extracted.value);
+  const errors = validateAgainstSchema(value, COMPARISON_SCHEMA);
+  if (errors.length > 0) {
+    return { status: 'invalid', value: null, errors };
+  }
+  return { status: extracted.repaired || changed ? 'repaired' : 'valid', value, errors: [] };
+};
+
+/**
+ * Parse AI response to extract structured data
+ * Legacy "SIMILARITY SCORE: N%" text format, the last resort when the JSON answer is unusable
+ */
+export const parseComparisonResponse = (responseText) => {
+  const result = {
+    similarityScore: null,
+    keyDifferences: '',
+    promptImprovements: '',
+    fullResponse: responseText
+  };
+
+  try {
+    // Extract similarity score
+    const scoreMatch = responseText.match(/SIMILARITY\s+SCORE:\s*(\d+)%/i);
+    if (scoreMatch) {
+      result.similarityScore = parseInt(scoreMatch[1], 10);
+    }
+
+    // Extract visual differences
+    const diffMatch = responseText.match(/VISUAL\s+DIFFERENCES:\s*(.+?)(?=PROMPT\s+IMPROVEMENTS:|$)/is);
+    if (diffMatch) {
+      result.keyDifferences = diffMatch[1].trim();
+    }
+
+    // Extract prompt improvements
+    const improvMatch = responseText.match(/PROMPT\s+IMPROVEMENTS:\s*(.+?)$/is);
+    if (improvMatch) {
+      result.promptImprovements = improvMatch[1].trim();
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Error parsing response:', error);
+    return result;
+  }
+};
+
+/**
+ * Base64 encode binary data (works in Node and Workers)
+ */
+const arrayBufferToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Convert an image reference to a data URL
+ * Supports: data URLs (returned as-is) and HTTP/HTTPS URLs (fetched)
+ * @param {string} image - Image data URL or URL
+ * @param {Function} fetchImpl - fetch implementation (optional)
+ * @returns {Promise<string>} data:image/... URL
+ */
+export const toImageDataUrl = async (image, fetchImpl = fetch) => {
+  try {
+    if (image.startsWith('data:image/')) {
+      if (!/;base64,/.test(image)) {
+        throw new Error('Invalid data URL format');
+      }
+      return image;
+    }
+
+    if (image.startsWith('http://') || image.startsWith('https://')) {
+      const response = await fetchImpl(image);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch image: ${response.status} ${response.statusText} from ${image}`);
+      }
+
+      const contentType = (response.headers.get('Content-Type') || 'image/jpeg').split(';')[0];
+      const base64 = arrayBufferToBase64(await response.arrayBuffer());
+      return `data:${contentType};base64,${base64}`;
+    }
+
+    throw new Error(`Unsupported image format: ${image.slice(0, 50)}`);
+  } catch (error) {
+    throw new Error(`Image conversion failed: ${error.message}`);
+  }
+};
+
+/**
+ * Send one vision request to SiliconFlow, rotating API keys and retrying
+ * Shared by image comparison and the generated image safety check.
+ * @param {Array} content - User message parts ({ type: 'text' } and { type: 'image_url' })
+ * @param {Object} options
+ * @param {string} options.label - What the call is for, used in logs and errors
+ * @param {number} options.maxTokens - Completion token limit
+ * @param {Function} options.getApiKey - Returns the next SiliconFlow API key
+ * @param {Function} options.reportApiKey - Told how each call with a key ended (optional, see keyPool.js)
+ * @param {string} options.apiUrl - Chat completions endpoint (default SILICONFLOW_API_URL)
+ * @param {string} options.model - Vision model (default SILICONFLOW_MODEL)
+ * @param {number} options.maxRetries - Attempts before giving up (default 3)
+ * @param {number} options.baseDelay - Backoff base delay in ms (default 1000)
+ * @param {Function} options.fetchImpl - fetch implementation (optional)
+ * @returns {Promise<Object>} { text, model, attempt }
+ */
+const requestVisionCompletion = async (content, options) => {
+  const {
+    label,
+    maxTokens,
+    getApiKey,
+    reportApiKey = () => {},
+    apiUrl = SILICONFLOW_API_URL,
+    model = SILICONFLOW_MODEL,
+    maxRetries = 3,
+    baseDelay = 1000,
+    fetchImpl = fetch
+  } = options;
+
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    let apiKey;
+    try {
+      console.log(`🔍 Starting ${label} (attempt ${attempt + 1}/${maxRetries})...`);
+
+      // Get next comparison API key for load balancing
+      apiKey = getApiKey();
+      if (!apiKey) {
+        throw new Error('SiliconFlow API key not found');
+      }
+      console.log(`🔑 Using comparison API key ${maskKey(apiKey)}`);
+
+      // Build request payload
+      const requestPayload = {
+        model,
+        messages: [{ role: 'user', content }],
+        max_tokens: maxTokens,
+        temperature: 0.2,
+        stream: false
+      };
+
+      console.log('📤 Sending request to SiliconFlow API...');
+
+      // Call SiliconFlow API
+      const response = await fetchImpl(apiUrl, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestPayload)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.text();
+        const error = new Error(`SiliconFlow API error: ${response.status} - ${errorData}`);
+        error.status = response.status;
+        error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        throw error;
+      }
+      reportApiKey(apiKey, { status: response.status });
+
+      const data = await response.json();
+      console.log('✅ Received response from SiliconFlow');
+
+      const text = data?.choices?.[0]?.message?.content || '';
+      if (!text) {
+        throw new Error('No content in API response');
+      }
+
+      return { text, model, attempt: attempt + 1 };
+
+    } catch (error) {
+      console.error(`❌ ${label} error (attempt ${attempt + 1}):`, error.message);
+
+      if (apiKey && error.status) {
+        reportApiKey(apiKey, { status: error.status, retryAfterMs: error.retryAfterMs });
+      }
+
+      // Every key is quarantined or over quota: retrying now cannot help
+      if (error.keysExhausted) {
+        throw error;
+      }
+
+      // If this is the last attempt, throw the error
+      if (attempt === maxRetries - 1) {
+        throw new Error(`${label[0].toUpperCase()}${label.slice(1)} failed after ${maxRetries} attempts: ${error.message}`);
+      }
+
+      // Otherwise, wait and try again with next API key
+      const delay = baseDelay * Math.pow(2, attempt); // Exponential backoff: 1s, 2s, 4s
+      console.log(`⏳ Retrying in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  // This should never be reached, but just in case
+  throw new Error(`${label} failed: Maximum retries exceeded`);
+};
+
+/**
+ * Compare two images using SiliconFlow API with retry
+ * The model is asked for JSON (COMPARISON_SCHEMA). An invalid answer is
+ * repaired locally when the slip is obvious, otherwise the model is asked once
+ * more to fix it (repairAttempts), and the legacy text parser is the last
+ * resort. parseStatus says which step produced the result (see PARSE_STATUSES).
+ * @param {string} targetImage - Target image (data URL or URL)
+ * @param {string} generatedImage - Generated image (data URL or URL)
+ * @param {string} originalPrompt - User's original prompt (optional)
+ * @param {Object} options - SiliconFlow options: getApiKey, reportApiKey, apiUrl, model,
+ *   maxRetries, baseDelay, fetchImpl (see requestVisionCompletion), plus repairAttempts (default 1)
+ *   weights (rubric weights for overallScore, see comparisonRubric.js) and feedback
+ *   ({ language, script, ageBand, tone }, see feedbackTemplates.js)
+ * @returns {Promise<Object>} Comparison result with score, differences, improvements, rubric,
+ *   overallScore, parseStatus and template (the feedback template id and version used)
+ */
+export const compareImages = async (targetImage, generatedImage, originalPrompt = '', options = {}) => {
+  const fetchImpl = options.fetchImpl || fetch;
+  const { repairAttempts = 1, weights = createRubric().weights, feedback = DEFAULT_FEEDBACK } = options;
+  const instructions = buildFeedbackInstructions(feedback);
+
+  // Convert both images once, before spending any API calls
+  const targetImageData = await toImageDataUrl(targetImage, fetchImpl);
+  const generatedImageData = await toImageDataUrl(generatedImage, fetchImpl);
+
+  const { text, model, attempt } = await requestVisionCompletion([
+    { type: 'text', text: buildComparisonPrompt(originalPrompt, instructions) },
+    { type: 'image_url', image_url: { url: targetImageData } },
+    { type: 'image_url', image_url: { url: generatedImageData } }
+  ], { ...options, fetchImpl, label: 'image comparison', maxTokens: 800 });
+
+  let parsed = parseStructuredComparison(text);
+  let parseStatus = parsed.status;
+
+  // Ask the model to fix its own answer (text only, no images resent)
+  for (let repair = 0; parsed.status === 'invalid' && repair < repairAttempts; repair++) {
+    console.warn(`⚠️ Comparison answer is not valid JSON: ${parsed.errors.join('; ')}`);
+    try {
+      const { text: repairedText } = await requestVisionCompletion([
+        { type: 'text', text: buildRepairPrompt(text, parsed.errors) }
+      ], { ...options, fetchImpl, label: 'comparison repair', maxTokens: 800, maxRetries: 1 });
+      parsed = parseStructuredComparison(repairedText);
+      parseStatus = 'reasked';
+    } catch (error) {
+      console.warn(`⚠️ Comparison repair failed: ${error.message}`);
+      break;
+    }
+  }
+
+  let fields;
+  if (parsed.status !== 'invalid') {
+    const { similarityScore, differences, improvements, aspects } = parsed.value;
+    fields = {
+      similarityScore,
+      overallScore: scoreRubric(aspects, weights) ?? similarityScore,
+      keyDifferences: differences.trim(),
+      promptImprovements: improvements.trim(),
+      rubric: Object.fromEntries(RUBRIC_ASPECTS.map(aspect => [aspect, {
+        score: aspects[aspect].score,
+        explanation: aspects[aspect].explanation.trim(),
+        weight: weights[aspect]
+      }]))
+    };
+  } else {
+    const legacy = parseComparisonResponse(text);
+    parseStatus = legacy.similarityScore !== null ? 'legacy' : 'failed';
+    fields = {
+      similarityScore: legacy.similarityScore,
+      overallScore: legacy.similarityScore,
+      keyDifferences: legacy.keyDifferences,
+      promptImprovements: legacy.promptImprovements
+    };
+    console.warn(`⚠️ Comparison answer unusable as JSON, ${parseStatus === 'legacy' ? 'used the text parser' : 'no score found'}`);
+  }
+
+  return {
+    success: true,
+    ...fields,
+    fullResponse: text,
+    parseStatus,
+    template: instructions.template,
+    metadata: {
+      model,
+      provider: 'SiliconFlow',
+      timestamp: new Date().toISOString(),
+      attempt
+    }
+  };
+};
+
+// ============================================
+// Generated image safety
+// ============================================
+
+export const IMAGE_SAFETY_CATEGORIES = ['none', 'violence', 'weapons', 'sexual', 'drugs', 'self_harm', 'hate', 'scary', 'other'];
+
+// Added to the prompt when an image is regenerated after failing the check.
+// Positive wording only: naming what to avoid in the prompt itself tends to
+// put it in the picture.
+const SAFER_PROMPT_SUFFIX = 'wholesome, bright and cheerful, child-friendly, suitable for young children';
+
+// What to avoid goes in the negative prompt instead, for providers that take
+// one (requestImage leaves it out for the others)
+const SAFER_NEGATIVE_PROMPT = 'violence, blood, weapons, nudity, scary or disturbing content, smoking, alcohol';
+
+/**
+ * Negative prompt for a regeneration: the safety list, then the learner's own
+ */
+const saferNegativePrompt = (negativePrompt) =>
+  [SAFER_NEGATIVE_PROMPT, typeof negativePrompt === 'string' ? negativePrompt.trim() : '']
+    .filter(Boolean)
+    .join(', ')
+    .slice(0, MAX_NEGATIVE_PROMPT_LENGTH);
+
+// Shown instead of an image that is still unsuitable after regenerating
+export const SAFETY_PLACEHOLDER_IMAGE = `data:image/svg+xml;base64,${btoa(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512">' +
+  '<rect width="100%" height="100%" fill="#fef3c7"/>' +
+  '<circle cx="256" cy="200" r="80" fill="#fbbf24"/>' +
+  '<text x="50%" y="360" font-size="26" text-anchor="middle" fill="#92400e">Let\'s try a different idea!</text>' +
+  '</svg>'
+)}`;
+
+/**
+ * Build the safety classification prompt
+ */
+export const buildSafetyPrompt = () => `You check pictures for a drawing app used by 5-8 year old children.
+Is this image suitable for them? Unsuitable: violence, blood or gore, weapons, nudity or sexual content, drugs, alcohol or smoking, self harm, hate symbols, or very scary content.
+
+Format EXACTLY as:
+SAFE: [yes or no]
+CATEGORY: [one of: ${IMAGE_SAFETY_CATEGORIES.join(', ')}]
+REASON: [max 20 words]`;
+
+/**
+ * Parse a safety classification
+ * @returns {Object} { safe, category, reason }
+ * @throws {Error} When the answer has no SAFE line
+ */
+export const parseSafetyResponse = (responseText) => {
+  const safeMatch = responseText.match(/SAFE:\s*(yes|no)/i);
+  if (!safeMatch) {
+    throw new Error('Safety check answer has no SAFE line');
+  }
+
+  const category = (responseText.match(/CATEGORY:\s*([a-z_]+)/i)?.[1] || '').toLowerCase();
+  const safe = safeMatch[1].toLowerCase() === 'yes';
+
+  return {
+    safe,
+    category: IMAGE_SAFETY_CATEGORIES.includes(category) ? category : (safe ? 'none' : 'other'),
+    reason: responseText.match(/REASON:\s*(.+?)$/is)?.[1].trim() || ''
+  };
+};
+
+/**
+ * Classify a generated image with the SiliconFlow vision model
+ * @param {string} image - Image data URL or URL
+ * @param {Object} options - SiliconFlow options (see requestVisionCompletion)
+ * @returns {Promise<Object>} { safe, category, reason }
+ */
+export const checkImageSafety = async (image, options = {}) => {
+  const fetchImpl = options.fetchImpl || fetch;
+  const imageData = await toImageDataUrl(image, fetchImpl);
+
+  const { text } = await requestVisionCompletion([
+    { type: 'text', text: buildSafetyPrompt() },
+    { type: 'image_url', image_url: { url: imageData } }
+  ], { ...options, fetchImpl, label: 'image safety check', maxTokens: 100 });
+
+  return parseSafetyResponse(text);
+};
+
+/**
+ * Check a generated image, regenerating it with a safer prompt (then falling
+ * back to a placeholder) when it is unsuitable
+ * @param {Object} result - Generation result
+ * @param {Object} options
+ * @param {Function} options.check - async (imageUrl) => { safe, category, reason }
+ * @param {Function} options.regenerate - async () => generation result with the safer prompt
+ * @param {number} options.maxRegenerations - Safer attempts before the placeholder (default 1)
+ * @param {boolean} options.failOpen - Keep the image when the check itself fails (default true)
+ * @param {Function} options.onProgress - Progress callback (optional)
+ * @returns {Promise<Object>} Result with `safety`: { checked, passed, category, action }
+ */
+const applyImageSafety = async (result, { check, regenerate, maxRegenerations = 1, failOpen = true, onProgress = () => {} }) => {
+  const placeholder = (current) => ({ ...current, imageUrl: SAFETY_PLACEHOLDER_IMAGE, imageId: undefined, placeholder: true });
+  let current = result;
+
+  for (let attempt = 0; ; attempt++) {
+    let verdict;
+    try {
+      verdict = await check(current.imageUrl);
+    } catch (error) {
+      console.warn(`⚠️ Image safety check failed${failOpen ? ', keeping the image' : ''}: ${error.message}`);
+      onProgress('safety_checked', { passed: null });
+      return failOpen
+        ? { ...current, safety: { checked: false, passed: null, category: null, action: 'unchecked' } }
+        : { ...placeholder(current), safety: { checked: false, passed: null, category: null, action: 'placeholder' } };
+    }
+
+    onProgress('safety_checked', { passed: verdict.safe });
+    if (verdict.safe) {
+      return { ...current, safety: { checked: true, passed: true, category: 'none', action: attempt > 0 ? 'regenerated' : 'none' } };
+    }
+
+    console.warn(`🚫 Generated image failed the safety check (${verdict.category}): ${verdict.reason}`);
+    if (attempt >= maxRegenerations) {
+      return { ...placeholder(current), safety: { checked: true, passed: false, category: verdict.category, action: 'placeholder' } };
+    }
+
+    onProgress('safety_regenerating', { attempt: attempt + 1 });
+    current = await regenerate();
+  }
+};
+
+/**
+ * Check the other images of a multi-image result (the first one went through
+ * applyImageSafety). Unsuitable ones are dropped rather than regenerated.
+ * @param {Object} result - Result of applyImageSafety with `images`
+ * @param {Object} options - { check, failOpen } as for applyImageSafety
+ * @returns {Promise<Object>} Result with the images that passed
+ */
+const checkExtraImages = async (result, { check, failOpen = true }) => {
+  const { images, ...primary } = result;
+  if (result.placeholder) return primary;
+
+  const extras = await Promise.all(images.slice(1).map(async (image) => {
+    try {
+      return (await check(image.imageUrl)).safe ? image : null;
+    } catch (error) {
+      console.warn(`⚠️ Image safety check failed${failOpen ? ', keeping the image' : ''}: ${error.message}`);
+      return failOpen ? image : null;
+    }
+  }));
+
+  return { ...primary, images: [images[0], ...extras.filter(Boolean)] };
+};
+
+// ============================================
+// HTTP handler
+// ============================================
+
+/**
+ * Build a JSON response
+ */
+export const jsonResponse = (body, status = 200, headers = {}) => {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      ...JSON_HEADERS,
+      ...headers
+    }
+  });
+};
+
+// Set on 400s for requests turned away before any upstream work (no moderation
+// call, no generation), which the rate limiter gives back (see rateLimiter.js)
+export const VALIDATION_FAILED_HEADER = 'X-Validation-Failed';
+
+/**
+ * Build the 400 answer to a request that failed validation
+ */
+const validationFailure = (error) => jsonResponse({ success: false, error }, 400, { [VALIDATION_FAILED_HEADER]: 'true' });
+
+/**
+ * Read a JSON request body, returning an error response when it is unusable
+ * @returns {Promise<Object>} { body } or { error: Response }
+ */
+const readJsonBody = async (request) => {
+  const contentType = request.headers.get('Content-Type');
+  if (!contentType || !contentType.includes('application/json')) {
+    return { error: validationFailure('Content-Type must be application/json') };
+  }
+
+  const body = await request.json().catch(() => null);
+  if (!body) {
+    return { error: validationFailure('Invalid JSON in request body') };
+  }
+
+  return { body };
+};
+
+// Comparison fields that may be file parts of a multipart/form-data body
+const COMPARISON_IMAGE_FIELDS = ['targetImage', 'generatedImage'];
+
+// What a comparison response says about a loaded image (never the bytes)
+const describeImage = ({ type, size, source }) => ({ type, size, source });
+
+/**
+ * Read a comparison request body: JSON, or multipart/form-data with the images as
+ * file parts or text fields. Form fields are text, so weights (JSON) and
+ * localWeight (number) are parsed here.
+ * @returns {Promise<Object>} { body } or { error: Response }
+ */
+const readComparisonBody = async (request) => {
+  const contentType = request.headers.get('Content-Type') || '';
+  if (!contentType.includes('multipart/form-data')) {
+    if (!contentType.includes('application/json')) {
+      return { error: validationFailure('Content-Type must be application/json or multipart/form-data') };
+    }
+    return readJsonBody(request);
+  }
+
+  const form = await request.formData().catch(() => null);
+  if (!form) {
+    return { error: validationFailure('Invalid multipart/form-data body') };
+  }
+
+  const body = {};
+  for (const [name, value] of form) {
+    if (typeof value !== 'string' && !COMPARISON_IMAGE_FIELDS.includes(name)) {
+      return { error: validationFailure(`${name} must be a text field`) };
+    }
+    body[name] = value;
+  }
+
+  if (body.weights !== undefined) {
+    try {
+      body.weights = JSON.parse(body.weights);
+    } catch {
+      return { error: validationFailure('weights must be a JSON object') };
+    }
+  }
+  if (body.localWeight !== undefined) {
+    body.localWeight = body.localWeight.trim() === '' ? NaN : Number(body.localWeight);
+  }
+
+  return { body };
+};
+
+/**
+ * Generation parameters given in a request body (see GENERATION_PARAMETERS)
+ */
+const pickGenerationParams = (body) => Object.fromEntries(GENERATION_PARAMETERS
+  .filter(name => body[name] !== undefined)
+  .map(name => [name, body[name]]));
+
+/**
+ * Validate the optional provider, model and parameter overrides of a generation request
+ * Parameters are checked against the provider asked first: the requested one, or the head of the chain
+ * @param {Object} body - Request body
+ * @param {Object} options - { configuredProviders, generation } from the handler context
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateGenerationOptions = (body, { configuredProviders, generation }) => {
+  const { provider, model } = body;
+  if (provider !== undefined && !getProvider(provider)) {
+    return `Unknown provider (available: ${getProviderNames().join(', ')})`;
+  }
+
+  const target = provider !== undefined ? getProvider(provider) : resolveProviders(null, configuredProviders)[0];
+  return validateGenerationParams(target, { model, ...pickGenerationParams(body) }, generation);
+};
+
+/**
+ * Validate a POST /admin/cache/invalidate body
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateInvalidation = (body) => {
+  const { prompt, prefix, olderThanSeconds, all, expiredOnly } = body || {};
+
+  if (prompt !== undefined && (typeof prompt !== 'string' || prompt.trim().length === 0)) {
+    return 'Prompt must be a non-empty string';
+  }
+  if (prefix !== undefined && (typeof prefix !== 'string' || prefix.length === 0)) {
+    return 'Prefix must be a non-empty string';
+  }
+  if (olderThanSeconds !== undefined && (typeof olderThanSeconds !== 'number' || !(olderThanSeconds >= 0))) {
+    return 'olderThanSeconds must be a non-negative number';
+  }
+  if (all !== undefined && typeof all !== 'boolean') {
+    return 'all must be a boolean';
+  }
+  if (expiredOnly !== undefined && typeof expiredOnly !== 'boolean') {
+    return 'expiredOnly must be a boolean';
+  }
+
+  const filters = [prompt, prefix, olderThanSeconds].filter(value => value !== undefined).length;
+  const modes = [all, expiredOnly].filter(value => value === true).length;
+  if (filters + modes === 0) {
+    return 'Give at least one of prompt, prefix, olderThanSeconds, or all / expiredOnly: true';
+  }
+  if (modes > 0 && filters + modes > 1) {
+    return 'all and expiredOnly cannot be combined with other criteria';
+  }
+  return null;
+};
+
+/**
+ * Create the /api/* request handler for a runtime
+ * @param {Object} context
+ * @param {string} context.platform - Human readable runtime name
+ * @param {string} context.configuredProviders - Provider chain from config
+ * @param {Object} context.providerEndpoints - Provider API URL overrides (optional, see config.js)
+ * @param {Object} context.generation - Generation parameter defaults and model lists (optional, see config.js)
+ * @param {Object} context.enhancer - Prompt enhancer (optional, default presets, see promptEnhancement.js)
+ * @param {Function} context.getApiKey - Returns the next image provider API key
+ * @param {Function} context.reportApiKey - Told how each image provider call with a key ended (optional)
+ * @param {Function} context.getComparisonKey - Returns the next SiliconFlow API key
+ * @param {Function} context.reportComparisonKey - Told how each SiliconFlow call with a key ended (optional)
+ * @param {Object} context.comparison - { endpoint, model } overrides for SiliconFlow (optional)
+ * @param {Object} context.rubric - Comparison rubric weights and lessons (optional, see comparisonRubric.js)
+ * @param {Object} context.cache - ImageCache instance (optional, see imageCache.js)
+ * @param {Object} context.blobStore - Local image store (optional, see blobStore.js)
+ * @param {Object} context.imageInput - Loads comparison images from data URLs, URLs and uploads
+ *   (optional, default hosts and size limit, see imageInput.js)
+ * @param {Function} context.compareImages - Override for image comparison (optional),
+ *   (targetImage, generatedImage, originalPrompt, { weights, feedback, client }) => result (client is the
+ *   authenticated caller, null when anonymous)
+ * @param {Object} context.imageSafety - { enabled, maxRegenerations, failOpen } generated image check (optional, see config.js)
+ * @param {Function} context.checkImageSafety - Override for the image safety check (optional)
+ * @param {Object} context.moderator - Prompt moderation run before generating (optional, see moderation.js)
+ * @param {Object} context.moderationLog - Blocked prompt log for GET /admin/moderation (optional)
+ * @param {Function} context.getStatus - Extra runtime status fields, aggregate counts only (optional)
+ * @param {Function} context.getAdminStatus - Detailed runtime status for GET /admin/status (optional)
+ * @param {number} context.heartbeatMs - SSE heartbeat interval (optional)
+ * @returns {Function} async (request, client) => Response (client from auth.js, for the moderation log)
+ */
+export const createApiHandler = (context) => {
+  const {
+    platform,
+    configuredProviders,
+    providerEndpoints,
+    generation = {},
+    enhancer = createPromptEnhancer(),
+    getApiKey,
+    reportApiKey,
+    getComparisonKey,
+    reportComparisonKey,
+    comparison = {},
+    rubric = createRubric(),
+    cache = null,
+    blobStore = null,
+    imageInput = createImageInput({ blobStore }),
+    heartbeatMs = SSE_HEARTBEAT_MS,
+    getStatus = () => ({}),
+    getAdminStatus = () => ({}),
+    moderator = null,
+    moderationLog = null,
+    imageSafety = { enabled: false }
+  } = context;
+
+  const runComparison = context.compareImages || ((targetImage, generatedImage, originalPrompt, { weights, feedback }) =>
+    compareImages(targetImage, generatedImage, originalPrompt, {
+      getApiKey: getComparisonKey,
+      reportApiKey: reportComparisonKey,
+      apiUrl: comparison.endpoint,
+      model: comparison.model,
+      weights,
+      feedback
+    }));
+
+  // The safety check uses the comparison (SiliconFlow) keys and model
+  const runSafetyCheck = context.checkImageSafety || ((image) => checkImageSafety(image, {
+    getApiKey: getComparisonKey,
+    reportApiKey: reportComparisonKey,
+    apiUrl: comparison.endpoint,
+    model: comparison.model
+  }));
+  const safety = imageSafety.enabled
+    ? { check: runSafetyCheck, maxRegenerations: imageSafety.maxRegenerations, failOpen: imageSafety.failOpen }
+    : null;
+
+  const runGeneration = (request, prompt, { provider, model, params, enhancement }, hooks = {}) => generateImage(prompt, {
+    provider,
+    model,
+    params,
+    generation,
+    enhancement,
+    configuredProviders,
+    endpoints: providerEndpoints,
+    getApiKey,
+    reportApiKey,
+    cache,
+    blobStore,
+    safety,
+    publicBaseUrl: new URL(request.url).origin,
+    ...hooks
+  });
+
+  /**
+   * Run prompt moderation over the prompt and the negative prompt, if any
+   * @returns {Promise<Response|null>} A friendly 400 when the prompt is blocked
+   */
+  const moderatePrompt = async (request, prompt, client, negativePrompt = null) => {
+    if (!moderator) return null;
+
+    const verdict = await moderator.check([prompt, negativePrompt].filter(Boolean).join('\n'), {
+      clientId: client?.id,
+      studentId: request.headers.get('X-Student-Id'),
+      classroomId: request.headers.get('X-Classroom-Id')
+    });
+    return verdict.blocked
+      ? jsonResponse({ success: false, error: BLOCKED_PROMPT_MESSAGE, blocked: true }, 400)
+      : null;
+  };
+
+  const endpoints = [
+    ...API_ENDPOINTS,
+    ...(blobStore ? ['GET /api/images/:id'] : [])
+  ];
+
+  /**
+   * Status for a failed generation or comparison: upstream client errors and
+   * rate limits keep theirs, so load balancers pass them on instead of
+   * retrying them as worker faults
+   * @returns {Object} { status, retryAfter } (retryAfter in seconds, or null)
+   */
+  const describeFailure = (error) => ({
+    status: error.status >= 400 && error.status < 600 ? error.status : 500,
+    retryAfter: error.retryAfterMs ? Math.ceil(error.retryAfterMs / 1000) : null
+  });
+
+  const failureResponse = (error, fallbackMessage) => {
+    const { status, retryAfter } = describeFailure(error);
+    return jsonResponse({
+      success: false,
+      error: error.message || fallbackMessage,
+      timestamp: new Date().toISOString()
+    }, status, retryAfter ? { 'Retry-After': String(retryAfter) } : {});
+  };
+
+  const describeProvider = (result) => `${getProvider(result.provider).label} (${result.model})`;
+
+  // Generation metadata shared by the JSON and SSE answers
+  const describeGeneration = (result) => ({
+    ...(result.images ? { images: result.images.map(({ contentType, ...image }) => image) } : {}),
+    provider: result.provider,
+    model: result.model,
+    ...(result.parameters ? { parameters: result.parameters } : {}),
+    // Providers without seeds (imagerouter) get none, so the image may differ between calls
+    ...(result.parameters ? { seedApplied: result.parameters.seed !== undefined } : {}),
+    enhancement: result.enhancement,
+    ...(result.providerPrompt ? { enhancedPrompt: result.providerPrompt } : {}),
+    cached: result.cached,
+    ...(result.safety ? { safety: result.safety } : {})
+  });
+
+  const handleHealth = () => jsonResponse({
+    success: true,
+    status: 'healthy',
+    message: 'Server is running',
+    service: 'AI Image Generation API',
+    platform,
+    version: API_VERSION,
+    timestamp: new Date().toISOString()
+  });
+
+  // Public status: aggregate counts only (per-prompt and per-process details
+  // are on the admin status)
+  const buildStatus = async (request) => ({
+    success: true,
+    service: 'AI Image Generation API',
+    status: 'operational',
+    platform,
+    version: API_VERSION,
+    providers: {
+      configured: resolveProviders(null, configuredProviders).map(p => p.name),
+      available: getProviderNames(),
+      // What clients may ask each provider for (see POST /api/generate-image)
+      parameters: Object.fromEntries(getProviderNames().map(name => {
+        const { models, ...parameters } = getProvider(name).parameters;
+        return [name, { models: generation.models?.[name]?.allowed ?? models, ...parameters }];
+      })),
+      defaults: generation.defaults || {},
+      deriveSeeds: generation.deriveSeeds !== false
+    },
+    enhancement: {
+      default: enhancer.defaultPreset,
+      presets: [...Object.keys(enhancer.presets), CUSTOM_ENHANCEMENT]
+    },
+    rubric: {
+      aspects: RUBRIC_ASPECTS,
+      weights: rubric.weights,
+      lessons: Object.keys(rubric.lessons)
+    },
+    // Comparison feedback options (see POST /api/compare-images)
+    feedback: {
+      default: DEFAULT_FEEDBACK,
+      languages: Object.fromEntries(Object.entries(FEEDBACK_TEMPLATES)
+        .map(([language, { version, scripts }]) => [language, { version, scripts }])),
+      ageBands: Object.keys(AGE_BANDS),
+      tones: Object.keys(TONES)
+    },
+    cache: cache ? describeCache() : { enabled: false },
+    imageStore: blobStore ? { enabled: true, backend: blobStore.name } : { enabled: false },
+    // Ways POST /api/compare-images accepts images
+    imageInput: {
+      sources: IMAGE_SOURCES,
+      allowedHosts: imageInput.allowedHosts,
+      maxBytes: imageInput.maxBytes
+    },
+    limits: {
+      maxPromptLength: `${MAX_PROMPT_LENGTH} characters`
+    },
+    api: {
+      endpoints
+    },
+    ...(await getStatus(request)),
+    timestamp: new Date().toISOString()
+  });
+
+  const handleStatus = async (request) => jsonResponse(await buildStatus(request));
+
+  const handleAdminStatus = async (request) => jsonResponse({
+    ...(await buildStatus(request)),
+    ...(await getAdminStatus(request)),
+    timestamp: new Date().toISOString()
+  });
+
+  const describeCache = () => {
+    const { size, ...stats } = cache.stats();
+    return {
+      enabled: true,
+      totalCached: size,
+      ...stats
+    };
+  };
+
+  const handleListCache = async (request) => {
+    const params = new URL(request.url).searchParams;
+    const offset = Math.max(0, parseInt(params.get('offset'), 10) || 0);
+    const limit = Math.min(MAX_ADMIN_PAGE_SIZE, Math.max(1, parseInt(params.get('limit'), 10) || 50));
+
+    return jsonResponse({
+      success: true,
+      ...(await cache.list({ offset, limit, prefix: params.get('prefix') ?? undefined })),
+      cache: describeCache()
+    });
+  };
+
+  const handleInvalidateCache = async (request) => {
+    const { body, error } = await readJsonBody(request);
+    if (error) return error;
+
+    const validationError = validateInvalidation(body);
+    if (validationError) {
+      return jsonResponse({ success: false, error: validationError }, 400);
+    }
+
+    const { prompt, prefix, olderThanSeconds, all, expiredOnly } = body;
+    let cleared;
+    if (all === true) {
+      cleared = await cache.clear();
+    } else if (expiredOnly === true) {
+      cleared = await cache.prune();
+    } else {
+      cleared = await cache.invalidate({
+        prompt,
+        prefix,
+        olderThanMs: olderThanSeconds !== undefined ? olderThanSeconds * 1000 : undefined
+      });
+    }
+
+    return jsonResponse({
+      success: true,
+      message: `Invalidated ${cleared} cached images`,
+      clearedCount: cleared,
+      cache: describeCache()
+    });
+  };
+
+  const handleClearCache = async (request) => {
+    // Body is optional: { expiredOnly: true } only removes expired entries
+    const body = await request.json().catch(() => ({}));
+    const expiredOnly = body?.expiredOnly === true;
+
+    const cleared = expiredOnly ? await cache.prune() : await cache.clear();
+    return jsonResponse({
+      success: true,
+      message: `Cleared ${cleared} ${expiredOnly ? 'expired ' : ''}cached images`,
+      clearedCount: cleared,
+      backend: cache.stats().backend,
+      cache: describeCache()
+    });
+  };
+
+  const handleGenerateImage = async (request, client) => {
+    try {
+      const { body, error } = await readJsonBody(request);
+      if (error) return error;
+
+      const { prompt, provider, model } = body;
+
+      // Validation
+      const validationError = validatePrompt(prompt) ||
+        validateGenerationOptions(body, { configuredProviders, generation }) ||
+        enhancer.validate(body);
+      if (validationError) {
+        return validationFailure(validationError);
+      }
+
+      // A custom template is moderated along with the prompt it wraps
+      const enhancement = enhancer.enhance(prompt, body);
+      const blocked = await moderatePrompt(request, enhancement.preset === CUSTOM_ENHANCEMENT ? enhancement.prompt : prompt, client, body.negativePrompt);
+      if (blocked) return blocked;
+
+      console.log(`🎨 Generating image for prompt: "${prompt}"`);
+
+      // Generate image
+      const result = await runGeneration(request, prompt, { provider, model, params: pickGenerationParams(body), enhancement });
+
+      console.log(`✅ Image generated successfully: ${result.imageUrl}`);
+
+      return jsonResponse({
+        success: true,
+        imageUrl: result.imageUrl,
+        ...(result.sourceUrl ? { sourceUrl: result.sourceUrl, imageId: result.imageId } : {}),
+        prompt: prompt,
+        ...describeGeneration(result),
+        ...(cache ? { totalCached: cache.stats().size } : {}),
+        timestamp: new Date().toISOString(),
+        generatedBy: describeProvider(result),
+        platform
+      });
+
+    } catch (error) {
+      console.error('❌ Error generating image:', error);
+      return failureResponse(error, 'Failed to generate image');
+    }
+  };
+
+  const handleGenerateImageStream = async (request, client) => {
+    const { body, error } = await readJsonBody(request);
+    if (error) return error;
+
+    const { prompt, provider, model } = body;
+
+    // Validation
+    const validationError = validatePrompt(prompt) ||
+      validateGenerationOptions(body, { configuredProviders, generation }) ||
+      enhancer.validate(body);
+    if (validationError) {
+      return validationFailure(validationError);
+    }
+
+    const enhancement = enhancer.enhance(prompt, body);
+    const blocked = await moderatePrompt(request, enhancement.preset === CUSTOM_ENHANCEMENT ? enhancement.prompt : prompt, client, body.negativePrompt);
+    if (blocked) return blocked;
+
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+
+    // Cancel upstream work as soon as the client goes away: either the runtime
+    // aborts the request, or the readable side is cancelled and writes start failing
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    request.signal?.addEventListener('abort', abort);
+    writer.closed.catch(abort);
+
+    const write = (text) => writer.write(encoder.encode(text)).catch(abort);
+    const send = (data) => write(`data: ${JSON.stringify(data)}\n\n`);
+    const sendPhase = (phase, data = {}) => send({
+      type: 'progress',
+      phase,
+      message: phase === 'cached' && data.hit ? 'Found image in cache' : SSE_PHASE_MESSAGES[phase],
+      ...data
+    });
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => write(': heartbeat\n\n'), heartbeatMs);
+
+    // Generate in the background while the stream is being consumed
+    (async () => {
+      try {
+        await sendPhase('validated');
+        await sendPhase('queued');
+
+        const result = await runGeneration(request, prompt, { provider, model, params: pickGenerationParams(body), enhancement }, {
+          signal: controller.signal,
+          onProgress: (phase, data) => {
+            sendPhase(phase, data);
+          }
+        });
+
+        await send({
+          type: 'success',
+          phase: 'done',
+          message: SSE_PHASE_MESSAGES.done,
+          imageUrl: result.imageUrl,
+          ...describeGeneration(result),
+          prompt
+        });
+      } catch (generationError) {
+        if (controller.signal.aborted) {
+          console.log(`🔌 Client disconnected, cancelled generation for prompt: "${prompt}"`);
+        } else {
+          // The stream has started with 200, so the upstream status goes in the event
+          const { status, retryAfter } = describeFailure(generationError);
+          await send({ type: 'error', phase: 'error', error: generationError.message, status, ...(retryAfter ? { retryAfter } : {}) });
+        }
+      } finally {
+        clearInterval(heartbeat);
+        request.signal?.removeEventListener('abort', abort);
+        await writer.close().catch(() => {});
+      }
+    })();
+
+    return new Response(readable, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      }
+    });
+  };
+
+  const handleListModeration = async (request) => {
+    const params = new URL(request.url).searchParams;
+    const offset = Math.max(0, parseInt(params.get('offset'), 10) || 0);
+    const limit = Math.min(MAX_ADMIN_PAGE_SIZE, Math.max(1, parseInt(params.get('limit'), 10) || 50));
+
+    return jsonResponse({
+      success: true,
+      offset,
+      limit,
+      ...(await moderationLog.list({
+        offset,
+        limit,
+        classroomId: params.get('classroomId'),
+        studentId: params.get('studentId'),
+        clientId: params.get('clientId')
+      })),
+      backend: moderationLog.name
+    });
+  };
+
+  const handleGetImage = async (request, id) => {
+    const response = await serveImage(blobStore, id, request);
+    return response || jsonResponse({ success: false, error: 'Image not found' }, 404);
+  };
+
+  const handleCompareImages = async (request, client) => {
+    try {
+      const { body, error } = await readComparisonBody(request);
+      if (error) return error;
+
+      const { originalPrompt } = body;
+
+      // Validation
+      if (!body.targetImage || !body.generatedImage) {
+        return validationFailure('Both targetImage and generatedImage are required');
+      }
+
+      const optionsError = rubric.validate(body) || validateFeedbackOptions(body) || validateScoringOptions(body);
+      if (optionsError) {
+        return validationFailure(optionsError);
+      }
+
+      // Data URLs, image URLs and uploads all become { bytes, type, size, source }
+      const origin = new URL(request.url).origin;
+      let images;
+      try {
+        images = await Promise.all(COMPARISON_IMAGE_FIELDS.map(name => imageInput.load(body[name], { name, origin })));
+      } catch (inputError) {
+        if (inputError.status !== 400) throw inputError;
+        return jsonResponse({ success: false, error: inputError.message }, 400);
+      }
+      const [target, generated] = images;
+      const imageDetails = { targetImage: describeImage(target), generatedImage: describeImage(generated) };
+
+      const scoring = body.scoring ?? DEFAULT_SCORING;
+      console.log(`🔍 Comparing images${originalPrompt ? ` for prompt: "${originalPrompt}"` : ''} (${scoring})`);
+
+      // Local metrics are extra information, a format we cannot decode must not fail the AI comparison
+      const measureLocally = async () => {
+        try {
+          return await compareImagesLocally(target.bytes, generated.bytes);
+        } catch (localError) {
+          console.warn(`⚠️ Local similarity unavailable: ${localError.message}`);
+          return { score: null, error: localError.message };
+        }
+      };
+
+      if (scoring === 'local') {
+        const localSimilarity = await measureLocally();
+        if (localSimilarity.score === null) {
+          return jsonResponse({ success: false, error: `Local comparison failed: ${localSimilarity.error}` }, 400);
+        }
+        console.log(`✅ Local image comparison completed: ${localSimilarity.score}%`);
+        return jsonResponse({
+          success: true,
+          similarityScore: localSimilarity.score,
+          overallScore: localSimilarity.score,
+          fullResponse: '',
+          keyDifferences: '',
+          promptImprovements: '',
+          localSimilarity,
+          scoring,
+          images: imageDetails,
+          metadata: { provider: 'local', timestamp: new Date().toISOString() },
+          platform
+        });
+      }
+
+      // Compare images (the local metrics run while the vision model answers)
+      const [result, localSimilarity] = await Promise.all([
+        runComparison(toDataUrl(target), toDataUrl(generated), originalPrompt || '', {
+          weights: rubric.resolveWeights(body),
+          feedback: resolveFeedbackOptions(body),
+          client
+        }),
+        scoring === 'ai' ? null : measureLocally()
+      ]);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Comparison failed');
+      }
+
+      console.log(`✅ Image comparison completed: ${result.similarityScore}%`);
+
+      return jsonResponse({
+        success: true,
+        similarityScore: result.similarityScore,
+        fullResponse: result.fullResponse,
+        keyDifferences: result.keyDifferences,
+        promptImprovements: result.promptImprovements,
+        ...(result.overallScore !== undefined ? { overallScore: result.overallScore } : {}),
+        ...(result.rubric ? { rubric: result.rubric } : {}),
+        ...(result.parseStatus ? { parseStatus: result.parseStatus } : {}),
+        ...(result.template ? { template: result.template } : {}),
+        ...(localSimilarity ? { localSimilarity } : {}),
+        ...(scoring === 'blend'
+          ? {
+            blendedScore: blendScores(
+              result.overallScore ?? result.similarityScore,
+              localSimilarity.score,
+              body.localWeight ?? DEFAULT_LOCAL_WEIGHT
+            )
+          }
+          : {}),
+        scoring,
+        images: imageDetails,
+        metadata: result.metadata,
+        ...(result.serverUsed ? { serverUsed: result.serverUsed, responseTime: result.responseTime } : {}),
+        platform
+      });
+
+    } catch (error) {
+      console.error('❌ Error comparing images:', error);
+      return failureResponse(error, 'Failed to compare images');
+    }
+  };
+
+  return async (request, client = null) => {
+    const url = new URL(request.url);
+    const path = url.pathname;
+    const method = request.method;
+
+    try {
+      if (path === '/api/health' && method === 'GET') {
+        return handleHealth();
+      }
+
+      if (path === '/api/status' && method === 'GET') {
+        return await handleStatus(request);
+      }
+
+      if (path === '/api/generate-image' && method === 'POST') {
+        return await handleGenerateImage(request, client);
+      }
+
+      if (path === '/api/generate-image-stream' && method === 'POST') {
+        return await handleGenerateImageStream(request, client);
+      }
+
+      if (path === '/api/compare-images' && method === 'POST') {
+        return await handleCompareImages(request, client);
+      }
+
+      if (path.startsWith('/api/images/') && (method === 'GET' || method === 'HEAD') && blobStore) {
+        return await handleGetImage(request, path.slice('/api/images/'.length));
+      }
+
+      // Admin routes (the runtimes check the admin credential before calling in)
+      if (path === '/admin/status' && method === 'GET') {
+        return await handleAdminStatus(request);
+      }
+
+      if (path === '/admin/cache' && method === 'GET' && cache) {
+        return await handleListCache(request);
+      }
+
+      if (path === '/admin/cache/invalidate' && method === 'POST' && cache) {
+        return await handleInvalidateCache(request);
+      }
+
+      if (path === '/admin/cache/clear' && method === 'POST' && cache) {
+        return await handleClearCache(request);
+      }
+
+      if (path === '/admin/moderation' && method === 'GET' && moderationLog) {
+        return await handleListModeration(request);
+      }
+
+      if (path.startsWith('/admin/')) {
+        return jsonResponse({ success: false, error: 'Admin route not found' }, 404);
+      }
+
+      // 404 for unknown routes
+      return jsonResponse({
+        success: false,
+        error: 'API endpoint not found',
+        availableEndpoints: endpoints
+      }, 404);
+
+    } catch (error) {
+      console.error('Global error handler:', error);
+      return jsonResponse({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+      }, 500);
+    }
+  };
+};
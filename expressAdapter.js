@@ -0,0 +1,99 @@
+/**
+ * Express Adapter
+ * Mounts a Fetch API style handler (Request -> Response, see core.js) on an
+ * Express app, so the Node server runs the same code as the workers.
+ */
+
+// Hop-by-hop headers that must not be copied onto the rebuilt request
+const SKIPPED_REQUEST_HEADERS = ['host', 'connection', 'content-length', 'transfer-encoding'];
+
+/**
+ * Convert an Express request into a Fetch API Request
+ * The body has already been parsed by express.json(), so it is re-serialized;
+ * raw bodies (multipart uploads, see express.raw in server.js) are passed on as they are.
+ * @param {Object} req - Express request
+ * @param {AbortSignal} signal - Fired when the client disconnects (optional)
+ * @returns {Request}
+ */
+export const toFetchRequest = (req, signal) => {
+  const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+  const headers = new Headers();
+  Object.entries(req.headers).forEach(([name, value]) => {
+    if (SKIPPED_REQUEST_HEADERS.includes(name) || value === undefined) return;
+    headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+  });
+
+  const init = {
+    method: req.method,
+    headers,
+    signal
+  };
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    init.body = Buffer.isBuffer(req.body) ? req.body : JSON.stringify(req.body ?? {});
+  }
+
+  return new Request(url, init);
+};
+
+/**
+ * Write a Fetch API Response to an Express response, streaming the body
+ * @param {Response} response - Fetch API response
+ * @param {Object} res - Express response
+ */
+export const sendFetchResponse = async (response, res) => {
+  res.status(response.status);
+  response.headers.forEach((value, name) => {
+    res.setHeader(name, value);
+  });
+
+  if (!response.body) {
+    res.end();
+    return;
+  }
+
+  res.flushHeaders();
+
+  const reader = response.body.getReader();
+
+  // Stop reading (and let the handler cancel upstream work) if the client leaves
+  const onClose = () => {
+    if (!res.writableFinished) {
+      reader.cancel().catch(() => {});
+    }
+  };
+  res.on('close', onClose);
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      res.write(value);
+    }
+  } finally {
+    res.off('close', onClose);
+    res.end();
+  }
+};
+
+/**
+ * Create Express middleware from a Fetch API handler
+ * The client IP (req.ip, which honours Express's "trust proxy" setting) is
+ * passed alongside, since a Fetch API Request has no notion of it.
+ * @param {Function} handler - async (request, { ip }) => Response
+ * @returns {Function} Express middleware
+ */
+export const mountFetchHandler = (handler) => async (req, res, next) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const response = await handler(toFetchRequest(req, controller.signal), { ip: req.ip });
+    await sendFetchResponse(response, res);
+  } catch (error) {
+    next(error);
+  }
+};
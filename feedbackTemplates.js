@@ -0,0 +1,137 @@
+/**
+ * Comparison Feedback Templates
+ * The wording of comparison feedback: which language and script the model
+ * answers in, and for which age and tone. Each language has a versioned
+ * template; the answer format (JSON, see COMPARISON_SCHEMA in core.js) is the
+ * same for all of them.
+ *
+ *   language  - hinglish (default), hindi, marathi, english
+ *   script    - latin or devanagari, where the language has both
+ *   ageBand   - 5-8 (default), 9-12, 13-16
+ *   tone      - playful (default), encouraging, neutral
+ *
+ * Bump a template's version whenever its wording changes; comparison responses
+ * echo the id and version so results can be traced to the prompt that made them.
+ */
+
+export const SCRIPTS = {
+  latin: 'Latin (Roman) letters',
+  devanagari: 'Devanagari script'
+};
+
+export const AGE_BANDS = {
+  '5-8': { audience: '5-8 year old child', vocabulary: 'simple', words: 70 },
+  '9-12': { audience: '9-12 year old student', vocabulary: 'clear, everyday', words: 90 },
+  '13-16': { audience: '13-16 year old student', vocabulary: 'clear and precise', words: 110 }
+};
+
+export const TONES = {
+  playful: 'playful',
+  encouraging: 'warm, encouraging',
+  neutral: 'calm, neutral'
+};
+
+// Prompt examples stay in English: that is what the image providers understand best
+export const FEEDBACK_TEMPLATES = {
+  hinglish: {
+    version: 1,
+    name: 'Hinglish (Hindi + English)',
+    scripts: ['latin'],
+    target: 'Target image (jo banana hai)',
+    improvementsHint: 'target image jaisa image banane ke liye prompt me kya add/change karein'
+  },
+  hindi: {
+    version: 1,
+    name: 'Hindi',
+    scripts: ['devanagari', 'latin'],
+    target: 'Target image (जो बनाना है)',
+    improvementsHint: 'टारगेट जैसी image बनाने के लिए prompt में क्या जोड़ें या बदलें'
+  },
+  marathi: {
+    version: 1,
+    name: 'Marathi',
+    scripts: ['devanagari', 'latin'],
+    target: 'Target image (जे बनवायचे आहे)',
+    improvementsHint: 'टारगेटसारखी image बनवण्यासाठी prompt मध्ये काय जोडावे किंवा बदलावे'
+  },
+  english: {
+    version: 1,
+    name: 'English',
+    scripts: ['latin'],
+    target: 'Target image (the one to recreate)',
+    improvementsHint: 'what to add or change in the prompt to get an image like the target'
+  }
+};
+
+export const DEFAULT_FEEDBACK = {
+  language: 'hinglish',
+  script: 'latin',
+  ageBand: '5-8',
+  tone: 'playful'
+};
+
+const FEEDBACK_OPTIONS = {
+  language: FEEDBACK_TEMPLATES,
+  script: SCRIPTS,
+  ageBand: AGE_BANDS,
+  tone: TONES
+};
+
+/**
+ * Check the feedback fields of a comparison request
+ * @param {Object} options - { language, script, ageBand, tone } from the request body
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateFeedbackOptions = (options = {}) => {
+  for (const [field, choices] of Object.entries(FEEDBACK_OPTIONS)) {
+    const value = options[field];
+    if (value !== undefined && !(typeof value === 'string' && Object.hasOwn(choices, value))) {
+      return `${field} must be one of: ${Object.keys(choices).join(', ')}`;
+    }
+  }
+
+  const language = options.language ?? DEFAULT_FEEDBACK.language;
+  const { scripts, name } = FEEDBACK_TEMPLATES[language];
+  if (options.script !== undefined && !scripts.includes(options.script)) {
+    return `${name} feedback is written in: ${scripts.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Fill in the defaults (validate first). Without a script, the language's first script is used.
+ * @returns {Object} { language, script, ageBand, tone }
+ */
+export const resolveFeedbackOptions = ({ language, script, ageBand, tone } = {}) => {
+  const resolvedLanguage = language ?? DEFAULT_FEEDBACK.language;
+  return {
+    language: resolvedLanguage,
+    script: script ?? FEEDBACK_TEMPLATES[resolvedLanguage].scripts[0],
+    ageBand: ageBand ?? DEFAULT_FEEDBACK.ageBand,
+    tone: tone ?? DEFAULT_FEEDBACK.tone
+  };
+};
+
+/**
+ * Wording for a comparison prompt
+ * @param {Object} options - { language, script, ageBand, tone } (defaults filled in)
+ * @returns {Object} { template: { id, version, language, script, ageBand, tone }, target, guidance,
+ *   differences, improvements, explanation } - the last three describe the JSON fields
+ */
+export const buildFeedbackInstructions = (options = {}) => {
+  const feedback = resolveFeedbackOptions(options);
+  const template = FEEDBACK_TEMPLATES[feedback.language];
+  const { audience, vocabulary, words } = AGE_BANDS[feedback.ageBand];
+  const language = template.name;
+  const scriptNote = template.scripts.length > 1 ? ` Write it in ${SCRIPTS[feedback.script]}.` : '';
+
+  return {
+    template: { id: feedback.language, version: template.version, ...feedback },
+    target: template.target,
+    guidance: `Note: Use ${vocabulary}, ${TONES[feedback.tone]} ${language} suitable for a ${audience}.${scriptNote}
+Note: Keep all suggestions simple and actionable, giving short English prompt examples where needed.`,
+    differences: `max ${words} ${vocabulary} words brief analysis in ${language} for a ${audience}`,
+    improvements: `max ${words} ${vocabulary} words - ${template.improvementsHint}, specific suggestions with English prompt examples in ${language} for a ${audience}`,
+    explanation: `max 15 ${vocabulary} words in ${language}`
+  };
+};
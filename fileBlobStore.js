@@ -0,0 +1,42 @@
+/**
+ * File Blob Store (Node.js only)
+ * Stores generated images on disk for blobStore.js: one file per image plus a
+ * small JSON sidecar holding its content type.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Create a filesystem blob store
+ * @param {string} directory - Directory to keep images in
+ * @returns {Object} Blob store
+ */
+export const createFileBlobStore = (directory) => {
+  const blobPath = (id) => path.join(directory, id);
+  const metaPath = (id) => path.join(directory, `${id}.json`);
+
+  return {
+    name: 'file',
+    put: async (id, bytes, { contentType }) => {
+      await fs.mkdir(directory, { recursive: true });
+      // Write the image first so a sidecar never points at a missing file
+      await fs.writeFile(blobPath(id), bytes);
+      await fs.writeFile(metaPath(id), JSON.stringify({ contentType, size: bytes.byteLength }));
+    },
+    get: async (id) => {
+      try {
+        const meta = JSON.parse(await fs.readFile(metaPath(id), 'utf8'));
+        const body = await fs.readFile(blobPath(id));
+        return { body, contentType: meta.contentType, size: body.byteLength };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    delete: async (id) => {
+      await fs.rm(blobPath(id), { force: true });
+      await fs.rm(metaPath(id), { force: true });
+    }
+  };
+};
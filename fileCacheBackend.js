@@ -0,0 +1,88 @@
+/**
+ * File Cache Backend (Node.js only)
+ * Persists image cache entries to a JSON file so the cache survives restarts.
+ * Entries are held in memory and the whole file is rewritten atomically
+ * (write to a temp file, then rename) after every change. Access times only
+ * change in memory and are written out with the next change, so cache hits
+ * never touch the disk.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Create a JSON file backend for ImageCache (see imageCache.js)
+ * @param {string} filePath - Path of the JSON cache file
+ * @returns {Object} Cache backend
+ */
+export const createFileBackend = (filePath) => {
+  const store = new Map();
+  let loaded = null;
+  let writeQueue = Promise.resolve();
+
+  const load = () => {
+    if (!loaded) {
+      loaded = (async () => {
+        try {
+          const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+          Object.entries(data.entries || {}).forEach(([key, entry]) => store.set(key, entry));
+          console.log(`📂 Loaded ${store.size} cached images from ${filePath}`);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.warn(`⚠️ Could not read image cache file ${filePath}: ${error.message}`);
+          }
+        }
+      })();
+    }
+    return loaded;
+  };
+
+  // Serialize writes so concurrent changes never interleave on disk
+  const persist = () => {
+    writeQueue = writeQueue
+      .then(async () => {
+        const tempPath = `${filePath}.tmp`;
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify({ version: 1, entries: Object.fromEntries(store) }));
+        await fs.rename(tempPath, filePath);
+      })
+      .catch(error => {
+        console.error(`❌ Failed to write image cache file ${filePath}: ${error.message}`);
+      });
+    return writeQueue;
+  };
+
+  return {
+    name: 'file',
+    get: async (key) => {
+      await load();
+      return store.get(key) || null;
+    },
+    set: async (key, entry) => {
+      await load();
+      store.set(key, entry);
+      await persist();
+    },
+    delete: async (key) => {
+      await load();
+      if (store.delete(key)) {
+        await persist();
+      }
+    },
+    touch: async (key, time) => {
+      const entry = store.get(key);
+      if (entry) {
+        entry.lastAccessedAt = time;
+      }
+    },
+    entries: async () => {
+      await load();
+      return Array.from(store.entries());
+    },
+    clear: async () => {
+      await load();
+      store.clear();
+      await persist();
+    }
+  };
+};
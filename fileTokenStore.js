@@ -0,0 +1,65 @@
+/**
+ * File Token Store (Node.js only)
+ * Keeps API token records (hashes, never the tokens) for auth.js in a JSON
+ * file, rewritten atomically (temp file, then rename) after every change.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Create a JSON file token store
+ * @param {string} filePath - Path of the JSON token file
+ * @returns {Object} Token store
+ */
+export const createFileTokenStore = (filePath) => {
+  const records = new Map();
+  let loaded = null;
+  let writeQueue = Promise.resolve();
+
+  const load = () => {
+    if (!loaded) {
+      loaded = (async () => {
+        try {
+          const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+          (data.tokens || []).forEach(record => records.set(record.id, record));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.warn(`⚠️ Could not read token file ${filePath}: ${error.message}`);
+          }
+        }
+      })();
+    }
+    return loaded;
+  };
+
+  // Serialize writes so concurrent changes never interleave on disk. A failed
+  // write is reported to its caller (a token must not look issued when it is not)
+  const persist = () => {
+    const write = writeQueue.then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify({ version: 1, tokens: Array.from(records.values()) }), { mode: 0o600 });
+      await fs.rename(tempPath, filePath);
+    });
+    writeQueue = write.catch(() => {});
+    return write;
+  };
+
+  return {
+    name: 'file',
+    get: async (id) => {
+      await load();
+      return records.get(id) || null;
+    },
+    put: async (record) => {
+      await load();
+      records.set(record.id, { ...record });
+      await persist();
+    },
+    list: async () => {
+      await load();
+      return Array.from(records.values());
+    }
+  };
+};
@@ -0,0 +1,449 @@
+/**
+ * Image Cache
+ * Bounded cache for generation results with LRU eviction and per-entry TTL.
+ * Runtime-agnostic: storage is delegated to a backend, so the same cache runs
+ * in memory, on disk (fileCacheBackend.js, Node only) or on Workers KV.
+ *
+ * Backend interface (all methods async):
+ *   get(key)          -> entry or null
+ *   set(key, entry)   -> void
+ *   delete(key)       -> void
+ *   entries()         -> [[key, entry], ...] (entry value may be omitted)
+ *   clear()           -> void
+ *   touch(key, time)  -> void (optional, persists LRU recency)
+ *
+ * Entry shape: { value, bytes, createdAt, expiresAt, lastAccessedAt }
+ */
+
+import { normalizePrompt } from './promptEnhancement.js';
+
+export const DEFAULT_CACHE_OPTIONS = {
+  maxEntries: 500,
+  maxBytes: 5 * 1024 * 1024,
+  ttlMs: 24 * 60 * 60 * 1000
+};
+
+// Generation parameters kept in the options part of a cache key
+const KEY_OPTIONS = ['quality', 'format', 'n', 'seed', 'negativePrompt'];
+
+/**
+ * Build a cache key from everything that changes the generated image
+ * @param {string} prompt - Raw prompt
+ * @param {Object} settings - { provider, model, size, enhancement, quality, format, n, seed, negativePrompt }
+ * @returns {string} provider|model|size|enhancement|options|prompt (options URL encoded, so never holds a |)
+ */
+export const buildCacheKey = (prompt, settings = {}) => {
+  const {
+    provider = 'auto',
+    model = 'default',
+    size = 'auto',
+    enhancement = 'literal'
+  } = settings;
+
+  const options = new URLSearchParams(KEY_OPTIONS
+    .filter(name => settings[name] !== undefined)
+    .map(name => [name, String(settings[name])]));
+
+  return [
+    provider.toLowerCase(),
+    model,
+    size,
+    enhancement,
+    options.toString(),
+    normalizePrompt(prompt)
+  ].join('|');
+};
+
+/**
+ * Split a cache key back into its parts (see buildCacheKey)
+ * @returns {Object} { provider, model, size, enhancement, options, prompt }
+ */
+export const parseCacheKey = (key) => {
+  const [provider, model, size, enhancement, options = '', ...promptParts] = key.split('|');
+  return {
+    provider,
+    model,
+    size,
+    enhancement,
+    options: Object.fromEntries(new URLSearchParams(options)),
+    prompt: promptParts.join('|')
+  };
+};
+
+/**
+ * Approximate stored size of a value in bytes
+ */
+const measureBytes = (value) => new TextEncoder().encode(JSON.stringify(value)).length;
+
+/**
+ * In-memory backend (per process / per isolate)
+ */
+export const createMemoryBackend = () => {
+  const store = new Map();
+
+  return {
+    name: 'memory',
+    get: async (key) => store.get(key) || null,
+    set: async (key, entry) => {
+      store.set(key, entry);
+    },
+    delete: async (key) => {
+      store.delete(key);
+    },
+    entries: async () => Array.from(store.entries()),
+    clear: async () => {
+      store.clear();
+    }
+  };
+};
+
+/**
+ * FNV-1a hash, used to keep KV keys short (KV keys are limited to 512 bytes)
+ */
+const hashKey = (key) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `${hash.toString(16).padStart(8, '0')}-${key.length}`;
+};
+
+// KV rejects metadata larger than this many bytes once serialized
+const KV_METADATA_LIMIT = 1024;
+
+/**
+ * KV metadata for an entry: the key is cut to fit the metadata limit, and
+ * marked truncated so entries() reads the full key from the value instead
+ */
+const kvMetadata = (meta, key) => {
+  let chars = Array.from(key);
+  let metadata = { ...meta, key };
+  while (measureBytes(metadata) > KV_METADATA_LIMIT) {
+    chars = chars.slice(0, chars.length - Math.max(1, measureBytes(metadata) - KV_METADATA_LIMIT));
+    metadata = { ...meta, key: chars.join(''), truncated: true };
+  }
+  return metadata;
+};
+
+/**
+ * Workers KV backend
+ * Entry metadata is stored as KV metadata so entries() only needs list();
+ * long keys are only kept in full in the value (see kvMetadata).
+ * KV expiration is set from the entry TTL, so expired entries disappear on
+ * their own even when no isolate evicts them.
+ * @param {Object} namespace - KV namespace binding (get/put/delete/list)
+ * @param {Object} options - { prefix }
+ */
+export const createKVBackend = (namespace, { prefix = 'image-cache:' } = {}) => {
+  const storageKey = (key) => `${prefix}${hashKey(key)}`;
+
+  const listAll = async () => {
+    const keys = [];
+    let cursor;
+    do {
+      const page = await namespace.list({ prefix, cursor });
+      keys.push(...page.keys);
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return keys;
+  };
+
+  return {
+    name: 'kv',
+    get: async (key) => {
+      const entry = await namespace.get(storageKey(key), 'json');
+      // Guard against hash collisions
+      return entry && entry.key === key ? entry : null;
+    },
+    set: async (key, entry) => {
+      const { value, ...meta } = entry;
+      const options = { metadata: kvMetadata(meta, key) };
+      if (entry.expiresAt) {
+        // KV requires expirations at least 60 seconds in the future
+        options.expiration = Math.max(Math.ceil(entry.expiresAt / 1000), Math.ceil(Date.now() / 1000) + 60);
+      }
+      await namespace.put(storageKey(key), JSON.stringify({ ...entry, key }), options);
+    },
+    delete: async (key) => {
+      await namespace.delete(storageKey(key));
+    },
+    entries: async () => {
+      const keys = await listAll();
+      const entries = await Promise.all(keys
+        .filter(item => item.metadata?.key)
+        .map(async ({ name, metadata: { truncated, ...metadata } }) => {
+          if (!truncated) return [metadata.key, metadata];
+          const entry = await namespace.get(name, 'json');
+          return entry ? [entry.key, metadata] : null;
+        }));
+      return entries.filter(Boolean);
+    },
+    clear: async () => {
+      const keys = await listAll();
+      await Promise.all(keys.map(item => namespace.delete(item.name)));
+    }
+  };
+};
+
+/**
+ * Bounded LRU cache with TTL on top of a storage backend
+ * The LRU index (key -> size/expiry) is kept in memory and rebuilt from the
+ * backend on first use, so persistent backends survive restarts.
+ */
+export class ImageCache {
+  constructor(options = {}) {
+    this.backend = options.backend || createMemoryBackend();
+    this.maxEntries = options.maxEntries || DEFAULT_CACHE_OPTIONS.maxEntries;
+    this.maxBytes = options.maxBytes || DEFAULT_CACHE_OPTIONS.maxBytes;
+    this.ttlMs = options.ttlMs ?? DEFAULT_CACHE_OPTIONS.ttlMs;
+    this.now = options.now || (() => Date.now());
+
+    // Map iteration order doubles as LRU order (oldest first)
+    this.index = new Map();
+    this.totalBytes = 0;
+    this.counters = { hits: 0, misses: 0, evictions: 0, expired: 0 };
+    this.ready = null;
+  }
+
+  /**
+   * Load the LRU index from the backend (once)
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        const entries = await this.backend.entries();
+        const now = this.now();
+
+        entries
+          .sort(([, a], [, b]) => (a.lastAccessedAt || 0) - (b.lastAccessedAt || 0))
+          .forEach(([key, entry]) => {
+            if (entry.expiresAt && entry.expiresAt <= now) return;
+            this.track(key, entry);
+          });
+
+        await this.enforceLimits();
+      })().catch(error => {
+        console.error('❌ Failed to load image cache:', error.message);
+        this.ready = null;
+      });
+    }
+    return this.ready;
+  }
+
+  track(key, entry) {
+    this.untrack(key);
+    this.index.set(key, {
+      bytes: entry.bytes || 0,
+      createdAt: entry.createdAt || null,
+      expiresAt: entry.expiresAt || null
+    });
+    this.totalBytes += entry.bytes || 0;
+  }
+
+  untrack(key) {
+    const existing = this.index.get(key);
+    if (existing) {
+      this.totalBytes -= existing.bytes;
+      this.index.delete(key);
+    }
+  }
+
+  /**
+   * Evict least recently used entries until `incomingEntries` more entries
+   * totalling `incomingBytes` fit within the limits
+   */
+  async enforceLimits(incomingBytes = 0, incomingEntries = 0) {
+    for (const key of Array.from(this.index.keys())) {
+      const fits = this.index.size + incomingEntries <= this.maxEntries &&
+        this.totalBytes + incomingBytes <= this.maxBytes;
+      if (fits) break;
+
+      this.untrack(key);
+      this.counters.evictions++;
+      await this.backend.delete(key);
+      console.log(`♻️ Evicted cached image: ${key}`);
+    }
+  }
+
+  /**
+   * Get a cached value
+   * @returns {Promise<*>} Cached value or null
+   */
+  async get(key) {
+    await this.init();
+
+    const tracked = this.index.get(key);
+    if (tracked?.expiresAt && tracked.expiresAt <= this.now()) {
+      await this.delete(key);
+      this.counters.expired++;
+      this.counters.misses++;
+      return null;
+    }
+
+    const entry = await this.backend.get(key);
+    if (!entry || (entry.expiresAt && entry.expiresAt <= this.now())) {
+      if (entry) {
+        await this.delete(key);
+        this.counters.expired++;
+      }
+      this.counters.misses++;
+      return null;
+    }
+
+    // Move to most recently used
+    this.track(key, entry);
+    entry.lastAccessedAt = this.now();
+    if (this.backend.touch) {
+      await this.backend.touch(key, entry.lastAccessedAt);
+    }
+    this.counters.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key (see buildCacheKey)
+   * @param {*} value - JSON serializable value
+   * @param {Object} options - { ttlMs } per-entry override
+   */
+  async set(key, value, options = {}) {
+    await this.init();
+
+    const now = this.now();
+    const ttlMs = options.ttlMs ?? this.ttlMs;
+    const bytes = measureBytes(value);
+
+    if (bytes > this.maxBytes) {
+      console.warn(`⚠️ Not caching ${key}: ${bytes} bytes exceeds cache limit`);
+      return;
+    }
+
+    this.untrack(key);
+    await this.enforceLimits(bytes, 1);
+
+    const entry = {
+      value,
+      bytes,
+      createdAt: now,
+      expiresAt: ttlMs > 0 ? now + ttlMs : null,
+      lastAccessedAt: now
+    };
+
+    await this.backend.set(key, entry);
+    this.track(key, entry);
+  }
+
+  /**
+   * Remove a single entry
+   */
+  async delete(key) {
+    await this.init();
+    this.untrack(key);
+    await this.backend.delete(key);
+  }
+
+  /**
+   * Remove expired entries only
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async prune() {
+    await this.init();
+    const now = this.now();
+    const expiredKeys = Array.from(this.index.entries())
+      .filter(([, tracked]) => tracked.expiresAt && tracked.expiresAt <= now)
+      .map(([key]) => key);
+
+    for (const key of expiredKeys) {
+      await this.delete(key);
+    }
+    this.counters.expired += expiredKeys.length;
+    return expiredKeys.length;
+  }
+
+  /**
+   * Remove the entries matching every given criterion
+   * @param {Object} criteria
+   * @param {string} criteria.prompt - Exact prompt (case-insensitive)
+   * @param {string} criteria.prefix - Prompt prefix (case-insensitive)
+   * @param {number} criteria.olderThanMs - Entries created at least this long ago
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async invalidate({ prompt, prefix, olderThanMs } = {}) {
+    await this.init();
+    const now = this.now();
+    const normalizedPrompt = prompt !== undefined ? normalizePrompt(prompt) : undefined;
+    const normalizedPrefix = prefix !== undefined ? normalizePrompt(prefix) : undefined;
+
+    const matchingKeys = Array.from(this.index.entries())
+      .filter(([key, tracked]) => {
+        const parsed = parseCacheKey(key);
+        if (normalizedPrompt !== undefined && parsed.prompt !== normalizedPrompt) return false;
+        if (normalizedPrefix !== undefined && !parsed.prompt.startsWith(normalizedPrefix)) return false;
+        if (olderThanMs !== undefined && !(tracked.createdAt !== null && now - tracked.createdAt >= olderThanMs)) return false;
+        return true;
+      })
+      .map(([key]) => key);
+
+    for (const key of matchingKeys) {
+      await this.delete(key);
+    }
+    console.log(`🗑️ Invalidated ${matchingKeys.length} cached images from ${this.backend.name} cache`);
+    return matchingKeys.length;
+  }
+
+  /**
+   * List entries, most recently used first
+   * @param {Object} options - { offset, limit, prefix } (prefix filters on the prompt)
+   * @returns {Promise<Object>} { total, offset, limit, entries }
+   */
+  async list({ offset = 0, limit = 50, prefix } = {}) {
+    await this.init();
+    const normalizedPrefix = prefix !== undefined ? normalizePrompt(prefix) : undefined;
+
+    const matching = Array.from(this.index.entries())
+      .reverse()
+      .map(([key, tracked]) => ({ key, ...parseCacheKey(key), ...tracked }))
+      .filter(entry => normalizedPrefix === undefined || entry.prompt.startsWith(normalizedPrefix));
+
+    return {
+      total: matching.length,
+      offset,
+      limit,
+      entries: matching.slice(offset, offset + limit).map(entry => ({
+        ...entry,
+        createdAt: entry.createdAt ? new Date(entry.createdAt).toISOString() : null,
+        expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null
+      }))
+    };
+  }
+
+  /**
+   * Remove every entry
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear() {
+    await this.init();
+    const size = this.index.size;
+    await this.backend.clear();
+    this.index.clear();
+    this.totalBytes = 0;
+    console.log(`🗑️ Cleared ${size} cached images from ${this.backend.name} cache`);
+    return size;
+  }
+
+  /**
+   * Cache statistics
+   */
+  stats() {
+    return {
+      backend: this.backend.name,
+      size: this.index.size,
+      bytes: this.totalBytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttlSeconds: this.ttlMs > 0 ? this.ttlMs / 1000 : null,
+      ...this.counters
+    };
+  }
+}
@@ -0,0 +1,605 @@
+/**
+ * Image Decoding
+ * Pure JavaScript decoders for the local similarity metrics (localSimilarity.js).
+ * Only relies on the web platform (DecompressionStream, atob), so it runs on
+ * Node and Workers alike and needs no network or native modules.
+ *
+ *   PNG   - every colour type and bit depth, interlaced or not
+ *   JPEG  - baseline and extended sequential (not progressive), greyscale or YCbCr
+ *
+ * Other formats are recognised by sniffImageType but not decoded.
+ * Decoded images are { width, height, data } with data as RGBA bytes.
+ */
+
+// Larger images are refused before decoding (memory on Workers is tight)
+export const MAX_DECODE_PIXELS = 4096 * 4096;
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const startsWith = (bytes, prefix, offset = 0) => prefix.every((byte, index) => bytes[offset + index] === byte);
+
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+
+/**
+ * Recognise an image from its first bytes (never trusts a declared MIME type)
+ * @param {Uint8Array} bytes
+ * @returns {string|null} MIME type, or null when the bytes are not a known image format
+ */
+export const sniffImageType = (bytes) => {
+  if (startsWith(bytes, PNG_SIGNATURE)) return 'image/png';
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(bytes, ascii('GIF87a')) || startsWith(bytes, ascii('GIF89a'))) return 'image/gif';
+  if (startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8)) return 'image/webp';
+  if (startsWith(bytes, ascii('BM'))) return 'image/bmp';
+
+  const head = new TextDecoder().decode(bytes.subarray(0, 256)).replace(/^\uFEFF/, '').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) return 'image/svg+xml';
+  return null;
+};
+
+/**
+ * Bytes of a base64 data URL
+ * @returns {Object} { bytes, declaredType } (declaredType is what the URL claims, not checked)
+ */
+export const decodeDataUrl = (dataUrl) => {
+  const match = dataUrl.match(/^data:([^;,]*)(;[^,]*)?,(.*)$/s);
+  if (!match) throw new Error('Not a data URL');
+  const [, declaredType, parameters = '', payload] = match;
+  if (!parameters.split(';').includes('base64')) {
+    return { bytes: new TextEncoder().encode(decodeURIComponent(payload)), declaredType };
+  }
+  const binary = atob(payload.replace(/\s/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return { bytes, declaredType };
+};
+
+const checkSize = (width, height) => {
+  if (!width || !height) throw new Error('Image has no pixels');
+  if (width * height > MAX_DECODE_PIXELS) {
+    throw new Error(`Image too large to decode (${width}x${height})`);
+  }
+};
+
+// ============================================
+// PNG
+// ============================================
+
+const inflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: [xStart, yStart, xStep, yStep]
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+};
+
+/**
+ * Undo the scanline filters of one (sub)image in place
+ * @returns {number} Offset just after the image
+ */
+const unfilter = (data, offset, rowBytes, rows, bytesPerPixel) => {
+  let previous = null;
+  for (let y = 0; y < rows; y++) {
+    const filter = data[offset];
+    const row = offset + 1;
+    if (row + rowBytes > data.length) throw new Error('PNG image data is truncated');
+    for (let i = 0; i < rowBytes; i++) {
+      const left = i >= bytesPerPixel ? data[row + i - bytesPerPixel] : 0;
+      const up = previous !== null ? data[previous + i] : 0;
+      const upLeft = previous !== null && i >= bytesPerPixel ? data[previous + i - bytesPerPixel] : 0;
+      let predictor;
+      switch (filter) {
+        case 0: predictor = 0; break;
+        case 1: predictor = left; break;
+        case 2: predictor = up; break;
+        case 3: predictor = (left + up) >> 1; break;
+        case 4: predictor = paeth(left, up, upLeft); break;
+        default: throw new Error(`Unknown PNG filter ${filter}`);
+      }
+      data[row + i] = (data[row + i] + predictor) & 0xff;
+    }
+    previous = row;
+    offset = row + rowBytes;
+  }
+  return offset;
+};
+
+/**
+ * Decode a PNG
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Object>} { width, height, data }
+ */
+export const decodePng = async (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const chunks = [];
+
+  for (let offset = 8; offset + 8 <= bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const body = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: body[8],
+        colourType: body[9],
+        interlace: body[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      chunks.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!header) throw new Error('PNG has no header');
+  const { width, height, bitDepth, colourType, interlace } = header;
+  checkSize(width, height);
+  const channels = CHANNELS[colourType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth)) {
+    throw new Error(`Unsupported PNG colour type ${colourType} with bit depth ${bitDepth}`);
+  }
+  if (colourType === 3 && !palette) throw new Error('PNG palette is missing');
+
+  const compressed = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  chunks.reduce((offset, chunk) => {
+    compressed.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  const raw = await inflate(compressed);
+
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const maxSample = (1 << bitDepth) - 1;
+  const data = new Uint8Array(width * height * 4);
+
+  // Sample `index` of a row, scaled to 8 bits (palette indices stay as they are)
+  const sample = (row, index) => {
+    if (bitDepth === 8) return raw[row + index];
+    if (bitDepth === 16) return raw[row + index * 2];
+    const bit = index * bitDepth;
+    const value = (raw[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    return colourType === 3 ? value : Math.round(value * 255 / maxSample);
+  };
+  // Colour-key transparency compares full-precision samples
+  const rawSample = (row, index) => bitDepth === 16
+    ? (raw[row + index * 2] << 8) | raw[row + index * 2 + 1]
+    : bitDepth === 8 ? raw[row + index] : (raw[row + ((index * bitDepth) >> 3)] >> (8 - bitDepth - ((index * bitDepth) & 7))) & maxSample;
+  const keyed = (row, x) => {
+    if (!transparency || (colourType !== 0 && colourType !== 2)) return false;
+    const key = new DataView(transparency.buffer, transparency.byteOffset, transparency.byteLength);
+    return colourType === 0
+      ? rawSample(row, x) === key.getUint16(0)
+      : [0, 1, 2].every(c => rawSample(row, x * 3 + c) === key.getUint16(c * 2));
+  };
+
+  const writePixel = (row, x, target) => {
+    const i = target * 4;
+    switch (colourType) {
+      case 0: {
+        const grey = sample(row, x);
+        data[i] = data[i + 1] = data[i + 2] = grey;
+        data[i + 3] = keyed(row, x) ? 0 : 255;
+        break;
+      }
+      case 2:
+        data[i] = sample(row, x * 3);
+        data[i + 1] = sample(row, x * 3 + 1);
+        data[i + 2] = sample(row, x * 3 + 2);
+        data[i + 3] = keyed(row, x) ? 0 : 255;
+        break;
+      case 3: {
+        const entry = sample(row, x);
+        data[i] = palette[entry * 3] ?? 0;
+        data[i + 1] = palette[entry * 3 + 1] ?? 0;
+        data[i + 2] = palette[entry * 3 + 2] ?? 0;
+        data[i + 3] = transparency && entry < transparency.length ? transparency[entry] : 255;
+        break;
+      }
+      case 4:
+        data[i] = data[i + 1] = data[i + 2] = sample(row, x * 2);
+        data[i + 3] = sample(row, x * 2 + 1);
+        break;
+      default:
+        data[i] = sample(row, x * 4);
+        data[i + 1] = sample(row, x * 4 + 1);
+        data[i + 2] = sample(row, x * 4 + 2);
+        data[i + 3] = sample(row, x * 4 + 3);
+    }
+  };
+
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  let offset = 0;
+  passes.forEach(([xStart, yStart, xStep, yStep]) => {
+    const passWidth = Math.ceil((width - xStart) / xStep);
+    const passHeight = Math.ceil((height - yStart) / yStep);
+    if (passWidth <= 0 || passHeight <= 0) return;
+
+    const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+    const start = offset;
+    offset = unfilter(raw, offset, rowBytes, passHeight, bytesPerPixel);
+    for (let y = 0; y < passHeight; y++) {
+      const row = start + y * (rowBytes + 1) + 1;
+      const targetRow = (yStart + y * yStep) * width;
+      for (let x = 0; x < passWidth; x++) {
+        writePixel(row, x, targetRow + xStart + x * xStep);
+      }
+    }
+  });
+
+  return { width, height, data };
+};
+
+// ============================================
+// JPEG
+// ============================================
+
+// Zig-zag position -> natural (row-major) position
+const ZIGZAG = new Uint8Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// IDCT_TABLE[x * 8 + u] = C(u) * cos((2x + 1) u pi / 16)
+const IDCT_TABLE = new Float32Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    IDCT_TABLE[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos((2 * x + 1) * u * Math.PI / 16);
+  }
+}
+
+/**
+ * Canonical Huffman table from the code counts and symbols of a DHT segment
+ */
+const buildHuffmanTable = (counts, symbols) => {
+  const maxCode = new Int32Array(18).fill(-1);
+  const valueOffset = new Int32Array(17);
+  let code = 0;
+  let index = 0;
+  for (let length = 1; length <= 16; length++) {
+    valueOffset[length] = index - code;
+    code += counts[length - 1];
+    index += counts[length - 1];
+    maxCode[length] = counts[length - 1] ? code - 1 : -1;
+    code <<= 1;
+  }
+  maxCode[17] = 0x7fffffff;
+  return { maxCode, valueOffset, symbols };
+};
+
+/**
+ * Entropy-coded segment reader (skips stuffed zero bytes, stops at markers)
+ */
+const createBitReader = (bytes, start) => {
+  let position = start;
+  let buffer = 0;
+  let bits = 0;
+
+  const readBit = () => {
+    if (bits === 0) {
+      let byte = 0;
+      if (position < bytes.length) {
+        byte = bytes[position];
+        if (byte === 0xff) {
+          const next = bytes[position + 1];
+          if (next === 0) {
+            position += 2;
+          } else {
+            // A marker: feed zeros, the caller handles restarts
+            byte = 0;
+          }
+        } else {
+          position++;
+        }
+      }
+      buffer = byte;
+      bits = 8;
+    }
+    bits--;
+    return (buffer >> bits) & 1;
+  };
+
+  return {
+    readBit,
+    receive(length) {
+      let value = 0;
+      for (let i = 0; i < length; i++) value = (value << 1) | readBit();
+      return value;
+    },
+    decode({ maxCode, valueOffset, symbols }) {
+      let code = readBit();
+      let length = 1;
+      while (code > maxCode[length]) {
+        code = (code << 1) | readBit();
+        if (++length > 16) throw new Error('Invalid JPEG Huffman code');
+      }
+      return symbols[valueOffset[length] + code];
+    },
+    // Drop partial bits and step over an RSTn marker
+    restart() {
+      bits = 0;
+      while (position < bytes.length && !(bytes[position] === 0xff && bytes[position + 1] >= 0xd0 && bytes[position + 1] <= 0xd7)) {
+        position++;
+      }
+      position += 2;
+    },
+    // First marker after the scan
+    end() {
+      while (position < bytes.length && !(bytes[position] === 0xff && bytes[position + 1] !== 0 && !(bytes[position + 1] >= 0xd0 && bytes[position + 1] <= 0xd7))) {
+        position++;
+      }
+      return position;
+    }
+  };
+};
+
+const extend = (value, length) => (value < 1 << (length - 1) ? value - (1 << length) + 1 : value);
+
+/**
+ * Decode a baseline JPEG
+ * @param {Uint8Array} bytes
+ * @returns {Object} { width, height, data }
+ */
+export const decodeJpeg = (bytes) => {
+  const quantTables = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = null;
+  let offset = 2;
+
+  const readUint16 = (at) => (bytes[at] << 8) | bytes[at + 1];
+
+  while (offset < bytes.length) {
+    if (bytes[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xd9) break;
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      offset += 2;
+      continue;
+    }
+
+    const length = readUint16(offset + 2);
+    const start = offset + 4;
+    const end = offset + 2 + length;
+
+    if (marker === 0xdb) {
+      // Quantisation tables, stored in zig-zag order
+      for (let at = start; at < end;) {
+        const precision = bytes[at] >> 4;
+        const id = bytes[at] & 15;
+        const table = new Uint16Array(64);
+        at++;
+        for (let k = 0; k < 64; k++) {
+          table[ZIGZAG[k]] = precision ? readUint16(at + k * 2) : bytes[at + k];
+        }
+        at += precision ? 128 : 64;
+        quantTables[id] = table;
+      }
+    } else if (marker === 0xc4) {
+      for (let at = start; at < end;) {
+        const tableClass = bytes[at] >> 4;
+        const id = bytes[at] & 15;
+        const counts = bytes.subarray(at + 1, at + 17);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const table = buildHuffmanTable(counts, bytes.slice(at + 17, at + 17 + total));
+        (tableClass === 0 ? dcTables : acTables)[id] = table;
+        at += 17 + total;
+      }
+    } else if (marker === 0xc0 || marker === 0xc1) {
+      if (bytes[start] !== 8) throw new Error(`Unsupported JPEG precision ${bytes[start]}`);
+      const height = readUint16(start + 1);
+      const width = readUint16(start + 3);
+      checkSize(width, height);
+      const components = [];
+      for (let i = 0; i < bytes[start + 5]; i++) {
+        const at = start + 6 + i * 3;
+        components.push({ id: bytes[at], h: bytes[at + 1] >> 4, v: bytes[at + 1] & 15, quantId: bytes[at + 2] });
+      }
+      if (components.length !== 1 && components.length !== 3) {
+        throw new Error(`Unsupported JPEG with ${components.length} components`);
+      }
+      const maxH = Math.max(...components.map(c => c.h));
+      const maxV = Math.max(...components.map(c => c.v));
+      const mcusPerLine = Math.ceil(width / (8 * maxH));
+      const mcusPerColumn = Math.ceil(height / (8 * maxV));
+      components.forEach(component => {
+        component.blocksPerLine = Math.ceil(Math.ceil(width * component.h / maxH) / 8);
+        component.blocksPerColumn = Math.ceil(Math.ceil(height * component.v / maxV) / 8);
+        component.stride = mcusPerLine * component.h;
+        component.coefficients = new Int16Array(64 * mcusPerLine * component.h * mcusPerColumn * component.v);
+      });
+      frame = { width, height, components, maxH, maxV, mcusPerLine, mcusPerColumn };
+    } else if (marker >= 0xc2 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      throw new Error(marker === 0xc2 ? 'Progressive JPEG is not supported' : 'Unsupported JPEG coding');
+    } else if (marker === 0xdd) {
+      restartInterval = readUint16(start);
+    } else if (marker === 0xee && String.fromCharCode(...bytes.subarray(start, start + 5)) === 'Adobe') {
+      adobeTransform = bytes[start + 11];
+    } else if (marker === 0xda) {
+      if (!frame) throw new Error('JPEG scan before frame header');
+      const scanComponents = [];
+      for (let i = 0; i < bytes[start]; i++) {
+        const at = start + 1 + i * 2;
+        const component = frame.components.find(c => c.id === bytes[at]);
+        if (!component) throw new Error('JPEG scan names an unknown component');
+        component.dcTable = dcTables[bytes[at + 1] >> 4];
+        component.acTable = acTables[bytes[at + 1] & 15];
+        scanComponents.push(component);
+      }
+      offset = decodeScan(bytes, end, frame, scanComponents, restartInterval);
+      continue;
+    }
+    offset = end;
+  }
+
+  if (!frame) throw new Error('JPEG has no frame header');
+  return buildJpegPixels(frame, quantTables, adobeTransform);
+};
+
+const decodeBlock = (reader, component, blockOffset) => {
+  const coefficients = component.coefficients;
+  const t = reader.decode(component.dcTable);
+  component.prediction += t === 0 ? 0 : extend(reader.receive(t), t);
+  coefficients[blockOffset] = component.prediction;
+
+  for (let k = 1; k < 64;) {
+    const rs = reader.decode(component.acTable);
+    const size = rs & 15;
+    const run = rs >> 4;
+    if (size === 0) {
+      if (run < 15) break;
+      k += 16;
+      continue;
+    }
+    k += run;
+    if (k > 63) break;
+    coefficients[blockOffset + ZIGZAG[k]] = extend(reader.receive(size), size);
+    k++;
+  }
+};
+
+/**
+ * Decode one scan's entropy-coded data into the components' coefficients
+ * @returns {number} Offset of the marker after the scan
+ */
+const decodeScan = (bytes, start, frame, components, restartInterval) => {
+  const reader = createBitReader(bytes, start);
+  const blockAt = (component, row, column) => 64 * (row * component.stride + column);
+  components.forEach(component => { component.prediction = 0; });
+
+  const single = components.length === 1;
+  const total = single
+    ? components[0].blocksPerLine * components[0].blocksPerColumn
+    : frame.mcusPerLine * frame.mcusPerColumn;
+
+  for (let n = 0; n < total; n++) {
+    if (restartInterval && n > 0 && n % restartInterval === 0) {
+      reader.restart();
+      components.forEach(component => { component.prediction = 0; });
+    }
+    if (single) {
+      // Non-interleaved: blocks in raster order over the component itself
+      const component = components[0];
+      const row = Math.floor(n / component.blocksPerLine);
+      decodeBlock(reader, component, blockAt(component, row, n % component.blocksPerLine));
+    } else {
+      const mcuRow = Math.floor(n / frame.mcusPerLine);
+      const mcuColumn = n % frame.mcusPerLine;
+      components.forEach(component => {
+        for (let v = 0; v < component.v; v++) {
+          for (let h = 0; h < component.h; h++) {
+            decodeBlock(reader, component, blockAt(component, mcuRow * component.v + v, mcuColumn * component.h + h));
+          }
+        }
+      });
+    }
+  }
+  return reader.end();
+};
+
+/**
+ * Dequantise, inverse DCT and colour convert
+ */
+const buildJpegPixels = ({ width, height, components, maxH, maxV }, quantTables, adobeTransform) => {
+  const workspace = new Float32Array(64);
+
+  const planes = components.map(component => {
+    const quant = quantTables[component.quantId];
+    if (!quant) throw new Error('JPEG quantisation table is missing');
+    const planeWidth = component.stride * 8;
+    const rows = component.coefficients.length / 64 / component.stride;
+    const plane = new Uint8ClampedArray(planeWidth * rows * 8);
+
+    for (let blockRow = 0; blockRow < rows; blockRow++) {
+      for (let blockColumn = 0; blockColumn < component.stride; blockColumn++) {
+        const base = 64 * (blockRow * component.stride + blockColumn);
+        // Rows: workspace[y * 8 + x] = sum over u of F(y, u) * C(u) cos(...)
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) {
+            let sum = 0;
+            for (let u = 0; u < 8; u++) {
+              const coefficient = component.coefficients[base + y * 8 + u];
+              if (coefficient) sum += coefficient * quant[y * 8 + u] * IDCT_TABLE[x * 8 + u];
+            }
+            workspace[y * 8 + x] = sum / 2;
+          }
+        }
+        // Columns
+        for (let x = 0; x < 8; x++) {
+          for (let y = 0; y < 8; y++) {
+            let sum = 0;
+            for (let v = 0; v < 8; v++) sum += workspace[v * 8 + x] * IDCT_TABLE[y * 8 + v];
+            plane[(blockRow * 8 + y) * planeWidth + blockColumn * 8 + x] = sum / 2 + 128;
+          }
+        }
+      }
+    }
+    return { plane, planeWidth, xScale: component.h / maxH, yScale: component.v / maxV };
+  });
+
+  const data = new Uint8Array(width * height * 4);
+  const ycc = components.length === 3 && adobeTransform !== 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [a, b, c] = planes.map(({ plane, planeWidth, xScale, yScale }) =>
+        plane[Math.floor(y * yScale) * planeWidth + Math.floor(x * xScale)]);
+      const i = (y * width + x) * 4;
+      if (components.length === 1) {
+        data[i] = data[i + 1] = data[i + 2] = a;
+      } else if (ycc) {
+        data[i] = Math.max(0, Math.min(255, a + 1.402 * (c - 128)));
+        data[i + 1] = Math.max(0, Math.min(255, a - 0.344136 * (b - 128) - 0.714136 * (c - 128)));
+        data[i + 2] = Math.max(0, Math.min(255, a + 1.772 * (b - 128)));
+      } else {
+        data[i] = a;
+        data[i + 1] = b;
+        data[i + 2] = c;
+      }
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+};
+
+/**
+ * Decode PNG or JPEG bytes
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Object>} { width, height, data, type }
+ * @throws {Error} For other or broken formats
+ */
+export const decodeImage = async (bytes) => {
+  const type = sniffImageType(bytes);
+  if (type === 'image/png') return { ...(await decodePng(bytes)), type };
+  if (type === 'image/jpeg') return { ...decodeJpeg(bytes), type };
+  throw new Error(type ? `Cannot decode ${type} locally (PNG and JPEG only)` : 'Not a recognised image format');
+};
@@ -1,160 +1,134 @@
 // Simple Image Generation Utility for Prompt Learning Tool
+import { generateImage as generateImageCore } from './core.js';
+import { ImageCache, createMemoryBackend } from './imageCache.js';
+import { createFileBackend } from './fileCacheBackend.js';
+import { createMemoryBlobStore } from './blobStore.js';
+import { createFileBlobStore } from './fileBlobStore.js';
+import { loadConfig } from './config.js';
+import { createKeyPool } from './keyPool.js';
+
+// Validated configuration (see config.js) - the server refuses to start when invalid
+const readConfig = () => {
+  try {
+    return loadConfig(process.env);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+};
 
-// API Configuration - Load balancing across multiple API keys
-const API_KEYS = [
-  process.env.IMAGE_ROUTER_API_KEY_1,
-  process.env.IMAGE_ROUTER_API_KEY_2,
-  process.env.IMAGE_ROUTER_API_KEY_3,
-  process.env.IMAGE_ROUTER_API_KEY_4,
-  process.env.IMAGE_ROUTER_API_KEY_5,
-  process.env.IMAGE_ROUTER_API_KEY_6,
-  process.env.IMAGE_ROUTER_API_KEY_7
-].filter(key => key); // Remove undefined keys
-
-const API_URL = 'https://api.imagerouter.io/v1/openai/images/generations';
-
-// Validate API keys on module load
-if (API_KEYS.length === 0) {
-  console.warn('⚠️ WARNING: No API keys found in environment variables!');
-} else {
-  console.log(`✅ Loaded ${API_KEYS.length} API keys for load balancing`);
+export const appConfig = readConfig();
+appConfig.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+
+// API Configuration - Load balancing across every IMAGE_ROUTER_API_KEY_<n>,
+// skipping keys that are quarantined or over their quota (see keyPool.js)
+export const imageKeyPool = createKeyPool(appConfig.keys.image, { name: 'image', ...appConfig.keyLimits.image });
+
+// Missing keys are reported by the config warnings above
+if (imageKeyPool.size > 0) {
+  console.log(`✅ Loaded ${imageKeyPool.size} API keys for load balancing`);
 }
 
-// Round-robin counter for API key selection
-let apiKeyIndex = 0;
+/**
+ * Get the next usable API key
+ * @throws {Error} When no key is configured or every key is quarantined / over quota
+ */
+export const getNextApiKey = () => imageKeyPool.acquire();
 
 /**
- * Get next API key using round-robin load balancing
+ * Record how a call made with an API key ended (drives key health)
  */
-const getNextApiKey = () => {
-  if (API_KEYS.length === 0) return '';
-  const key = API_KEYS[apiKeyIndex];
-  apiKeyIndex = (apiKeyIndex + 1) % API_KEYS.length;
-  console.log(`🔑 Using API key #${apiKeyIndex === 0 ? API_KEYS.length : apiKeyIndex} of ${API_KEYS.length}`);
-  return key;
+export const reportApiKey = (key, result) => imageKeyPool.report(key, result);
+
+// SiliconFlow keys (COMPARISON_API_KEY_<n>), used here for the generated image
+// safety check only: comparisons are delegated to the workers
+export const comparisonKeyPool = createKeyPool(appConfig.keys.comparison, { name: 'comparison', ...appConfig.keyLimits.comparison });
+
+// Bounded image cache (LRU + TTL), in memory or persisted to a JSON file
+const cacheBackend = process.env.IMAGE_CACHE_BACKEND === 'file'
+  ? createFileBackend(process.env.IMAGE_CACHE_FILE || '.cache/image-cache.json')
+  : createMemoryBackend();
+
+export const imageCacheStore = new ImageCache({
+  backend: cacheBackend,
+  maxEntries: Number(process.env.IMAGE_CACHE_MAX_ENTRIES) || undefined,
+  maxBytes: Number(process.env.IMAGE_CACHE_MAX_BYTES) || undefined,
+  ttlMs: process.env.IMAGE_CACHE_TTL_SECONDS !== undefined
+    ? Number(process.env.IMAGE_CACHE_TTL_SECONDS) * 1000
+    : undefined
+});
+
+// Load persisted entries right away so /api/status is accurate after a restart
+imageCacheStore.init();
+console.log(`💾 Image cache backend: ${cacheBackend.name}`);
+
+// Optional local copy of generated images, served from GET /api/images/:id
+// IMAGE_BLOB_STORE = "file" | "memory" | "none" (default)
+const createBlobStore = () => {
+  switch (process.env.IMAGE_BLOB_STORE) {
+    case 'file':
+      return createFileBlobStore(process.env.IMAGE_BLOB_DIR || '.cache/images');
+    case 'memory':
+      return createMemoryBlobStore();
+    default:
+      return null;
+  }
 };
 
-// Cache for storing prompt -> imageUrl mappings
-const imageCache = new Map();
+export const imageBlobStore = createBlobStore();
+
+if (imageBlobStore) {
+  console.log(`🗄️ Image blob store: ${imageBlobStore.name}`);
+}
 
 /**
- * Generate an image from a text prompt using ImageRouter.io API
+ * Generate an image from a text prompt using the configured image provider(s)
  * Uses caching - same prompt returns same image without API call
  * @param {string} prompt - The text prompt to generate image from
- * @returns {Promise<string>} - URL of the generated image
+ * @param {Object} options - { provider, model, params, publicBaseUrl } overrides (optional)
+ * @returns {Promise<Object>} - { imageUrl, provider, model, parameters, cached }
  */
-export const generateImage = async (prompt) => {
-  try {
-    // Validate prompt
-    if (!prompt || prompt.trim().length === 0) {
-      throw new Error("Prompt cannot be empty");
-    }
-
-    const normalizedPrompt = prompt.trim().toLowerCase();
-    
-    // Check cache first
-    if (imageCache.has(normalizedPrompt)) {
-      const cachedUrl = imageCache.get(normalizedPrompt);
-      console.log(`✅ Returning cached image for prompt: "${prompt}"`);
-      console.log(`📦 Cache hit! Image URL: ${cachedUrl}`);
-      return cachedUrl;
-    }
-
-    console.log(`🎨 Generating NEW image with ImageRouter.io for prompt: "${prompt}"`);
-
-    // Enhance prompt for exact literal interpretation
-    const enhancedPrompt = `${prompt.trim()}, exactly as described, nothing more nothing less, literal interpretation, precise and accurate`;
-
-    // Get next API key for load balancing
-    const apiKey = getNextApiKey();
-    
-    if (!apiKey) {
-      throw new Error('No API key available');
-    }
-
-    // Call ImageRouter.io API with optimized parameters for accuracy
-    const response = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        prompt: enhancedPrompt,
-        model: 'run-diffusion/Juggernaut-Lightning-Flux',
-        n: 1,
-        size: 'auto',
-        quality: 'auto',
-        output_format: 'webp'
-      })
-    });
-
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`ImageRouter.io API error: ${response.status} - ${errorData}`);
-    }
-
-    const data = await response.json();
-    
-    // Extract image URL from response
-    // The response format might be: { data: [{ url: "..." }] } or similar
-    const imageUrl = data?.data?.[0]?.url || data?.url || data?.image_url;
-    
-    if (!imageUrl) {
-      console.error('Unexpected API response:', data);
-      throw new Error('No image URL in API response');
-    }
-
-    // Store in cache
-    imageCache.set(normalizedPrompt, imageUrl);
-    console.log(`✅ Successfully generated image: ${imageUrl}`);
-    console.log(`💾 Cached for future use. Total cached prompts: ${imageCache.size}`);
-    
-    return imageUrl;
-    
-  } catch (error) {
-    console.error("❌ Error in generateImage:", error);
-    throw new Error(`Image generation failed: ${error.message}`);
-  }
+export const generateImage = (prompt, options = {}) => {
+  return generateImageCore(prompt, {
+    ...options,
+    // Same defaults, model lists and seeds as the API routes (see config.js)
+    generation: appConfig.generation,
+    configuredProviders: appConfig.providers.chain,
+    endpoints: appConfig.providers.endpoints,
+    getApiKey: () => getNextApiKey(),
+    reportApiKey,
+    cache: imageCacheStore,
+    blobStore: imageBlobStore
+  });
 };
 
 /**
  * Clear the image cache
+ * @returns {Promise<number>} Number of cleared entries
  */
-export const clearImageCache = () => {
-  const size = imageCache.size;
-  imageCache.clear();
-  console.log(`🗑️ Cleared ${size} cached images`);
-  return size;
-};
+export const clearImageCache = () => imageCacheStore.clear();
 
 /**
  * Get cache statistics
  */
-export const getCacheStats = () => {
-  return {
-    size: imageCache.size,
-    prompts: Array.from(imageCache.keys())
-  };
-};
-
-
+export const getCacheStats = () => imageCacheStore.stats();
 
 /**
  * Generate image with progress callback
  * @param {string} prompt - The text prompt
  * @param {Function} onProgress - Progress callback function
- * @returns {Promise<string>} - Generated image URL
+ * @param {Object} options - { provider, model } overrides (optional)
+ * @returns {Promise<Object>} - Generation result (see generateImage)
  */
-export const generateImageWithProgress = async (prompt, onProgress = null) => {
+export const generateImageWithProgress = async (prompt, onProgress = null, options = {}) => {
   try {
     if (onProgress) onProgress("Starting image generation...");
     
-    const imageUrl = await generateImage(prompt);
+    const result = await generateImage(prompt, options);
     
     if (onProgress) onProgress("Image generated successfully!");
     
-    return imageUrl;
+    return result;
   } catch (error) {
     if (onProgress) onProgress(`Error: ${error.message}`);
     throw error;
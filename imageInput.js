@@ -0,0 +1,219 @@
+/**
+ * Image Input
+ * Turns the images a comparison request sends into one internal form,
+ * { bytes, type, size, source }, however they arrive:
+ *
+ *   data-url  - data:image/...;base64,... in a JSON body or a form field
+ *   store     - an /api/images/:id URL of this server (the imageUrl returned by
+ *               /api/generate-image), read from the blob store directly
+ *   url       - any other https URL, fetched when its host is allowed
+ *   upload    - a file part of a multipart/form-data body
+ *
+ * The type always comes from the bytes (sniffImageType), never from a declared
+ * MIME type, file name or Content-Type header. Images over maxBytes are refused
+ * before they reach the vision model. URL hosts come from DEFAULT_IMAGE_HOSTS
+ * and imageInput.allowedHosts in config.js ("*.example.org" allows subdomains);
+ * redirects are not followed, so an allowed host cannot hand the fetch on.
+ */
+
+import { decodeDataUrl, sniffImageType } from './imageDecoding.js';
+
+export const IMAGE_SOURCES = ['data-url', 'store', 'url', 'upload'];
+
+// Hosts of provider image URLs /api/generate-image can return without an image store
+export const DEFAULT_IMAGE_HOSTS = ['image.pollinations.ai'];
+
+export const DEFAULT_MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+export const IMAGE_FETCH_TIMEOUT_MS = 10000;
+
+export const IMAGE_HOST_PATTERN = /^(\*\.)?([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+
+const STORE_PATH_PATTERN = /^\/api\/images\/([a-f0-9]{64})$/;
+
+/**
+ * Check a list of allowed hosts
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateImageHosts = (hosts) => {
+  if (!Array.isArray(hosts)) return 'Allowed hosts must be an array of host names';
+  const invalid = hosts.filter(host => typeof host !== 'string' || !IMAGE_HOST_PATTERN.test(host));
+  if (invalid.length > 0) {
+    return `Not host names (lowercase, optionally starting with "*."): ${invalid.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Whether a host name is on a list ("*.example.org" matches its subdomains, not example.org itself)
+ */
+export const isAllowedHost = (hostname, hosts) => hosts.some(host => host.startsWith('*.')
+  ? hostname.endsWith(host.slice(1))
+  : hostname === host);
+
+// Errors from this module are the client's to fix
+const inputError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Read a response body, giving up as soon as it passes maxBytes
+ */
+const readLimited = async (body, maxBytes, name) => {
+  const reader = body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > maxBytes) {
+      reader.cancel().catch(() => {});
+      throw inputError(`${name} is larger than ${maxBytes} bytes`);
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes;
+};
+
+/**
+ * Data URL of an image (base64, with its sniffed type)
+ * @param {Object} image - { bytes, type }
+ * @returns {string}
+ */
+export const toDataUrl = ({ bytes, type }) => {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return `data:${type};base64,${btoa(binary)}`;
+};
+
+/**
+ * Create the image loader for a runtime
+ * @param {Object} options
+ * @param {Array} options.allowedHosts - Hosts https URLs may point at, added to DEFAULT_IMAGE_HOSTS
+ * @param {number} options.maxBytes - Largest image accepted (default DEFAULT_MAX_IMAGE_BYTES)
+ * @param {Object} options.blobStore - Image store behind /api/images/:id (optional, see blobStore.js)
+ * @param {number} options.timeoutMs - Time allowed for fetching a URL (default IMAGE_FETCH_TIMEOUT_MS)
+ * @param {Function} options.fetchImpl - fetch implementation (optional)
+ * @returns {Object} { allowedHosts, maxBytes, load(image, options) }
+ */
+export const createImageInput = ({
+  allowedHosts = [],
+  maxBytes = DEFAULT_MAX_IMAGE_BYTES,
+  blobStore = null,
+  timeoutMs = IMAGE_FETCH_TIMEOUT_MS,
+  fetchImpl = fetch
+} = {}) => {
+  const hosts = [...new Set([...DEFAULT_IMAGE_HOSTS, ...allowedHosts])];
+
+  const readDataUrl = (image, name) => {
+    // Base64 grows the bytes by a third, so oversized images are refused before decoding
+    if (image.length > Math.ceil(maxBytes / 3) * 4 + 256) {
+      throw inputError(`${name} is larger than ${maxBytes} bytes`);
+    }
+    try {
+      return decodeDataUrl(image).bytes;
+    } catch {
+      throw inputError(`${name} is not a valid base64 data URL`);
+    }
+  };
+
+  const readStore = async (id, name) => {
+    if (!blobStore) {
+      throw inputError(`${name} points at /api/images, but the image store is not enabled`);
+    }
+    const blob = await blobStore.get(id);
+    if (!blob) throw inputError(`${name} is not in the image store`);
+    return new Uint8Array(await new Response(blob.body).arrayBuffer());
+  };
+
+  const readUrl = async (url, name) => {
+    if (url.protocol !== 'https:') throw inputError(`${name} must be an https URL`);
+    if (url.username || url.password) throw inputError(`${name} must not contain credentials`);
+    if (!isAllowedHost(url.hostname, hosts)) {
+      throw inputError(`${name}: images from ${url.hostname} are not allowed (allowed: ${hosts.join(', ')})`);
+    }
+
+    let response;
+    try {
+      response = await fetchImpl(url.href, {
+        headers: { 'Accept': 'image/*' },
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      throw inputError(`${name} could not be fetched: ${error.message}`);
+    }
+    if (!response.ok) {
+      response.body?.cancel().catch(() => {});
+      const reason = response.status >= 300 && response.status < 400
+        ? 'redirects are not followed'
+        : `${response.status} ${response.statusText}`.trim();
+      throw inputError(`${name} could not be fetched: ${reason}`);
+    }
+    if (Number(response.headers.get('Content-Length')) > maxBytes) {
+      response.body?.cancel().catch(() => {});
+      throw inputError(`${name} is larger than ${maxBytes} bytes`);
+    }
+    return response.body ? readLimited(response.body, maxBytes, name) : new Uint8Array(0);
+  };
+
+  return {
+    allowedHosts: hosts,
+    maxBytes,
+
+    /**
+     * Load one image of a request
+     * @param {string|Blob} image - Data URL, https URL or uploaded file
+     * @param {Object} options
+     * @param {string} options.name - Request field, used in error messages
+     * @param {string} options.origin - Origin of the request, whose /api/images URLs are read from the store
+     * @returns {Promise<Object>} { bytes, type, size, source } (source is one of IMAGE_SOURCES)
+     * @throws {Error} With status 400 when the image is missing, too large, not allowed or not an image
+     */
+    async load(image, { name = 'image', origin } = {}) {
+      let bytes;
+      let source;
+
+      if (typeof Blob !== 'undefined' && image instanceof Blob) {
+        if (image.size > maxBytes) throw inputError(`${name} is larger than ${maxBytes} bytes`);
+        bytes = new Uint8Array(await image.arrayBuffer());
+        source = 'upload';
+      } else if (typeof image !== 'string') {
+        throw inputError(`${name} must be a data URL, an https URL or an uploaded file`);
+      } else if (image.startsWith('data:')) {
+        bytes = readDataUrl(image, name);
+        source = 'data-url';
+      } else {
+        let url;
+        try {
+          url = new URL(image);
+        } catch {
+          throw inputError(`${name} must be a data URL, an https URL or an uploaded file`);
+        }
+        const storeId = url.origin === origin && url.pathname.match(STORE_PATH_PATTERN)?.[1];
+        if (storeId) {
+          bytes = await readStore(storeId, name);
+          source = 'store';
+        } else {
+          bytes = await readUrl(url, name);
+          source = 'url';
+        }
+      }
+
+      if (bytes.byteLength > maxBytes) throw inputError(`${name} is larger than ${maxBytes} bytes`);
+      const type = sniffImageType(bytes);
+      if (!type) throw inputError(`${name} is not a recognised image (PNG, JPEG, GIF, WebP, BMP or SVG)`);
+
+      return { bytes, type, size: bytes.byteLength, source };
+    }
+  };
+};
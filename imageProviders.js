@@ -0,0 +1,539 @@
+/**
+ * Image Provider Adapters
+ * Shared by the Express server (imageGenerator.js) and the Cloudflare workers
+ * (worker.js, main-worker.js). Each adapter knows how to build the upstream
+ * request, parse the upstream response and classify upstream errors, so route
+ * handlers never need to know which provider produced an image.
+ *
+ * Each adapter also lists the generation parameters it accepts (`parameters`):
+ * the allowed sizes, aspect ratios, qualities and formats (the first entry is
+ * the provider default), how many images one call may return, and whether it
+ * takes a seed or a negative prompt.
+ *
+ * Providers that take a seed get one derived from the prompt and settings
+ * unless the request sets it, so the same prompt gives the same image on every
+ * server and worker, with or without a cache. Only pollinations and mock take
+ * one: ImageRouter's API has no seed, so its images only repeat from the cache
+ * (requestImage warns once per process when it drops a derived seed).
+ */
+
+import { parseRetryAfter } from './responseClassification.js';
+import { hashText, normalizePrompt } from './promptEnhancement.js';
+
+const IMAGE_ROUTER_API_URL = 'https://api.imagerouter.io/v1/openai/images/generations';
+const POLLINATIONS_BASE_URL = 'https://image.pollinations.ai/prompt';
+
+export const DEFAULT_PROVIDER = 'imagerouter';
+
+// Parameters a generation request may set besides the model
+export const GENERATION_PARAMETERS = ['size', 'aspectRatio', 'quality', 'format', 'n', 'seed', 'negativePrompt'];
+
+export const MAX_NEGATIVE_PROMPT_LENGTH = 300;
+const MAX_SEED = 2 ** 32 - 1;
+
+// Size presets for URL based providers, which accept any width and height
+const FREE_SIZES = ['auto', '512x512', '768x768', '1024x1024', '1024x1536', '1536x1024', '1024x576', '576x1024'];
+const FREE_ASPECT_RATIOS = {
+  '1:1': '1024x1024',
+  '2:3': '1024x1536',
+  '3:2': '1536x1024',
+  '16:9': '1024x576',
+  '9:16': '576x1024'
+};
+
+/**
+ * Base64 encode a UTF-8 string (works in Node and Workers)
+ */
+const toBase64 = (text) => {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+/**
+ * Classify an upstream HTTP error into a type and retry hint
+ * Shared by all HTTP based adapters
+ */
+const classifyHttpError = (status) => {
+  if (status === 401 || status === 403) {
+    return { type: 'auth', retryable: true };
+  }
+  if (status === 402) {
+    return { type: 'quota', retryable: true };
+  }
+  if (status === 429) {
+    return { type: 'rate_limit', retryable: true };
+  }
+  if (status >= 500) {
+    return { type: 'server', retryable: true };
+  }
+  return { type: 'bad_request', retryable: false };
+};
+
+/**
+ * ImageRouter.io (OpenAI compatible images API)
+ */
+const imageRouterProvider = {
+  name: 'imagerouter',
+  label: 'ImageRouter.io',
+  defaultModel: 'run-diffusion/Juggernaut-Lightning-Flux',
+  requiresApiKey: true,
+  parameters: {
+    // ImageRouter serves hundreds of models; limit them with generation.models in config.js
+    models: null,
+    sizes: ['auto', '512x512', '1024x1024', '1024x1536', '1536x1024'],
+    aspectRatios: { '1:1': '1024x1024', '2:3': '1024x1536', '3:2': '1536x1024' },
+    qualities: ['auto', 'low', 'medium', 'high'],
+    formats: ['webp', 'png', 'jpeg'],
+    maxImages: 4,
+    seed: false,
+    negativePrompt: false
+  },
+
+  buildRequest({ prompt, model, apiKey, endpoint, params }) {
+    return {
+      url: endpoint || IMAGE_ROUTER_API_URL,
+      init: {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          prompt,
+          model: model || this.defaultModel,
+          n: params.n,
+          size: params.size,
+          quality: params.quality,
+          output_format: params.format
+        })
+      }
+    };
+  },
+
+  parseResponse(data) {
+    // The response format might be: { data: [{ url: "..." }] } or similar
+    if (Array.isArray(data?.data)) {
+      return data.data.map(image => image?.url).filter(Boolean);
+    }
+    const url = data?.url || data?.image_url;
+    return url ? [url] : [];
+  },
+
+  classifyError(status, body) {
+    return {
+      ...classifyHttpError(status),
+      message: `ImageRouter.io API error: ${status} - ${body}`
+    };
+  }
+};
+
+/**
+ * Pollinations.ai - the prompt URL itself serves the image, no API call needed
+ */
+const pollinationsProvider = {
+  name: 'pollinations',
+  label: 'Pollinations.ai',
+  defaultModel: 'flux',
+  requiresApiKey: false,
+  parameters: {
+    models: ['flux', 'turbo'],
+    sizes: FREE_SIZES,
+    aspectRatios: FREE_ASPECT_RATIOS,
+    qualities: ['auto'],
+    formats: ['jpeg'],
+    maxImages: 1,
+    seed: true,
+    negativePrompt: true
+  },
+
+  buildRequest({ prompt, model, params }) {
+    const encoded = encodeURIComponent(prompt);
+    const query = new URLSearchParams();
+    if (model && model !== this.defaultModel) query.set('model', model);
+    if (params.size !== 'auto') {
+      const [width, height] = params.size.split('x');
+      query.set('width', width);
+      query.set('height', height);
+    }
+    if (params.seed !== undefined) query.set('seed', String(params.seed));
+    if (params.negativePrompt) query.set('negative_prompt', params.negativePrompt);
+
+    const search = query.toString();
+    return {
+      imageUrls: [`${POLLINATIONS_BASE_URL}/${encoded}${search ? `?${search}` : ''}`]
+    };
+  },
+
+  parseResponse() {
+    return [];
+  },
+
+  classifyError(status, body) {
+    return {
+      ...classifyHttpError(status),
+      message: `Pollinations.ai error: ${status} - ${body}`
+    };
+  }
+};
+
+/**
+ * Local mock provider - returns an SVG placeholder without any network access
+ * Useful for local development and tests without spending API credits
+ */
+const mockProvider = {
+  name: 'mock',
+  label: 'Local Mock',
+  defaultModel: 'mock-svg',
+  requiresApiKey: false,
+  parameters: {
+    models: ['mock-svg'],
+    sizes: FREE_SIZES,
+    aspectRatios: FREE_ASPECT_RATIOS,
+    qualities: ['auto'],
+    formats: ['svg'],
+    maxImages: 4,
+    seed: true,
+    negativePrompt: true
+  },
+
+  buildRequest({ prompt, params }) {
+    const text = prompt
+      .slice(0, 60)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    const [width, height] = params.size === 'auto' ? ['512', '512'] : params.size.split('x');
+
+    // Numbered variants when several images are asked for
+    const imageUrls = Array.from({ length: params.n }, (_, index) => {
+      const label = params.n > 1 ? ` #${index + 1}` : '';
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+        `<rect width="100%" height="100%" fill="#e5e7eb"/>` +
+        `<text x="50%" y="50%" font-size="20" text-anchor="middle" fill="#374151">${text}${label}</text>` +
+        `</svg>`;
+      return `data:image/svg+xml;base64,${toBase64(svg)}`;
+    });
+    return { imageUrls };
+  },
+
+  parseResponse() {
+    return [];
+  },
+
+  classifyError(status, body) {
+    return {
+      ...classifyHttpError(status),
+      message: `Mock provider error: ${status} - ${body}`
+    };
+  }
+};
+
+const PROVIDERS = {
+  [imageRouterProvider.name]: imageRouterProvider,
+  [pollinationsProvider.name]: pollinationsProvider,
+  [mockProvider.name]: mockProvider
+};
+
+/**
+ * Get the list of registered provider names
+ */
+export const getProviderNames = () => Object.keys(PROVIDERS);
+
+/**
+ * Look up a provider adapter by name
+ * @param {string} name - Provider name (case-insensitive)
+ * @returns {Object|null} Provider adapter or null if unknown
+ */
+export const getProvider = (name) => {
+  if (!name || typeof name !== 'string') return null;
+  return PROVIDERS[name.trim().toLowerCase()] || null;
+};
+
+/**
+ * Resolve the ordered provider chain for a request
+ * A per-request provider wins, otherwise the configured list is used
+ * (e.g. IMAGE_PROVIDER="imagerouter,pollinations" tries ImageRouter first).
+ * @param {string} requested - Provider requested by the client (optional)
+ * @param {string} configured - Comma separated provider list from config (optional)
+ * @returns {Object[]} Provider adapters in the order they should be tried
+ */
+export const resolveProviders = (requested, configured) => {
+  if (requested) {
+    const provider = getProvider(requested);
+    if (!provider) {
+      throw new Error(`Unknown image provider: ${requested}. Available: ${getProviderNames().join(', ')}`);
+    }
+    return [provider];
+  }
+
+  const names = (configured || DEFAULT_PROVIDER)
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name);
+
+  const providers = names.map(name => {
+    const provider = getProvider(name);
+    if (!provider) {
+      throw new Error(`Unknown image provider in config: ${name}. Available: ${getProviderNames().join(', ')}`);
+    }
+    return provider;
+  });
+
+  return providers.length > 0 ? providers : [PROVIDERS[DEFAULT_PROVIDER]];
+};
+
+/**
+ * Models a provider may use: the generation.models allow-list from config,
+ * otherwise the adapter's own list (null means any model)
+ */
+const getAllowedModels = (provider, settings = {}) =>
+  settings.models?.[provider.name]?.allowed ?? provider.parameters.models;
+
+const isAspectRatio = (provider, value) =>
+  typeof value === 'string' && Object.hasOwn(provider.parameters.aspectRatios, value);
+
+const isSeed = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_SEED;
+
+/**
+ * Seed for a prompt and its settings, the same on every server and worker
+ * @param {string} prompt - Text sent to the provider (after enhancement)
+ * @param {Object} settings - { model, size, quality, format, negativePrompt }
+ * @returns {number} Seed from 0 to 2^32 - 1
+ */
+export const deriveSeed = (prompt, { model, size, quality, format, negativePrompt = '' }) =>
+  hashText([normalizePrompt(prompt), model, size, quality, format, negativePrompt].join('|'));
+
+/**
+ * Validate the generation parameters a client asked for against a provider's allow-lists
+ * @param {Object} provider - Provider adapter
+ * @param {Object} params - { model, size, aspectRatio, quality, format, n, seed, negativePrompt } (all optional)
+ * @param {Object} settings - generation settings from config.js ({ defaults, models })
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateGenerationParams = (provider, params = {}, settings = {}) => {
+  const { model, size, aspectRatio, quality, format, n, seed, negativePrompt } = params;
+  const { parameters } = provider;
+  const list = (values) => values.join(', ');
+
+  if (model !== undefined) {
+    const allowedModels = getAllowedModels(provider, settings);
+    if (typeof model !== 'string' || model.trim().length === 0) {
+      return 'Model must be a non-empty string';
+    }
+    if (allowedModels && !allowedModels.includes(model)) {
+      return `Model "${model}" is not available for ${provider.name} (available: ${list(allowedModels)})`;
+    }
+  }
+  if (size !== undefined && aspectRatio !== undefined) {
+    return 'Give either size or aspectRatio, not both';
+  }
+  if (size !== undefined && !parameters.sizes.includes(size)) {
+    return `Size must be one of ${list(parameters.sizes)} for ${provider.name}`;
+  }
+  if (aspectRatio !== undefined && !isAspectRatio(provider, aspectRatio)) {
+    return `Aspect ratio must be one of ${list(Object.keys(parameters.aspectRatios))} for ${provider.name}`;
+  }
+  if (quality !== undefined && !parameters.qualities.includes(quality)) {
+    return `Quality must be one of ${list(parameters.qualities)} for ${provider.name}`;
+  }
+  if (format !== undefined && !parameters.formats.includes(format)) {
+    return `Format must be one of ${list(parameters.formats)} for ${provider.name}`;
+  }
+  if (n !== undefined && !(Number.isInteger(n) && n >= 1 && n <= parameters.maxImages)) {
+    return `n must be an integer from 1 to ${parameters.maxImages} for ${provider.name}`;
+  }
+  if (seed !== undefined) {
+    if (!isSeed(seed)) {
+      return `Seed must be an integer from 0 to ${MAX_SEED}`;
+    }
+    if (!parameters.seed) {
+      return `${provider.label} does not support seeds`;
+    }
+  }
+  if (negativePrompt !== undefined) {
+    if (typeof negativePrompt !== 'string' || negativePrompt.length > MAX_NEGATIVE_PROMPT_LENGTH) {
+      return `negativePrompt must be a string of at most ${MAX_NEGATIVE_PROMPT_LENGTH} characters`;
+    }
+    if (!parameters.negativePrompt) {
+      return `${provider.label} does not support negative prompts`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Work out the parameters a provider is called with
+ * Requested values win, then the config defaults, then the provider's own
+ * defaults. Values the provider does not accept are skipped rather than
+ * rejected (a fallback provider in the chain may accept less than the first).
+ * Without a requested seed, providers that take one get deriveSeed(prompt, ...)
+ * unless settings.deriveSeeds is false.
+ * A negative prompt only goes to providers with a field for it, never into the prompt text.
+ * @param {Object} provider - Provider adapter
+ * @param {Object} params - Requested parameters (see validateGenerationParams)
+ * @param {Object} settings - generation settings from config.js ({ defaults, models, deriveSeeds })
+ * @param {string} prompt - Text sent to the provider, for the derived seed (optional)
+ * @returns {Object} { model, size, aspectRatio?, quality, format, n, seed?, seedSource?, negativePrompt? }
+ *   (seedSource is "request" or "derived")
+ */
+export const resolveGenerationParams = (provider, params = {}, settings = {}, prompt = null) => {
+  const { parameters } = provider;
+  const defaults = settings.defaults || {};
+  const pick = (name, isAllowed) => [params[name], defaults[name]].find(value => value !== undefined && isAllowed(value));
+
+  const allowedModels = getAllowedModels(provider, settings);
+  const model = [params.model, settings.models?.[provider.name]?.default]
+    .find(value => typeof value === 'string' && value && (!allowedModels || allowedModels.includes(value)))
+    || provider.defaultModel;
+
+  const aspectRatio = isAspectRatio(provider, params.aspectRatio) ? params.aspectRatio : undefined;
+  const size = aspectRatio
+    ? parameters.aspectRatios[aspectRatio]
+    : pick('size', value => parameters.sizes.includes(value)) ?? parameters.sizes[0];
+
+  const quality = pick('quality', value => parameters.qualities.includes(value)) ?? parameters.qualities[0];
+  const format = pick('format', value => parameters.formats.includes(value)) ?? parameters.formats[0];
+  const negativePrompt = parameters.negativePrompt
+    ? pick('negativePrompt', value =>
+      typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_NEGATIVE_PROMPT_LENGTH)?.trim()
+    : undefined;
+
+  let seed;
+  if (parameters.seed && isSeed(params.seed)) {
+    seed = { seed: params.seed, seedSource: 'request' };
+  } else if (parameters.seed && prompt && settings.deriveSeeds !== false) {
+    seed = { seed: deriveSeed(prompt, { model, size, quality, format, negativePrompt }), seedSource: 'derived' };
+  }
+
+  return {
+    model,
+    size,
+    ...(aspectRatio ? { aspectRatio } : {}),
+    quality,
+    format,
+    n: pick('n', value => Number.isInteger(value) && value >= 1 && value <= parameters.maxImages) ?? 1,
+    ...seed,
+    ...(negativePrompt ? { negativePrompt } : {})
+  };
+};
+
+// Providers requestImage already warned about dropping the derived seed
+const unseededProviders = new Set();
+
+/**
+ * Generate images with one provider adapter
+ * @param {Object} provider - Provider adapter
+ * @param {Object} params - { prompt, model, params, settings, apiKey, endpoint } where params are the requested
+ *   generation parameters, settings the config generation settings (see resolveGenerationParams) and endpoint
+ *   overrides the provider's API URL
+ * @param {Function} fetchImpl - fetch implementation (defaults to global fetch)
+ * @param {Function} onProgress - Called with (phase, data) as the request advances (optional)
+ * @returns {Promise<Object>} { imageUrl, images?, provider, model, parameters, providerPrompt } (images lists every
+ *   image when n > 1, providerPrompt is the text the provider received)
+ */
+export const requestImage = async (provider, { prompt, model, params = {}, settings = {}, apiKey, endpoint }, fetchImpl = fetch, onProgress = () => {}) => {
+  const { model: resolvedModel, ...parameters } = resolveGenerationParams(provider, { ...params, model }, settings, prompt);
+  if (!provider.parameters.seed && settings.deriveSeeds !== false && !unseededProviders.has(provider.name)) {
+    unseededProviders.add(provider.name);
+    console.warn(`⚠️ ${provider.label} takes no seed: the derived seed is dropped, so its images for a prompt only repeat from the cache`);
+  }
+  const request = provider.buildRequest({ prompt, model: resolvedModel, apiKey, endpoint, params: parameters });
+
+  const toResult = (imageUrls) => ({
+    imageUrl: imageUrls[0],
+    ...(imageUrls.length > 1 ? { images: imageUrls.map(imageUrl => ({ imageUrl })) } : {}),
+    provider: provider.name,
+    model: resolvedModel,
+    parameters,
+    providerPrompt: prompt
+  });
+
+  // URL based providers need no upstream call
+  if (request.imageUrls) {
+    onProgress('provider_responded', { provider: provider.name, direct: true });
+    return toResult(request.imageUrls);
+  }
+
+  onProgress('provider_request_sent', { provider: provider.name, model: resolvedModel });
+  const response = await fetchImpl(request.url, request.init);
+  onProgress('provider_responded', { provider: provider.name, status: response.status });
+
+  if (!response.ok) {
+    const errorData = await response.text();
+    const classification = provider.classifyError(response.status, errorData);
+    const error = new Error(classification.message);
+    error.status = response.status;
+    error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+    error.type = classification.type;
+    error.retryable = classification.retryable;
+    error.provider = provider.name;
+    throw error;
+  }
+
+  const data = await response.json();
+  const imageUrls = provider.parseResponse(data);
+
+  if (imageUrls.length === 0) {
+    console.error('Unexpected API response:', data);
+    throw new Error(`No image URL in ${provider.label} response`);
+  }
+
+  return toResult(imageUrls);
+};
+
+/**
+ * Generate an image trying each provider in the chain until one succeeds or
+ * rejects the request itself (a non-retryable error such as a 400)
+ * @param {Object[]} providers - Ordered provider adapters (see resolveProviders)
+ * @param {Object} params - { prompt, model, params, settings, endpoints } (endpoints maps provider name to API URL,
+ *   params and settings as in requestImage)
+ * @param {Function} getApiKey - Called with the provider adapter, returns an API key
+ * @param {Function} fetchImpl - fetch implementation (defaults to global fetch)
+ * @param {Function} onProgress - Called with (phase, data) as generation advances (optional)
+ * @param {Function} reportKey - Called with (apiKey, { status, retryAfterMs }) after each keyed call (optional, see keyPool.js)
+ * @returns {Promise<Object>} { imageUrl, images?, provider, model, parameters, providerPrompt }
+ */
+export const generateWithProviders = async (providers, { prompt, model, params, settings, endpoints = {} }, getApiKey, fetchImpl = fetch, onProgress = () => {}, reportKey = () => {}) => {
+  let lastError;
+
+  for (const provider of providers) {
+    let apiKey;
+    try {
+      apiKey = provider.requiresApiKey ? getApiKey(provider) : undefined;
+
+      if (provider.requiresApiKey && !apiKey) {
+        throw new Error(`No API key available for ${provider.label}`);
+      }
+      onProgress('key_selected', { provider: provider.name, keyRequired: provider.requiresApiKey });
+
+      // A model only applies to the provider it was meant for
+      const providerModel = providers.length === 1 ? model : undefined;
+      const result = await requestImage(
+        provider,
+        { prompt, model: providerModel, params, settings, apiKey, endpoint: endpoints[provider.name] },
+        fetchImpl,
+        onProgress
+      );
+      if (apiKey) reportKey(apiKey, { status: 200 });
+      return result;
+    } catch (error) {
+      lastError = error;
+      if (apiKey && error.status) {
+        reportKey(apiKey, { status: error.status, retryAfterMs: error.retryAfterMs });
+      }
+      // A cancelled request must not fall through to the next provider, and neither
+      // may one the provider rejected as invalid (see classifyHttpError)
+      if (error.name === 'AbortError' || error.retryable === false) {
+        throw error;
+      }
+      if (providers.length > 1) {
+        console.warn(`⚠️ Provider ${provider.name} failed: ${error.message}`);
+      }
+    }
+  }
+
+  throw lastError || new Error('No image providers configured');
+};
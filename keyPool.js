@@ -0,0 +1,217 @@
+/**
+ * API Key Pool
+ * Health and quota aware key rotation, used for the image provider keys and the
+ * SiliconFlow comparison keys on both runtimes (imageGenerator.js, worker.js).
+ *
+ * Upstream answers decide what happens to the key that was used:
+ *
+ *   401 / 403  - rejected (revoked or wrong): quarantined, longer each time
+ *   402        - out of credits: quarantined until the next UTC day
+ *   429        - rate limited: quarantined for Retry-After (or a minute)
+ *   2xx        - healthy again
+ *
+ * Other failures (5xx, timeouts) are not the key's fault and do not touch its
+ * health. Optional per-key limits (requests per minute, requests per UTC day)
+ * keep keys from being used past their budget, and the key with the most budget
+ * left is preferred. State is per process / isolate, like the image cache.
+ */
+
+export const DEFAULT_KEY_POOL_OPTIONS = {
+  rateLimitPerMinute: null,
+  dailyQuota: null,
+  authQuarantineMs: 15 * 60 * 1000,
+  maxAuthQuarantineMs: 24 * 60 * 60 * 1000,
+  rateLimitQuarantineMs: 60 * 1000
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const utcDay = (now) => new Date(now).toISOString().slice(0, 10);
+
+const nextUtcDay = (now) => {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+};
+
+/**
+ * Mask a key for display: only the last 4 characters, and none of short keys
+ */
+export const maskKey = (value) => (value.length >= 12 ? `••••${value.slice(-4)}` : '••••');
+
+/**
+ * Create a key pool
+ * @param {Array} keys - [{ name, value }] (see config.js)
+ * @param {Object} options - { name, rateLimitPerMinute, dailyQuota, authQuarantineMs,
+ *   maxAuthQuarantineMs, rateLimitQuarantineMs } (limits are per key, null for none)
+ * @returns {Object} Pool with acquire, report, describe
+ */
+export const createKeyPool = (keys, options = {}) => {
+  const { name = 'keys', ...limits } = options;
+  const settings = { ...DEFAULT_KEY_POOL_OPTIONS, ...limits };
+
+  const entries = keys.map(key => ({
+    id: key.name,
+    value: key.value,
+    masked: maskKey(key.value),
+    recentRequests: [],
+    day: null,
+    usedToday: 0,
+    successes: 0,
+    failures: 0,
+    authFailures: 0,
+    quarantinedUntil: 0,
+    quarantineReason: null,
+    lastStatus: null,
+    lastUsed: null
+  }));
+  const byValue = new Map(entries.map(entry => [entry.value, entry]));
+  let cursor = 0;
+
+  // Forget usage that no longer counts against the limits
+  const refresh = (entry, now) => {
+    entry.recentRequests = entry.recentRequests.filter(time => now - time < MINUTE_MS);
+    if (entry.day !== utcDay(now)) {
+      entry.day = utcDay(now);
+      entry.usedToday = 0;
+    }
+    if (entry.quarantinedUntil && entry.quarantinedUntil <= now) {
+      entry.quarantinedUntil = 0;
+      entry.quarantineReason = null;
+    }
+  };
+
+  const remainingToday = (entry) => (settings.dailyQuota ? settings.dailyQuota - entry.usedToday : Infinity);
+
+  // Why a key cannot be used right now, or null when it can
+  const blockedBy = (entry) => {
+    if (entry.quarantinedUntil) return entry.quarantineReason;
+    if (settings.dailyQuota && remainingToday(entry) <= 0) return 'daily_quota';
+    if (settings.rateLimitPerMinute && entry.recentRequests.length >= settings.rateLimitPerMinute) return 'minute_limit';
+    return null;
+  };
+
+  // When a blocked key can be used again
+  const availableAt = (entry, now) => {
+    switch (blockedBy(entry)) {
+      case null: return now;
+      case 'daily_quota': return nextUtcDay(now);
+      case 'minute_limit': return entry.recentRequests[0] + MINUTE_MS;
+      default: return entry.quarantinedUntil;
+    }
+  };
+
+  const quarantine = (entry, reason, durationMs, now) => {
+    entry.quarantinedUntil = now + durationMs;
+    entry.quarantineReason = reason;
+    console.warn(`⚠️ ${name} key ${entry.id} (${entry.masked}) quarantined for ${Math.ceil(durationMs / 1000)}s: ${reason}`);
+  };
+
+  return {
+    name,
+    size: entries.length,
+
+    /**
+     * Take the next usable key, preferring the one with the most daily budget left
+     * (round-robin among equals) and counting the request against its limits
+     * @returns {string} Key value
+     * @throws {Error} With status 429 and retryAfterMs when every key is blocked
+     */
+    acquire(now = Date.now()) {
+      if (entries.length === 0) {
+        throw new Error(`No ${name} API keys configured`);
+      }
+      entries.forEach(entry => refresh(entry, now));
+
+      let chosen = -1;
+      for (let offset = 0; offset < entries.length; offset++) {
+        const index = (cursor + offset) % entries.length;
+        if (blockedBy(entries[index])) continue;
+        if (chosen === -1 || remainingToday(entries[index]) > remainingToday(entries[chosen])) {
+          chosen = index;
+        }
+      }
+
+      if (chosen === -1) {
+        const retryAfterMs = Math.max(0, Math.min(...entries.map(entry => availableAt(entry, now))) - now);
+        const error = new Error(`All ${entries.length} ${name} API keys are quarantined or over quota`);
+        error.status = 429;
+        error.retryAfterMs = retryAfterMs;
+        error.keysExhausted = true;
+        throw error;
+      }
+
+      const entry = entries[chosen];
+      cursor = (chosen + 1) % entries.length;
+      entry.recentRequests.push(now);
+      entry.usedToday++;
+      entry.lastUsed = now;
+      return entry.value;
+    },
+
+    /**
+     * Record how an upstream call made with a key ended
+     * @param {string} value - Key value returned by acquire
+     * @param {Object} result - { status, retryAfterMs } (status of the upstream response)
+     */
+    report(value, { status, retryAfterMs = null } = {}, now = Date.now()) {
+      const entry = byValue.get(value);
+      if (!entry || !status) return;
+
+      entry.lastStatus = status;
+      if (status < 400) {
+        entry.successes++;
+        entry.authFailures = 0;
+        entry.quarantinedUntil = 0;
+        entry.quarantineReason = null;
+        return;
+      }
+
+      entry.failures++;
+      if (status === 401 || status === 403) {
+        entry.authFailures++;
+        const durationMs = Math.min(
+          settings.authQuarantineMs * 2 ** (entry.authFailures - 1),
+          settings.maxAuthQuarantineMs
+        );
+        quarantine(entry, 'auth', durationMs, now);
+      } else if (status === 402) {
+        quarantine(entry, 'out_of_credits', nextUtcDay(now) - now, now);
+      } else if (status === 429) {
+        quarantine(entry, 'rate_limited', retryAfterMs ?? settings.rateLimitQuarantineMs, now);
+      }
+    },
+
+    /**
+     * Key health for status endpoints (masked keys only)
+     */
+    describe(now = Date.now()) {
+      entries.forEach(entry => refresh(entry, now));
+
+      return {
+        total: entries.length,
+        available: entries.filter(entry => !blockedBy(entry)).length,
+        limits: {
+          rateLimitPerMinute: settings.rateLimitPerMinute,
+          dailyQuota: settings.dailyQuota
+        },
+        keys: entries.map(entry => {
+          const blocked = blockedBy(entry);
+          return {
+            id: entry.id,
+            key: entry.masked,
+            status: blocked ? 'unavailable' : 'available',
+            reason: blocked,
+            availableAt: blocked ? new Date(availableAt(entry, now)).toISOString() : null,
+            requestsLastMinute: entry.recentRequests.length,
+            usedToday: entry.usedToday,
+            remainingToday: settings.dailyQuota ? Math.max(0, remainingToday(entry)) : null,
+            successes: entry.successes,
+            failures: entry.failures,
+            lastStatus: entry.lastStatus,
+            lastUsed: entry.lastUsed ? new Date(entry.lastUsed).toISOString() : null
+          };
+        })
+      };
+    }
+  };
+};
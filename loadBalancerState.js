@@ -0,0 +1,165 @@
+/**
+ * Load Balancer State
+ * Health state for InternalLoadBalancer (main-worker.js) that outlives a single
+ * request: round-robin position, per-worker request stats (routingStrategies.js)
+ * and a circuit breaker per worker (circuitBreaker.js). Recovery is computed from timestamps, so no
+ * timers are needed (they do not survive between Worker requests anyway).
+ *
+ * State lives at module scope in each isolate. A store can optionally share it
+ * between isolates. Store interface (all async):
+ *   load()       -> state or null
+ *   save(state)  -> void
+ *
+ * A KV store is provided; a Durable Object can implement the same interface
+ * for strongly consistent state.
+ */
+
+import {
+  DEFAULT_BREAKER_OPTIONS,
+  acquireRequest,
+  canRequest,
+  createBreaker,
+  recordFailure,
+  recordSuccess
+} from './circuitBreaker.js';
+import { createBackendStats, finishRequest, startRequest } from './routingStrategies.js';
+
+/**
+ * Create an empty load balancer state
+ */
+export const createLoadBalancerState = () => ({
+  currentIndex: 0,
+  workers: {},
+  updatedAt: 0
+});
+
+/**
+ * Get (and lazily create) the health record of one worker
+ * @param {Object} state - Load balancer state
+ * @param {string} name - Worker binding name
+ * @returns {Object} { lastFailureAt, stats, breaker }
+ */
+export const getWorkerHealth = (state, name) => {
+  if (!state.workers[name]) {
+    state.workers[name] = { lastFailureAt: null };
+  }
+  const health = state.workers[name];
+  // Records saved by older versions may miss parts
+  if (!health.stats) health.stats = createBackendStats();
+  if (!health.breaker) health.breaker = createBreaker();
+  return health;
+};
+
+/**
+ * Check whether a worker's circuit lets a request through at a given time
+ */
+export const isWorkerAvailable = (state, name, now = Date.now(), options = DEFAULT_BREAKER_OPTIONS) =>
+  canRequest(getWorkerHealth(state, name).breaker, now, options);
+
+/**
+ * Reserve a request on a worker (a probe when its circuit is half-open)
+ * @returns {boolean} false when the circuit does not allow it
+ */
+export const acquireWorker = (state, name, now = Date.now(), options = DEFAULT_BREAKER_OPTIONS) => {
+  const health = getWorkerHealth(state, name);
+  if (!acquireRequest(health.breaker, now, options)) return false;
+
+  startRequest(health.stats, now);
+  return true;
+};
+
+/**
+ * Record a successful call
+ * @param {Object} state - Load balancer state
+ * @param {string} name - Worker binding name
+ * @param {Object} result - { latencyMs, now, breakerOptions, ewmaAlpha }
+ * @returns {boolean} true when the worker's circuit changed state
+ */
+export const recordWorkerSuccess = (state, name, {
+  latencyMs = 0,
+  now = Date.now(),
+  breakerOptions = DEFAULT_BREAKER_OPTIONS,
+  ewmaAlpha
+} = {}) => {
+  const health = getWorkerHealth(state, name);
+  const before = health.breaker.state;
+
+  finishRequest(health.stats, { latencyMs, success: true }, ewmaAlpha);
+  recordSuccess(health.breaker, now, breakerOptions);
+
+  if (health.breaker.state === before) return false;
+  state.updatedAt = now;
+  return true;
+};
+
+/**
+ * Record a failed call
+ * @param {Object} state - Load balancer state
+ * @param {string} name - Worker binding name
+ * @param {Object} result - { latencyMs, now, breakerOptions }
+ * @returns {boolean} true when the worker's circuit changed state
+ */
+export const recordWorkerFailure = (state, name, {
+  latencyMs = 0,
+  now = Date.now(),
+  breakerOptions = DEFAULT_BREAKER_OPTIONS
+} = {}) => {
+  const health = getWorkerHealth(state, name);
+  const before = health.breaker.state;
+
+  health.lastFailureAt = now;
+  finishRequest(health.stats, { latencyMs, success: false });
+  recordFailure(health.breaker, now, breakerOptions);
+
+  if (health.breaker.state === before) return false;
+  state.updatedAt = now;
+  return true;
+};
+
+/**
+ * Merge state loaded from a shared store into the local state
+ * Newer circuit state wins. Request stats and the round-robin position stay
+ * local: in-flight counts only make sense per isolate, and isolates should not
+ * all start on the same worker.
+ */
+export const mergeLoadBalancerState = (local, remote) => {
+  if (!remote || !(remote.updatedAt > local.updatedAt)) return false;
+
+  Object.entries(remote.workers || {}).forEach(([name, remoteHealth]) => {
+    const health = getWorkerHealth(local, name);
+    if (remoteHealth.breaker) health.breaker = remoteHealth.breaker;
+    health.lastFailureAt = remoteHealth.lastFailureAt ?? health.lastFailureAt;
+  });
+  local.updatedAt = remote.updatedAt;
+  return true;
+};
+
+/**
+ * In-memory store (per isolate) - mainly for tests and local development
+ */
+export const createMemoryStateStore = () => {
+  let saved = null;
+
+  return {
+    name: 'memory',
+    load: async () => (saved ? JSON.parse(saved) : null),
+    save: async (state) => {
+      saved = JSON.stringify(state);
+    }
+  };
+};
+
+/**
+ * Cloudflare KV store
+ * KV allows about one write per second per key, so callers should only save
+ * when a circuit changes state, not on every request.
+ * @param {Object} namespace - KV namespace binding
+ * @param {Object} options - { key }
+ */
+export const createKVStateStore = (namespace, { key = 'load-balancer:state' } = {}) => ({
+  name: 'kv',
+  load: async () => namespace.get(key, 'json'),
+  save: async (state) => {
+    await namespace.put(key, JSON.stringify(state));
+  }
+});
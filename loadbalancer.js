@@ -3,171 +3,240 @@
  * Distributes traffic across 5+ servers for maximum reliability
  */
 
+import {
+  DEFAULT_BREAKER_OPTIONS,
+  acquireRequest,
+  canRequest,
+  createBreaker,
+  describeBreaker,
+  recordFailure,
+  recordSuccess
+} from './circuitBreaker.js';
+import {
+  createBackendStats,
+  createRouter,
+  describeBackendStats,
+  finishRequest,
+  startRequest
+} from './routingStrategies.js';
+import { DEFAULT_SERVER_URLS } from './config.js';
+import { signInternalRequest } from './auth.js';
+import { RETRY_DEFAULTS, classifyStatus, getRetryDelay, parseRetryAfter, sleep } from './responseClassification.js';
+
 class ImageGenerationLoadBalancer {
-  constructor() {
-    // List of all 20 Cloudflare Workers for maximum load distribution
-    this.servers = [
-      // Cloudflare Workers (Primary - 20 servers)
-      'https://prompt-server-1.prompt-tool.workers.dev',
-      'https://prompt-server-2.prompt-tool.workers.dev',
-      'https://prompt-server-3.prompt-tool.workers.dev',
-      'https://prompt-server-4.prompt-tool.workers.dev',
-      'https://prompt-server-5.prompt-tool.workers.dev',
-      'https://prompt-server-6.prompt-tool.workers.dev',
-      'https://prompt-server-7.prompt-tool.workers.dev',
-      'https://prompt-server-8.prompt-tool.workers.dev',
-      'https://prompt-server-9.prompt-tool.workers.dev',
-      'https://prompt-server-10.prompt-tool.workers.dev',
-      'https://prompt-server-11.prompt-tool.workers.dev',
-      'https://prompt-server-12.prompt-tool.workers.dev',
-      'https://prompt-server-13.prompt-tool.workers.dev',
-      'https://prompt-server-14.prompt-tool.workers.dev',
-      'https://prompt-server-15.prompt-tool.workers.dev',
-      'https://prompt-server-16.prompt-tool.workers.dev',
-      'https://prompt-server-17.prompt-tool.workers.dev',
-      'https://prompt-server-18.prompt-tool.workers.dev',
-      'https://prompt-server-19.prompt-tool.workers.dev',
-      'https://prompt-server-20.prompt-tool.workers.dev',
-      
-      // Railway (Secondary - 2 servers) - Add after Railway deployment
-      // 'https://prompt-server-prod.up.railway.app',
-      // 'https://prompt-server-backup.up.railway.app',
-      
-      // Other platforms (Tertiary) - Add after other deployments
-      // 'https://your-app.render.com',
-      // 'https://your-app.vercel.app',
-      // 'https://your-app.cyclic.app'
-    ];
+  /**
+   * @param {Object} options
+   * @param {string[]} options.servers - Server base URLs (default DEFAULT_SERVER_URLS, see config.js)
+   * @param {string} options.strategy - Routing strategy (see routingStrategies.js, default round-robin)
+   * @param {Object} options.weights - { serverUrl: weight } for the weighted strategy
+   * @param {number} options.ewmaAlpha - EWMA latency smoothing factor (default 0.3)
+   * @param {Object} options.circuitBreaker - Overrides for DEFAULT_BREAKER_OPTIONS
+   * @param {string} options.signingSecret - INTERNAL_SIGNING_SECRET, signs calls so workers accept them (optional, see auth.js)
+   */
+  constructor(options = {}) {
+    // Servers to balance across (defaults to the 20 Cloudflare Workers)
+    this.servers = [...(options.servers || DEFAULT_SERVER_URLS)];
     
-    this.currentServerIndex = 0;
-    this.failedServers = new Set();
+    this.router = createRouter({ strategy: options.strategy, weights: options.weights });
+    this.ewmaAlpha = options.ewmaAlpha ?? 0.3;
+    this.breakerOptions = { ...DEFAULT_BREAKER_OPTIONS, ...options.circuitBreaker };
+    this.signingSecret = options.signingSecret || null;
+    this.breakers = new Map();
     this.serverStats = new Map();
     
     // Initialize stats
     this.servers.forEach(server => {
-      this.serverStats.set(server, {
-        requests: 0,
-        failures: 0,
-        avgResponseTime: 0,
-        lastUsed: null
-      });
+      this.breakers.set(server, createBreaker());
+      this.serverStats.set(server, createBackendStats());
     });
   }
   
   /**
-   * Get next available server using round-robin with failure detection
+   * Get next available server using the routing strategy, with circuit breakers
+   * Servers whose circuit is open are skipped; half-open ones get a probe.
+   * @param {string[]} exclude - Servers already tried for this request
+   * @returns {string|null} Server URL, or null when every circuit is open
    */
-  getNextServer() {
-    const availableServers = this.servers.filter(server => !this.failedServers.has(server));
+  getNextServer(exclude = []) {
+    const now = Date.now();
+    const availableServers = this.servers.filter(server =>
+      canRequest(this.breakers.get(server), now, this.breakerOptions)
+    );
     
     if (availableServers.length === 0) {
-      // All servers failed, reset and try again
-      console.warn('All servers failed, resetting failure list...');
-      this.failedServers.clear();
-      return this.servers[0];
+      console.warn('All server circuits are open');
+      return null;
     }
     
-    // Round-robin through available servers
-    const server = availableServers[this.currentServerIndex % availableServers.length];
-    this.currentServerIndex++;
+    // Prefer servers not tried yet for this request
+    const untried = availableServers.filter(server => !exclude.includes(server));
+    const server = this.router.pick(untried.length > 0 ? untried : availableServers, 
+      candidate => this.serverStats.get(candidate));
+    acquireRequest(this.breakers.get(server), now, this.breakerOptions);
+    startRequest(this.serverStats.get(server), now);
     
     return server;
   }
   
   /**
-   * Mark server as failed temporarily
+   * Record a failed request on the server's circuit breaker
    */
   markServerFailed(serverUrl) {
-    this.failedServers.add(serverUrl);
-    const stats = this.serverStats.get(serverUrl);
-    if (stats) {
-      stats.failures++;
+    const breaker = this.breakers.get(serverUrl);
+    if (!breaker) return;
+
+    const before = breaker.state;
+    recordFailure(breaker, Date.now(), this.breakerOptions);
+    if (breaker.state !== before) {
+      console.warn(`🔌 Circuit for ${serverUrl} opened (${breaker.transitions.at(-1).reason})`);
+    }
+  }
+
+  /**
+   * Record a successful request on the server's circuit breaker
+   */
+  markServerSucceeded(serverUrl) {
+    const breaker = this.breakers.get(serverUrl);
+    if (!breaker) return;
+
+    const before = breaker.state;
+    recordSuccess(breaker, Date.now(), this.breakerOptions);
+    if (breaker.state !== before) {
+      console.log(`✅ Circuit for ${serverUrl} closed, restored to rotation`);
     }
-    
-    // Remove from failed list after 5 minutes
-    setTimeout(() => {
-      this.failedServers.delete(serverUrl);
-      console.log(`Server ${serverUrl} restored to rotation`);
-    }, 5 * 60 * 1000);
   }
   
   /**
-   * Update server statistics
+   * Update server statistics when a request finishes
    */
   updateServerStats(serverUrl, responseTime, success) {
     const stats = this.serverStats.get(serverUrl);
     if (stats) {
-      stats.requests++;
-      stats.lastUsed = new Date();
-      
-      if (success) {
-        // Update average response time
-        stats.avgResponseTime = (stats.avgResponseTime + responseTime) / 2;
-      } else {
-        stats.failures++;
-      }
+      finishRequest(stats, { latencyMs: responseTime, success }, this.ewmaAlpha);
     }
   }
   
   /**
-   * Generate image with automatic load balancing and failover
+   * POST a JSON payload to the next server, failing over to others
+   * 4xx answers are the caller's fault: they are thrown straight away (with
+   * `status`) and not held against the server. 408/429/5xx, 401 (a signature the
+   * worker rejects), timeouts and network errors count against the server and are
+   * retried on another server after a backoff that honours Retry-After.
+   * @param {string} path - API path, e.g. /api/generate-image
+   * @param {Object} payload - JSON body
+   * @param {Object} options - { timeout, label, clientId } (label names the action in logs, clientId is the
+   *   authenticated caller the workers count the request against)
+   * @returns {Promise<Object>} Response JSON plus serverUsed, responseTime and attempt
    */
-  async generateImage(prompt, options = {}) {
+  async postWithFailover(path, payload, { timeout, label, clientId }) {
     const maxAttempts = Math.min(this.servers.length, 3); // Try max 3 servers
-    const timeout = options.timeout || 30000; // 30 second timeout
+    const triedServers = [];
+    const body = JSON.stringify(payload);
     
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const serverUrl = this.getNextServer();
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const serverUrl = this.getNextServer(triedServers);
+      if (!serverUrl) {
+        const error = new Error('All servers unavailable (circuit breakers open)');
+        error.status = 503;
+        throw error;
+      }
+      triedServers.push(serverUrl);
       const startTime = Date.now();
+      let retryAfterMs = null;
       
       try {
-        console.log(`🎯 Attempt ${attempt + 1}: Using server ${serverUrl}`);
+        console.log(`🎯 Attempt ${attempt}: ${label} using server ${serverUrl}`);
         
-        const response = await fetch(`${serverUrl}/api/generate-image`, {
+        const url = `${serverUrl}${path}`;
+        const signedHeaders = this.signingSecret
+          ? await signInternalRequest(this.signingSecret, { method: 'POST', path: new URL(url).pathname, clientId, body })
+          : {};
+        
+        const response = await fetch(url, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
+            ...signedHeaders
           },
-          body: JSON.stringify({ prompt }),
+          body,
           signal: AbortSignal.timeout(timeout)
         });
         
         const responseTime = Date.now() - startTime;
+        const outcome = classifyStatus(response.status, { internal: true });
         
-        if (response.ok) {
-          const data = await response.json();
+        if (outcome !== 'retryable') {
+          // The server handled the request, whatever the answer
           this.updateServerStats(serverUrl, responseTime, true);
+          this.markServerSucceeded(serverUrl);
+          
+          const data = await response.json().catch(() => ({}));
+          
+          if (outcome === 'client_error') {
+            const error = new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            error.retryable = false;
+            throw error;
+          }
           
-          console.log(`✅ Success with ${serverUrl} in ${responseTime}ms`);
+          console.log(`✅ ${label} succeeded with ${serverUrl} in ${responseTime}ms`);
           
           return {
             ...data,
             serverUsed: serverUrl,
             responseTime: responseTime,
-            attempt: attempt + 1
+            attempt
           };
-        } else {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
         
+        retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+        
       } catch (error) {
+        if (error.retryable === false) throw error;
+        
+        // A rate limited server (e.g. its API keys are exhausted) is up: try
+        // another one, but keep its circuit closed
+        const rateLimited = error.status === 429;
         const responseTime = Date.now() - startTime;
-        this.updateServerStats(serverUrl, responseTime, false);
+        this.updateServerStats(serverUrl, responseTime, rateLimited);
         
-        console.warn(`❌ Server ${serverUrl} failed (attempt ${attempt + 1}):`, error.message);
+        console.warn(`❌ Server ${serverUrl} failed (attempt ${attempt}):`, error.message);
         
-        if (error.name === 'TimeoutError' || responseTime > timeout) {
+        if (rateLimited) {
+          this.markServerSucceeded(serverUrl);
+        } else {
           this.markServerFailed(serverUrl);
         }
         
-        // If this is the last attempt, throw the error
-        if (attempt === maxAttempts - 1) {
-          throw new Error(`All ${maxAttempts} server attempts failed. Last error: ${error.message}`);
+        // Out of attempts, or the server wants us to wait longer than is reasonable
+        const waitTooLong = retryAfterMs !== null && retryAfterMs > RETRY_DEFAULTS.maxDelayMs;
+        if (attempt === maxAttempts || waitTooLong) {
+          const finalError = new Error(`All ${attempt} server attempts failed. Last error: ${error.message}`);
+          finalError.status = error.status === 429 ? 429 : 503;
+          if (retryAfterMs !== null) finalError.retryAfterMs = retryAfterMs;
+          throw finalError;
         }
+        
+        await sleep(getRetryDelay(attempt, { retryAfterMs }));
       }
     }
   }
   
+  /**
+   * Generate image with automatic load balancing and failover
+   * @param {Object} options - { timeout, clientId }
+   */
+  async generateImage(prompt, options = {}) {
+    return this.postWithFailover('/api/generate-image', { prompt }, {
+      timeout: options.timeout || 30000, // 30 second timeout
+      label: 'Image generation',
+      clientId: options.clientId
+    });
+  }
+  
   /**
    * Generate image with progress updates (simplified for multiple servers)
    */
@@ -189,65 +258,18 @@ class ImageGenerationLoadBalancer {
   
   /**
    * Compare images with automatic load balancing and failover
+   * @param {Object} options - { weights, feedback, timeout, clientId }
    */
   async compareImages(targetImage, generatedImage, originalPrompt = '', options = {}) {
-    const maxAttempts = Math.min(this.servers.length, 3); // Try max 3 servers
-    const timeout = options.timeout || 60000; // 60 second timeout for comparison
-    
-    for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const serverUrl = this.getNextServer();
-      const startTime = Date.now();
-      
-      try {
-        console.log(`🔍 Attempt ${attempt + 1}: Comparing images using server ${serverUrl}`);
-        
-        const response = await fetch(`${serverUrl}/api/compare-images`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ 
-            targetImage, 
-            generatedImage, 
-            originalPrompt 
-          }),
-          signal: AbortSignal.timeout(timeout)
-        });
-        
-        const responseTime = Date.now() - startTime;
-        
-        if (response.ok) {
-          const data = await response.json();
-          this.updateServerStats(serverUrl, responseTime, true);
-          
-          console.log(`✅ Comparison success with ${serverUrl} in ${responseTime}ms`);
-          
-          return {
-            ...data,
-            serverUsed: serverUrl,
-            responseTime: responseTime,
-            attempt: attempt + 1
-          };
-        } else {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-      } catch (error) {
-        const responseTime = Date.now() - startTime;
-        this.updateServerStats(serverUrl, responseTime, false);
-        
-        console.warn(`❌ Server ${serverUrl} failed (attempt ${attempt + 1}):`, error.message);
-        
-        if (error.name === 'TimeoutError' || responseTime > timeout) {
-          this.markServerFailed(serverUrl);
-        }
-        
-        // If this is the last attempt, throw the error
-        if (attempt === maxAttempts - 1) {
-          throw new Error(`All ${maxAttempts} server attempts failed. Last error: ${error.message}`);
-        }
-      }
-    }
+    // Weights arrive with the lesson and defaults already applied, so the workers need no lesson config.
+    // Local similarity is measured by the caller, the workers only ask the vision model.
+    const { weights, feedback } = options;
+    const body = { targetImage, generatedImage, originalPrompt, weights, ...feedback, scoring: 'ai' };
+    return this.postWithFailover('/api/compare-images', body, {
+      timeout: options.timeout || 60000, // 60 second timeout for comparison
+      label: 'Image comparison',
+      clientId: options.clientId
+    });
   }
   
   /**
@@ -315,17 +337,40 @@ class ImageGenerationLoadBalancer {
    * Get server statistics
    */
   getServerStats() {
+    const now = Date.now();
     const stats = {};
     this.serverStats.forEach((stat, server) => {
+      const circuit = describeBreaker(this.breakers.get(server), now, this.breakerOptions);
       stats[server] = {
-        ...stat,
-        uptime: this.failedServers.has(server) ? 'DOWN' : 'UP',
+        ...describeBackendStats(stat),
+        uptime: circuit.state === 'open' ? 'DOWN' : 'UP',
+        circuit,
         successRate: stat.requests > 0 ? 
           ((stat.requests - stat.failures) / stat.requests * 100).toFixed(2) + '%' : 'N/A'
       };
     });
     return stats;
   }
+
+  /**
+   * Get circuit breaker summary (for status endpoints)
+   * Only servers whose circuit has changed state are listed in detail.
+   */
+  getCircuitStatus() {
+    const now = Date.now();
+    const summary = { closed: 0, open: 0, half_open: 0 };
+    const circuits = {};
+
+    this.breakers.forEach((breaker, server) => {
+      const circuit = describeBreaker(breaker, now, this.breakerOptions);
+      summary[circuit.state]++;
+      if (circuit.transitions.length > 0) {
+        circuits[server] = circuit;
+      }
+    });
+
+    return { totalServers: this.servers.length, strategy: this.router.strategy, ...summary, circuits };
+  }
   
   /**
    * Add new server to rotation
@@ -333,12 +378,8 @@ class ImageGenerationLoadBalancer {
   addServer(serverUrl) {
     if (!this.servers.includes(serverUrl)) {
       this.servers.push(serverUrl);
-      this.serverStats.set(serverUrl, {
-        requests: 0,
-        failures: 0,
-        avgResponseTime: 0,
-        lastUsed: null
-      });
+      this.breakers.set(serverUrl, createBreaker());
+      this.serverStats.set(serverUrl, createBackendStats());
       console.log(`✅ Added new server: ${serverUrl}`);
     }
   }
@@ -351,7 +392,7 @@ class ImageGenerationLoadBalancer {
     if (index > -1) {
       this.servers.splice(index, 1);
       this.serverStats.delete(serverUrl);
-      this.failedServers.delete(serverUrl);
+      this.breakers.delete(serverUrl);
       console.log(`❌ Removed server: ${serverUrl}`);
     }
   }
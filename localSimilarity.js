@@ -0,0 +1,295 @@
+/**
+ * Local Similarity
+ * Deterministic image similarity computed in pure JavaScript, next to (or
+ * instead of) the vision model's score. Needs no API key or network, so
+ * comparisons can be tested offline.
+ *
+ * Both images are decoded (imageDecoding.js: PNG and JPEG), composited over
+ * white and scaled down to the same grid, then compared three ways:
+ *
+ *   ssim       - structural similarity of 64x64 greyscale versions (8x8 windows, step 4)
+ *   histogram  - intersection of 4x4x4 colour histograms
+ *   phash      - Hamming distance of 64-bit DCT perceptual hashes (32x32)
+ *
+ * The local score (0-100) weighs them with LOCAL_METRIC_WEIGHTS. Scoring modes
+ * for POST /api/compare-images:
+ *
+ *   combined  - AI score plus localSimilarity (default)
+ *   blend     - as combined, plus blendedScore mixing both by localWeight
+ *   local     - local metrics only, the vision model is not called
+ *   ai        - AI score only
+ */
+
+import { decodeDataUrl, decodeImage } from './imageDecoding.js';
+
+export const SCORING_MODES = ['combined', 'blend', 'local', 'ai'];
+export const DEFAULT_SCORING = 'combined';
+
+// Share of the local score in blendedScore
+export const DEFAULT_LOCAL_WEIGHT = 0.3;
+
+export const LOCAL_METRIC_WEIGHTS = { ssim: 0.4, histogram: 0.3, phash: 0.3 };
+
+const GRID_SIZE = 64;
+const HASH_SIZE = 32;
+const HASH_BITS = 8;
+const SSIM_WINDOW = 8;
+const SSIM_STEP = 4;
+const HISTOGRAM_LEVELS = 4;
+
+// Share of the largest coefficient a hash coefficient must clear the median by
+const PHASH_DEAD_ZONE = 0.02;
+
+// Unrelated images differ in about half of the hash bits
+const PHASH_UNRELATED_DISTANCE = 32;
+
+/**
+ * Check the scoring fields of a comparison request
+ * @param {Object} options - { scoring, localWeight } from the request body
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateScoringOptions = ({ scoring, localWeight } = {}) => {
+  if (scoring !== undefined && !SCORING_MODES.includes(scoring)) {
+    return `scoring must be one of: ${SCORING_MODES.join(', ')}`;
+  }
+  if (localWeight !== undefined) {
+    if (scoring !== 'blend') return 'localWeight needs "scoring": "blend"';
+    if (typeof localWeight !== 'number' || !(localWeight >= 0 && localWeight <= 1)) {
+      return 'localWeight must be a number from 0 to 1';
+    }
+  }
+  return null;
+};
+
+/**
+ * Scale RGBA pixels to a size x size RGB grid (box average, transparent pixels over white)
+ * @returns {Float32Array} RGB values, 3 per cell
+ */
+const toGrid = ({ width, height, data }, size) => {
+  const grid = new Float32Array(size * size * 3);
+  for (let gy = 0; gy < size; gy++) {
+    const y0 = Math.floor(gy * height / size);
+    const y1 = Math.max(y0 + 1, Math.floor((gy + 1) * height / size));
+    for (let gx = 0; gx < size; gx++) {
+      const x0 = Math.floor(gx * width / size);
+      const x1 = Math.max(x0 + 1, Math.floor((gx + 1) * width / size));
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const i = (y * width + x) * 4;
+          const alpha = data[i + 3] / 255;
+          r += data[i] * alpha + 255 * (1 - alpha);
+          g += data[i + 1] * alpha + 255 * (1 - alpha);
+          b += data[i + 2] * alpha + 255 * (1 - alpha);
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const cell = (gy * size + gx) * 3;
+      grid[cell] = r / count;
+      grid[cell + 1] = g / count;
+      grid[cell + 2] = b / count;
+    }
+  }
+  return grid;
+};
+
+const toGrey = (grid) => {
+  const grey = new Float32Array(grid.length / 3);
+  for (let i = 0; i < grey.length; i++) {
+    grey[i] = 0.299 * grid[i * 3] + 0.587 * grid[i * 3 + 1] + 0.114 * grid[i * 3 + 2];
+  }
+  return grey;
+};
+
+// Halve a square greyscale grid (2x2 average)
+const halve = (grey, size) => {
+  const half = size / 2;
+  const out = new Float32Array(half * half);
+  for (let y = 0; y < half; y++) {
+    for (let x = 0; x < half; x++) {
+      const i = 2 * y * size + 2 * x;
+      out[y * half + x] = (grey[i] + grey[i + 1] + grey[i + size] + grey[i + size + 1]) / 4;
+    }
+  }
+  return out;
+};
+
+/**
+ * Mean SSIM over sliding windows of two same-size greyscale grids
+ * @returns {number} -1 to 1 (1 for identical images)
+ */
+export const structuralSimilarity = (a, b, size) => {
+  const c1 = (0.01 * 255) ** 2;
+  const c2 = (0.03 * 255) ** 2;
+  const n = SSIM_WINDOW * SSIM_WINDOW;
+  let total = 0;
+  let windows = 0;
+
+  for (let wy = 0; wy + SSIM_WINDOW <= size; wy += SSIM_STEP) {
+    for (let wx = 0; wx + SSIM_WINDOW <= size; wx += SSIM_STEP) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+      for (let y = wy; y < wy + SSIM_WINDOW; y++) {
+        for (let x = wx; x < wx + SSIM_WINDOW; x++) {
+          const va = a[y * size + x];
+          const vb = b[y * size + x];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      const varA = sumAA / n - meanA * meanA;
+      const varB = sumBB / n - meanB * meanB;
+      const covariance = sumAB / n - meanA * meanB;
+      total += ((2 * meanA * meanB + c1) * (2 * covariance + c2)) /
+        ((meanA * meanA + meanB * meanB + c1) * (varA + varB + c2));
+      windows++;
+    }
+  }
+  return total / windows;
+};
+
+/**
+ * Normalised 4x4x4 colour histogram of an RGB grid
+ */
+const colourHistogram = (grid) => {
+  const bins = new Float32Array(HISTOGRAM_LEVELS ** 3);
+  const cells = grid.length / 3;
+  const level = (value) => Math.min(HISTOGRAM_LEVELS - 1, Math.floor(value * HISTOGRAM_LEVELS / 256));
+  for (let i = 0; i < cells; i++) {
+    const r = level(grid[i * 3]);
+    const g = level(grid[i * 3 + 1]);
+    const b = level(grid[i * 3 + 2]);
+    bins[(r * HISTOGRAM_LEVELS + g) * HISTOGRAM_LEVELS + b] += 1 / cells;
+  }
+  return bins;
+};
+
+/**
+ * Histogram intersection
+ * @returns {number} 0 to 1 (1 for the same colour distribution)
+ */
+export const histogramSimilarity = (a, b) => a.reduce((sum, value, index) => sum + Math.min(value, b[index]), 0);
+
+/**
+ * 64-bit perceptual hash: low frequencies of a 32x32 DCT, compared with their median
+ * @param {Float32Array} grey - 32x32 greyscale grid
+ * @returns {string} 16 hex digits
+ */
+export const perceptualHash = (grey) => {
+  const cosines = new Float32Array(HASH_BITS * HASH_SIZE);
+  for (let u = 0; u < HASH_BITS; u++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      cosines[u * HASH_SIZE + x] = Math.cos((2 * x + 1) * u * Math.PI / (2 * HASH_SIZE));
+    }
+  }
+
+  // Rows first, then columns, only for the 8x8 low frequencies
+  const rows = new Float32Array(HASH_SIZE * HASH_BITS);
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let u = 0; u < HASH_BITS; u++) {
+      let sum = 0;
+      for (let x = 0; x < HASH_SIZE; x++) sum += grey[y * HASH_SIZE + x] * cosines[u * HASH_SIZE + x];
+      rows[y * HASH_BITS + u] = sum;
+    }
+  }
+  const coefficients = [];
+  for (let v = 0; v < HASH_BITS; v++) {
+    for (let u = 0; u < HASH_BITS; u++) {
+      let sum = 0;
+      for (let y = 0; y < HASH_SIZE; y++) sum += rows[y * HASH_BITS + u] * cosines[v * HASH_SIZE + y];
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term only says how bright the image is, so it stays out of the median.
+  // Coefficients barely above the median (common in flat, symmetric drawings)
+  // count as below it, so compression noise does not flip their bits.
+  const ac = coefficients.slice(1);
+  const sorted = [...ac].sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  const deadZone = PHASH_DEAD_ZONE * Math.max(...ac.map(Math.abs));
+  let hex = '';
+  for (let i = 0; i < coefficients.length; i += 4) {
+    const nibble = coefficients.slice(i, i + 4).reduce((bits, value) => (bits << 1) | (value > median + deadZone ? 1 : 0), 0);
+    hex += nibble.toString(16);
+  }
+  return hex;
+};
+
+/**
+ * Number of differing bits between two hashes
+ */
+export const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+};
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Compare two decoded images
+ * @param {Object} target - { width, height, data } (RGBA)
+ * @param {Object} generated - { width, height, data } (RGBA)
+ * @returns {Object} { score, ssim, histogram, phash: { target, generated, distance, similarity } }
+ */
+export const measureSimilarity = (target, generated) => {
+  const [targetGrid, generatedGrid] = [target, generated].map(image => toGrid(image, GRID_SIZE));
+  const [targetGrey, generatedGrey] = [targetGrid, generatedGrid].map(toGrey);
+
+  const ssim = structuralSimilarity(targetGrey, generatedGrey, GRID_SIZE);
+  const histogram = histogramSimilarity(colourHistogram(targetGrid), colourHistogram(generatedGrid));
+  const [targetHash, generatedHash] = [targetGrey, generatedGrey].map(grey => perceptualHash(halve(grey, GRID_SIZE)));
+  const distance = hammingDistance(targetHash, generatedHash);
+  const phash = Math.max(0, 1 - distance / PHASH_UNRELATED_DISTANCE);
+
+  const score = LOCAL_METRIC_WEIGHTS.ssim * Math.max(0, ssim) +
+    LOCAL_METRIC_WEIGHTS.histogram * histogram +
+    LOCAL_METRIC_WEIGHTS.phash * phash;
+
+  return {
+    score: Math.round(score * 100),
+    ssim: round3(ssim),
+    histogram: round3(histogram),
+    phash: { target: targetHash, generated: generatedHash, distance, similarity: round3(phash) }
+  };
+};
+
+/**
+ * Decode two images and compare them locally
+ * @param {string|Uint8Array} targetImage - Data URL or image bytes
+ * @param {string|Uint8Array} generatedImage - Data URL or image bytes
+ * @returns {Promise<Object>} See measureSimilarity
+ * @throws {Error} When an image cannot be decoded (see decodeImage)
+ */
+export const compareImagesLocally = async (targetImage, generatedImage) => {
+  const [target, generated] = await Promise.all([targetImage, generatedImage].map(image =>
+    decodeImage(typeof image === 'string' ? decodeDataUrl(image).bytes : image)));
+  return measureSimilarity(target, generated);
+};
+
+/**
+ * Mix the AI and local scores
+ * @returns {number|null} Either score alone when the other is missing
+ */
+export const blendScores = (aiScore, localScore, localWeight = DEFAULT_LOCAL_WEIGHT) => {
+  if (aiScore === null || aiScore === undefined) return localScore ?? null;
+  if (localScore === null || localScore === undefined) return aiScore;
+  return Math.round(aiScore * (1 - localWeight) + localScore * localWeight);
+};
@@ -9,60 +9,247 @@
  * - Centralized monitoring
  */
 
+import { getProvider, requestImage } from './imageProviders.js';
+import { describeBreaker } from './circuitBreaker.js';
+import {
+  acquireWorker,
+  createLoadBalancerState,
+  createKVStateStore,
+  getWorkerHealth,
+  isWorkerAvailable,
+  mergeLoadBalancerState,
+  recordWorkerFailure,
+  recordWorkerSuccess
+} from './loadBalancerState.js';
+import { createRouter, describeBackendStats } from './routingStrategies.js';
+import { discoverWorkerBindings, loadConfig } from './config.js';
+import { RETRY_DEFAULTS, classifyStatus, getRetryDelay, parseRetryAfter, sleep } from './responseClassification.js';
+import {
+  CLIENT_ID_HEADER,
+  INTERNAL_SIGNATURE_HEADER,
+  createAuthenticator,
+  createKVTokenStore,
+  createMemoryTokenStore,
+  createTokenAdminHandler,
+  signInternalRequest
+} from './auth.js';
+import { createKVRateLimitStore, createMemoryRateLimitStore, createRateLimiter, isRefundable } from './rateLimiter.js';
+import { BLOCKED_PROMPT_MESSAGE, createKVModerationLog, createModerator } from './moderation.js';
+import { CUSTOM_ENHANCEMENT, createPromptEnhancer } from './promptEnhancement.js';
+
+// How often an isolate re-reads shared health state from the store
+const STATE_SYNC_INTERVAL_MS = 10 * 1000;
+
+// How long to wait for an internal worker's response headers
+const WORKER_TIMEOUT_MS = 30 * 1000;
+
+// Admin routes that change the cache, sent to every internal worker
+const CACHE_ADMIN_ROUTES = ['/admin/cache/clear', '/admin/cache/invalidate'];
+
 class InternalLoadBalancer {
-  constructor(env) {
+  /**
+   * @param {Object} env - Worker environment (service bindings)
+   * @param {Object} options - { bindings, state, store, strategy, weights, fallbackProvider,
+   *   moderator, generation, enhancer } (moderator checks prompts before the direct fallback, see moderation.js;
+   *   generation holds the parameter defaults from config.js; enhancer see promptEnhancement.js)
+   */
+  constructor(env, {
+    bindings = discoverWorkerBindings(env),
+    state = createLoadBalancerState(),
+    store = null,
+    strategy,
+    weights,
+    fallbackProvider = 'pollinations',
+    moderator = null,
+    generation = {},
+    enhancer = createPromptEnhancer()
+  } = {}) {
     // Service bindings for internal workers (Cloudflare native approach)
-    this.workerBindings = [
-      'SERVER1', 'SERVER2', 'SERVER3', 'SERVER4', 'SERVER5',
-      'SERVER6', 'SERVER7', 'SERVER8', 'SERVER9', 'SERVER10',
-      'SERVER11', 'SERVER12', 'SERVER13', 'SERVER14', 'SERVER15',
-      'SERVER16', 'SERVER17', 'SERVER18', 'SERVER19', 'SERVER20'
-    ];
+    this.workerBindings = bindings;
+    this.fallbackProvider = fallbackProvider;
+    this.moderator = moderator;
+    this.generation = generation;
+    this.enhancer = enhancer;
     
     this.env = env;
-    this.currentIndex = 0;
-    this.failedWorkers = new Set();
+    this.state = state;
+    this.store = store;
+    // Round-robin position lives in the shared state
+    this.router = createRouter({ strategy, weights, cursor: this.state });
+    this.lastSyncAt = 0;
+    this.stateChanged = false;
+  }
+
+  /**
+   * Pull health state written by other isolates (at most every few seconds)
+   */
+  async syncState(now = Date.now()) {
+    if (!this.store || now - this.lastSyncAt < STATE_SYNC_INTERVAL_MS) return;
+    this.lastSyncAt = now;
+
+    try {
+      mergeLoadBalancerState(this.state, await this.store.load());
+    } catch (error) {
+      console.warn(`Could not load load balancer state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save health state after it changed, without delaying the response
+   */
+  persistState(ctx) {
+    if (!this.store || !this.stateChanged) return;
+    this.stateChanged = false;
+
+    const saving = this.store.save(this.state).catch(error => {
+      console.warn(`Could not save load balancer state: ${error.message}`);
+    });
+    if (ctx?.waitUntil) ctx.waitUntil(saving);
   }
   
   /**
-   * Get next available worker using round-robin
+   * Get next available worker using the routing strategy
+   * Workers whose circuit is open are skipped; half-open ones get a probe.
+   * @param {string[]} exclude - Workers already tried for this request
+   * @returns {string|null} Worker binding, or null when every circuit is open
    */
-  getNextWorker() {
+  getNextWorker(exclude = [], now = Date.now()) {
     const availableWorkers = this.workerBindings.filter(binding => 
-      !this.failedWorkers.has(binding)
+      isWorkerAvailable(this.state, binding, now)
     );
     
     if (availableWorkers.length === 0) {
-      // All workers failed, reset and try again
-      console.warn('All internal workers failed, resetting...');
-      this.failedWorkers.clear();
-      return this.workerBindings[0];
+      console.warn('All internal worker circuits are open');
+      return null;
     }
     
-    const worker = availableWorkers[this.currentIndex % availableWorkers.length];
-    this.currentIndex++;
+    // Prefer workers not tried yet for this request
+    const untried = availableWorkers.filter(binding => !exclude.includes(binding));
+    const worker = this.router.pick(untried.length > 0 ? untried : availableWorkers,
+      binding => getWorkerHealth(this.state, binding).stats);
+    acquireWorker(this.state, worker, now);
     
     return worker;
   }
   
   /**
-   * Mark worker as failed temporarily
+   * Record a failed call on a worker's circuit breaker
    */
-  markWorkerFailed(workerBinding) {
-    this.failedWorkers.add(workerBinding);
-    console.warn(`Worker ${workerBinding} marked as failed`);
-    
-    // Remove from failed list after 2 minutes
-    setTimeout(() => {
-      this.failedWorkers.delete(workerBinding);
-      console.log(`Worker ${workerBinding} restored to rotation`);
-    }, 2 * 60 * 1000);
+  markWorkerFailed(workerBinding, latencyMs) {
+    if (recordWorkerFailure(this.state, workerBinding, { latencyMs })) {
+      this.stateChanged = true;
+      console.warn(`Worker ${workerBinding} circuit opened`);
+    }
+  }
+
+  /**
+   * Record a successful call, closing the worker's circuit after enough probes
+   */
+  markWorkerSucceeded(workerBinding, latencyMs) {
+    if (recordWorkerSuccess(this.state, workerBinding, { latencyMs })) {
+      this.stateChanged = true;
+      console.log(`Worker ${workerBinding} circuit closed, restored to rotation`);
+    }
+  }
+  
+  /**
+   * Call one internal worker, giving up if it does not answer in time
+   * The timeout only covers the response headers, so long streams are not cut off.
+   * @param {Object} internalHeaders - Signed internal headers (see auth.js), replacing any the client sent
+   */
+  async callWorker(binding, request, internalHeaders = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error('Worker timed out')), WORKER_TIMEOUT_MS);
+    const signal = AbortSignal.any ? AbortSignal.any([request.signal, controller.signal]) : controller.signal;
+
+    const headers = new Headers(request.headers);
+    headers.delete(INTERNAL_SIGNATURE_HEADER);
+    headers.delete(CLIENT_ID_HEADER);
+    Object.entries(internalHeaders).forEach(([name, value]) => headers.set(name, value));
+
+    try {
+      return await binding.fetch(new Request(request.clone(), { signal, headers }));
+    } finally {
+      clearTimeout(timer);
+    }
   }
   
   /**
    * Forward request to internal worker using Service Bindings
+   * @param {Object} client - Authenticated client (see auth.js), passed on to the worker
    */
-  async forwardRequest(request, env) {
+  async forwardRequest(request, env, ctx, client = null) {
+    await this.syncState();
+    const internalHeaders = await this.signRequest(request, env, client);
+
+    try {
+      return await this.forwardWithRetries(request, env, internalHeaders, client);
+    } finally {
+      this.persistState(ctx);
+    }
+  }
+
+  /**
+   * Internal headers for a request: workers only accept requests signed with the shared secret
+   */
+  async signRequest(request, env, client = null) {
+    if (!env.INTERNAL_SIGNING_SECRET) return {};
+    return signInternalRequest(env.INTERNAL_SIGNING_SECRET, {
+      method: request.method,
+      path: new URL(request.url).pathname,
+      clientId: client?.id,
+      body: await request.clone().arrayBuffer()
+    });
+  }
+
+  /**
+   * Send a cache clear or invalidate request to every internal worker
+   * Each worker keeps its own cache index (and its own entries without a shared
+   * IMAGE_CACHE namespace), so changing the cache on one worker is not enough.
+   * Circuits are ignored: a worker that is down now would keep stale entries.
+   * @returns {Promise<Response>} { success, clearedCount, workers: [{ binding, status, clearedCount?, error? }] }
+   */
+  async broadcastRequest(request, env, client = null) {
+    const internalHeaders = await this.signRequest(request, env, client);
+
+    const workers = await Promise.all(this.workerBindings.map(async (binding) => {
+      try {
+        const response = await this.callWorker(env[binding], request, internalHeaders);
+        const data = await response.json().catch(() => ({}));
+        return response.ok
+          ? { binding, status: response.status, clearedCount: data.clearedCount, backend: data.cache?.backend }
+          : { binding, status: response.status, error: data.error || `Worker returned status: ${response.status}` };
+      } catch (error) {
+        return { binding, status: 502, error: error.message };
+      }
+    }));
+
+    const succeeded = workers.filter(worker => !worker.error);
+    // A request every worker rejects (e.g. an invalid body) is the client's mistake
+    const rejected = succeeded.length === 0 && workers.find(worker => worker.status >= 400 && worker.status < 500);
+    // Workers sharing KV count the same entries, so the largest count is the total
+    const counts = succeeded.map(worker => worker.clearedCount || 0);
+    const clearedCount = succeeded.every(worker => worker.backend === 'kv')
+      ? Math.max(0, ...counts)
+      : counts.reduce((total, count) => total + count, 0);
+
+    return new Response(JSON.stringify({
+      success: succeeded.length === workers.length,
+      ...(rejected
+        ? { error: rejected.error }
+        : { message: `Cleared ${clearedCount} cached images on ${succeeded.length} of ${workers.length} workers`, clearedCount }),
+      workers,
+      timestamp: new Date().toISOString()
+    }), {
+      status: rejected ? rejected.status : succeeded.length === workers.length ? 200 : 502,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * Try internal workers in turn, then the direct fallback
+   */
+  async forwardWithRetries(request, env, internalHeaders = {}, client = null) {
     const maxRetries = 3;
     let lastError;
     let originalRequestBody = null;
@@ -77,33 +264,65 @@ class InternalLoadBalancer {
       // Not JSON or already consumed, that's okay
     }
     
+    const triedWorkers = [];
+    let lastResponse = null;
+    
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      const workerBinding = this.getNextWorker();
+      const workerBinding = this.getNextWorker(triedWorkers);
+      if (!workerBinding) {
+        lastError = lastError || new Error('All worker circuits are open');
+        break;
+      }
+      triedWorkers.push(workerBinding);
+      const startTime = Date.now();
+      let retryAfterMs = null;
       
       try {
         console.log(`Forwarding request to worker binding ${workerBinding} (attempt ${attempt}/3)`);
         
         // Use service binding to call internal worker
-        const response = await env[workerBinding].fetch(request.clone());
+        const response = await this.callWorker(env[workerBinding], request, internalHeaders);
+        const outcome = classifyStatus(response.status, { internal: true });
+        const proxyHeaders = {
+          'X-Worker-Binding': workerBinding,
+          'X-Worker-Attempts': String(attempt)
+        };
         
-        if (response.ok) {
-          console.log(`Internal worker ${workerBinding} responded successfully`);
+        if (outcome !== 'retryable') {
+          // Client errors mean the worker is healthy and the request is wrong:
+          // hand them back as they are instead of retrying elsewhere
+          console.log(`Internal worker ${workerBinding} responded with ${response.status}`);
+          // Latency is time to response headers; streamed bodies continue afterwards
+          this.markWorkerSucceeded(workerBinding, Date.now() - startTime);
           
-          // Return response without modifying headers (CORS handled at main level)
-          return response;
-        } else {
-          throw new Error(`Worker returned status: ${response.status}`);
+          // Body is passed through untouched (CORS handled at main level)
+          return withHeaders(response, proxyHeaders);
         }
         
+        retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+        lastResponse?.body?.cancel().catch(() => {});
+        lastResponse = withHeaders(response, proxyHeaders);
+        const error = new Error(`Worker returned status: ${response.status}`);
+        error.rateLimited = response.status === 429;
+        throw error;
+        
       } catch (error) {
         console.error(`Worker binding ${workerBinding} failed (attempt ${attempt}):`, error.message);
         lastError = error;
-        
-        if (attempt < maxRetries) {
-          this.markWorkerFailed(workerBinding);
-          continue;
+        // A rate limited worker (e.g. its API keys are exhausted) is up: try
+        // another one, but keep its circuit closed
+        if (error.rateLimited) {
+          this.markWorkerSucceeded(workerBinding, Date.now() - startTime);
+        } else {
+          this.markWorkerFailed(workerBinding, Date.now() - startTime);
         }
       }
+      
+      if (attempt < maxRetries) {
+        // A worker asking for more than we can wait: let the client see its answer
+        if (retryAfterMs !== null && retryAfterMs > RETRY_DEFAULTS.maxDelayMs) break;
+        await sleep(getRetryDelay(attempt, { retryAfterMs }));
+      }
     }
     
     // All retries failed - attempt fallback before returning 503
@@ -115,21 +334,58 @@ class InternalLoadBalancer {
       try {
         const prompt = originalRequestBody?.prompt;
         if (prompt && typeof prompt === 'string' && prompt.trim().length > 0 && prompt.length <= 1000) {
-          const encoded = encodeURIComponent(prompt.trim());
-          const imageUrl = `https://image.pollinations.ai/prompt/${encoded}`;
-          console.warn('Using direct Pollinations fallback for prompt:', prompt);
+          // Same text the workers would have sent; an invalid preset gets the default
+          const enhancement = this.enhancer.enhance(prompt, this.enhancer.validate(originalRequestBody) ? {} : originalRequestBody);
+
+          // Workers moderate prompts themselves; none answered, so check here
+          // (the negative prompt too, as the workers do)
+          const { negativePrompt } = originalRequestBody;
+          const moderated = [
+            enhancement.preset === CUSTOM_ENHANCEMENT ? enhancement.prompt : prompt,
+            typeof negativePrompt === 'string' ? negativePrompt : null
+          ].filter(Boolean).join('\n');
+          const verdict = this.moderator
+            ? await this.moderator.check(moderated, {
+              clientId: client?.id,
+              studentId: request.headers.get('X-Student-Id'),
+              classroomId: request.headers.get('X-Classroom-Id')
+            })
+            : { blocked: false };
+          if (verdict.blocked) {
+            return new Response(JSON.stringify({ success: false, error: BLOCKED_PROMPT_MESSAGE, blocked: true }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+
+          // The load balancer holds no API keys, so only key-less providers can be used here
+          // (config.js rejects a fallback that needs one)
+          const fallbackProvider = getProvider(this.fallbackProvider);
+          // Requested parameters the fallback does not accept fall back to its defaults
+          const { imageUrl, provider, parameters, providerPrompt } = await requestImage(fallbackProvider, {
+            prompt: enhancement.prompt,
+            params: originalRequestBody,
+            settings: this.generation
+          });
+          console.warn(`Using direct ${fallbackProvider.label} fallback for prompt:`, prompt);
 
           return new Response(JSON.stringify({
             success: true,
             imageUrl,
             prompt,
-            serverUsed: 'pollinations-direct-fallback',
+            provider,
+            parameters,
+            enhancement: enhancement.preset,
+            enhancedPrompt: providerPrompt,
+            serverUsed: `${provider}-direct-fallback`,
             fallback: true,
             timestamp: new Date().toISOString()
           }), {
             status: 200,
             headers: {
-              'Content-Type': 'application/json'
+              'Content-Type': 'application/json',
+              'X-Worker-Binding': 'direct-fallback',
+              'X-Worker-Attempts': String(maxRetries)
             }
           });
         }
@@ -139,6 +395,12 @@ class InternalLoadBalancer {
       }
     }
 
+    // Rate limited everywhere: pass the last 429 (and its Retry-After) through
+    if (lastResponse?.status === 429) {
+      return lastResponse;
+    }
+    lastResponse?.body?.cancel().catch(() => {});
+
     return new Response(JSON.stringify({
       error: 'All internal workers unavailable',
       details: lastError?.message || 'Unknown error',
@@ -146,7 +408,8 @@ class InternalLoadBalancer {
     }), {
       status: 503,
       headers: { 
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'X-Worker-Attempts': String(maxRetries)
         // CORS headers will be added at the main handler level
       }
     });
@@ -155,9 +418,10 @@ class InternalLoadBalancer {
   /**
    * Get load balancer status
    */
-  getStatus() {
+  getStatus(now = Date.now()) {
     const totalWorkers = this.workerBindings.length;
-    const failedWorkers = this.failedWorkers.size;
+    const failedList = this.workerBindings.filter(binding => !isWorkerAvailable(this.state, binding, now));
+    const failedWorkers = failedList.length;
     const activeWorkers = totalWorkers - failedWorkers;
     
     return {
@@ -165,12 +429,129 @@ class InternalLoadBalancer {
       activeWorkers,
       failedWorkers,
       healthPercent: Math.round((activeWorkers / totalWorkers) * 100),
-      currentIndex: this.currentIndex,
-      failedList: Array.from(this.failedWorkers)
+      currentIndex: this.state.currentIndex,
+      strategy: this.router.strategy,
+      failedList,
+      stateStore: this.store?.name || 'isolate',
+      workers: Object.fromEntries(this.workerBindings.map(binding => {
+        const health = getWorkerHealth(this.state, binding);
+        return [binding, {
+          available: !failedList.includes(binding),
+          ...describeBackendStats(health.stats),
+          lastFailureAt: health.lastFailureAt ? new Date(health.lastFailureAt).toISOString() : null,
+          circuit: describeBreaker(health.breaker, now)
+        }];
+      }))
     };
   }
 }
 
+// One load balancer per isolate, so health state and round-robin position
+// survive across requests. LB_STATE (KV) optionally shares health between isolates.
+let loadBalancerInstance = null;
+
+// Validated configuration, loaded on first request (env is only available per request)
+let mainConfig = null;
+
+/**
+ * Get the validated configuration (see config.js)
+ * @throws {Error} When the configuration is invalid
+ */
+const getConfig = (env) => {
+  // Key warnings do not apply here: the load balancer holds no API keys
+  if (!mainConfig) mainConfig = loadConfig(env, { checkBindings: true });
+  return mainConfig;
+};
+
+/**
+ * Get the load balancer for this isolate, built from the validated config
+ * @throws {Error} When the configuration is invalid (see config.js)
+ */
+const getLoadBalancer = (env) => {
+  if (!loadBalancerInstance) {
+    const config = getConfig(env);
+
+    loadBalancerInstance = new InternalLoadBalancer(env, {
+      bindings: config.workers.bindings,
+      store: env.LB_STATE ? createKVStateStore(env.LB_STATE) : null,
+      strategy: config.workers.strategy,
+      weights: config.workers.weights,
+      fallbackProvider: config.providers.fallback,
+      generation: config.generation,
+      enhancer: createPromptEnhancer(config.enhancement),
+      // Blocked prompts go to the same MODERATION_LOG namespace as the workers' when bound
+      moderator: config.moderation.enabled
+        ? createModerator({
+          ...config.moderation,
+          log: env.MODERATION_LOG ? createKVModerationLog(env.MODERATION_LOG) : null
+        })
+        : null
+    });
+  }
+  loadBalancerInstance.env = env;
+  return loadBalancerInstance;
+};
+
+// Token store and authenticator, kept per isolate like the load balancer
+let authInstance = null;
+
+/**
+ * Get the authenticator and token admin handler
+ * Tokens live in the AUTH_TOKENS KV namespace; without it they only last as
+ * long as the isolate, which is only good for development.
+ */
+const getAuth = (env) => {
+  if (!authInstance) {
+    if (!env.AUTH_TOKENS) {
+      console.warn('⚠️ No AUTH_TOKENS KV binding, API tokens are kept in isolate memory only');
+    }
+    const store = env.AUTH_TOKENS ? createKVTokenStore(env.AUTH_TOKENS) : createMemoryTokenStore();
+
+    authInstance = {
+      authenticator: createAuthenticator({
+        store,
+        adminToken: env.ADMIN_TOKEN,
+        enabled: getConfig(env).auth.enabled
+      }),
+      handleTokenAdmin: createTokenAdminHandler(store)
+    };
+  }
+  return authInstance;
+};
+
+// Rate limiter, kept per isolate like the load balancer
+let rateLimiterInstance = null;
+
+/**
+ * Get the rate limiter (see rateLimiter.js)
+ * Counts live in the RATE_LIMITS KV namespace when bound, so isolates share
+ * them (approximately), otherwise in isolate memory.
+ */
+const getRateLimiter = (env) => {
+  if (!rateLimiterInstance) {
+    rateLimiterInstance = createRateLimiter({
+      store: env.RATE_LIMITS ? createKVRateLimitStore(env.RATE_LIMITS) : createMemoryRateLimitStore(),
+      limits: getConfig(env).rateLimits.limits
+    });
+  }
+  return rateLimiterInstance;
+};
+
+/**
+ * Re-wrap a response with extra headers without reading its body
+ * Responses from service bindings have immutable headers, so a copy is needed.
+ */
+const withHeaders = (response, extraHeaders) => {
+  const headers = new Headers(response.headers);
+  Object.entries(extraHeaders).forEach(([name, value]) => headers.set(name, value));
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+};
+
 // CORS headers with specific allowed origins
 const allowedOrigins = [
   "http://localhost:5173",
@@ -181,17 +562,21 @@ const allowedOrigins = [
 ];
 
 const getCorsHeaders = (origin) => {
-  const isAllowed = allowedOrigins.includes(origin) || !origin; // Allow no origin for direct API calls
+  // No origin means a non-browser client; those still need a bearer token for protected routes
+  const isAllowed = allowedOrigins.includes(origin) || !origin;
   return {
     'Access-Control-Allow-Origin': isAllowed ? (origin || '*') : 'null',
     'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, X-Student-Id, X-Classroom-Id',
     'Access-Control-Max-Age': '86400',
+    // Let frontends see which internal worker served the call
+    'Access-Control-Expose-Headers': 'X-Load-Balancer, X-Worker-Binding, X-Worker-Attempts, ' +
+      'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After',
   };
 };
 
 // Main request handler
-async function handleRequest(request, env) {
+async function handleRequest(request, env, ctx) {
   const url = new URL(request.url);
   const path = url.pathname;
   const method = request.method;
@@ -206,29 +591,69 @@ async function handleRequest(request, env) {
     });
   }
 
-  // Initialize load balancer
-  const loadBalancer = new InternalLoadBalancer(env);
-
   try {
+    // Shared load balancer for this isolate
+    const loadBalancer = getLoadBalancer(env);
+
+    // Bearer token check for protected routes (see auth.js for the scope each needs)
+    const { authenticator, handleTokenAdmin } = getAuth(env);
+    const { client, error: authError } = await authenticator.authenticate(request);
+    if (authError) {
+      return withHeaders(authError, corsHeaders);
+    }
+
+    // Admin routes (admin scope): tokens and worker health are answered here,
+    // cache changes by every internal worker and the other cache and status
+    // routes by one (signed, like /api/*)
+    if (path.startsWith('/admin/')) {
+      const response = await handleTokenAdmin(request);
+      if (response) {
+        return withHeaders(response, corsHeaders);
+      }
+
+      if (path === '/admin/load-balancer' && method === 'GET') {
+        return new Response(JSON.stringify({
+          success: true,
+          loadBalancer: loadBalancer.getStatus(),
+          timestamp: new Date().toISOString()
+        }, null, 2), {
+          status: 200,
+          headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders
+          }
+        });
+      }
+
+      // Cache changes go to every worker, other routes to one
+      const forwarded = method === 'POST' && CACHE_ADMIN_ROUTES.includes(path)
+        ? await loadBalancer.broadcastRequest(request, env, client)
+        : await loadBalancer.forwardRequest(request, env, ctx, client);
+      return withHeaders(forwarded, { ...corsHeaders, 'X-Load-Balancer': 'main-worker' });
+    }
+
     // API routes - forward to internal workers
     if (path.startsWith('/api/')) {
-      const response = await loadBalancer.forwardRequest(request, env);
-      
-      // Read the response body first
-      const responseBody = await response.text();
-      
-      // Add CORS headers to the response
-      const modifiedResponse = new Response(responseBody, {
-        status: response.status,
-        statusText: response.statusText,
-        headers: {
-          'Content-Type': 'application/json',
-          ...corsHeaders,
-          'X-Load-Balancer': 'main-worker'
-        }
+      // Generation and comparison count against the caller's buckets and quotas
+      const rateLimit = getConfig(env).rateLimits.enabled
+        ? await getRateLimiter(env).check(request, { client, ip: request.headers.get('CF-Connecting-IP') })
+        : { headers: {} };
+      if (rateLimit.error) {
+        return withHeaders(rateLimit.error, corsHeaders);
+      }
+
+      const response = await loadBalancer.forwardRequest(request, env, ctx, client);
+      if (rateLimit.refund && isRefundable(response)) {
+        await rateLimit.refund();
+      }
+
+      // Stream the body through as-is (SSE, images and large JSON alike),
+      // keeping upstream headers and adding CORS on top
+      return withHeaders(response, {
+        ...corsHeaders,
+        ...rateLimit.headers,
+        'X-Load-Balancer': 'main-worker'
       });
-      
-      return modifiedResponse;
     }
     
     // Root endpoint - Main API documentation
@@ -245,7 +670,7 @@ async function handleRequest(request, env) {
           totalWorkers: status.totalWorkers,
           activeWorkers: status.activeWorkers,
           healthPercent: status.healthPercent + '%',
-          distribution: 'Round-robin with automatic failover'
+          distribution: `${status.strategy} routing with per-worker circuit breakers`
         },
         
         capacity: {
@@ -271,7 +696,7 @@ async function handleRequest(request, env) {
           status: {
             method: "GET",
             path: "/api/status",
-            description: "Detailed load balancer statistics"
+            description: "Aggregate worker status (details on GET /admin/status, admin token)"
           }
         },
         
@@ -306,13 +731,14 @@ async function handleRequest(request, env) {
       });
     }
     
-    // Load balancer status endpoint
+    // Load balancer status endpoint (aggregate only, per-worker details are on
+    // GET /admin/load-balancer)
     if (path === '/status' && method === 'GET') {
-      const status = loadBalancer.getStatus();
+      const { totalWorkers, activeWorkers, failedWorkers, healthPercent, strategy } = loadBalancer.getStatus();
       
       return new Response(JSON.stringify({
         success: true,
-        loadBalancer: status,
+        loadBalancer: { totalWorkers, activeWorkers, failedWorkers, healthPercent, strategy },
         timestamp: new Date().toISOString()
       }, null, 2), {
         status: 200,
@@ -332,7 +758,16 @@ async function handleRequest(request, env) {
         'GET /status', 
         'POST /api/generate-image',
         'GET /api/health',
-        'GET /api/status'
+        'GET /api/status',
+        'GET /admin/status',
+        'GET /admin/load-balancer',
+        'GET /admin/cache',
+        'POST /admin/cache/invalidate',
+        'POST /admin/cache/clear',
+        'GET /admin/moderation',
+        'GET /admin/tokens',
+        'POST /admin/tokens',
+        'DELETE /admin/tokens/:id'
       ]
     }), {
       status: 404,
@@ -363,6 +798,6 @@ async function handleRequest(request, env) {
 // Export for Cloudflare Workers
 export default {
   async fetch(request, env, ctx) {
-    return handleRequest(request, env);
+    return handleRequest(request, env, ctx);
   }
 };
\ No newline at end of file
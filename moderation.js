@@ -0,0 +1,291 @@
+/**
+ * Prompt Moderation
+ * Child-safety check that runs before image generation on every runtime (the
+ * core handler on the Express server and the internal workers, and the main
+ * worker's direct fallback). Learners are 5-8 years old, so anything violent,
+ * sexual, drug related, hateful or rude is turned away with a friendly message.
+ *
+ * Prompts are matched against a blocklist of whole words and phrases in
+ * English, Hindi (Devanagari) and Hinglish. Matching sees through the usual
+ * tricks: leetspeak (k1ll, s3x), stretched letters (kiiiill), separators
+ * (k.i.l.l, k i l l) and invisible characters. Terms may end in `*` to match
+ * word endings and compounds (murder* matches murderer and murderous); the
+ * ending must be a known one, so shit* leaves shiitake alone. Allowed phrases
+ * (water gun, killer whale) are ignored.
+ *
+ * An optional classifier hook runs after the blocklist:
+ *   async (prompt) => ({ blocked, category }) - errors let the prompt through
+ *
+ * Blocked prompts are logged for teachers. Log store interface (all async):
+ *   add(entry)                                              -> void
+ *   list({ offset, limit, classroomId, studentId, clientId }) -> { total, entries }
+ *
+ * Memory and KV log stores are provided here.
+ */
+
+export const DEFAULT_BLOCKLIST = {
+  violence: {
+    en: ['kill', 'kills', 'killed', 'killing', 'killer', 'murder*', 'blood', 'bloody', 'bleeding', 'gore', 'gory',
+      'behead*', 'stab', 'stabbed', 'stabbing', 'tortur*', 'massacre*', 'corpse*', 'dead body', 'dead bodies',
+      'shooting', 'shot dead', 'slaughter*'],
+    hi: ['हत्या', 'खून', 'मार डालो', 'मार डाला', 'लाश', 'कत्ल'],
+    hinglish: ['khoon', 'khun', 'hatya', 'maar dalo', 'mar dalo', 'maar daalo', 'maar dala', 'laash', 'qatl', 'katl']
+  },
+  weapons: {
+    en: ['gun', 'guns', 'pistol*', 'rifle*', 'shotgun*', 'bomb', 'bombs', 'grenade*', 'knife', 'knives', 'weapon*',
+      'ammo', 'bullet*', 'explosive*'],
+    hi: ['बंदूक', 'बन्दूक', 'पिस्तौल', 'चाकू', 'बम', 'हथियार'],
+    hinglish: ['bandook', 'banduk', 'bandooq', 'pistaul', 'chaku', 'chaaku', 'hathiyar', 'hathiyaar']
+  },
+  sexual: {
+    en: ['sex', 'sexy', 'sexual*', 'nude*', 'naked', 'porn*', 'nsfw', 'boob*', 'nipple*', 'lingerie', 'erotic*',
+      'stripper*', 'hentai'],
+    hi: ['सेक्स', 'नंगा', 'नंगी', 'अश्लील'],
+    hinglish: ['nanga', 'nangi', 'ashleel', 'ashlil']
+  },
+  drugs: {
+    en: ['drug', 'drugs', 'cocaine', 'heroin', 'weed', 'marijuana', 'cannabis', 'meth', 'alcohol', 'vodka', 'whisky',
+      'whiskey', 'drunk', 'cigarette*', 'cigar', 'cigars', 'vape*', 'vaping'],
+    hi: ['शराब', 'नशा', 'ड्रग्स', 'सिगरेट', 'गांजा', 'गाँजा', 'दारू'],
+    hinglish: ['sharab', 'sharaab', 'nasha', 'ganja', 'daru', 'daaru']
+  },
+  self_harm: {
+    en: ['suicid*', 'self harm', 'kill myself', 'cut myself', 'hang myself'],
+    hi: ['आत्महत्या', 'खुदकुशी'],
+    hinglish: ['atmahatya', 'aatmahatya', 'khudkushi']
+  },
+  hate: {
+    en: ['nazi*', 'swastika*', 'kkk', 'racist*'],
+    hi: [],
+    hinglish: []
+  },
+  profanity: {
+    en: ['fuck*', 'shit*', 'bitch*', 'bastard*', 'asshole*', 'ass', 'dick', 'dicks', 'cunt*', 'wtf', 'stfu'],
+    hi: ['चूतिया', 'मादरचोद', 'बहनचोद', 'भोसड़ी', 'गांडू', 'हरामी', 'कमीना', 'कमीने', 'रंडी'],
+    hinglish: ['chutiya', 'chootiya', 'chutiye', 'madarchod', 'behenchod', 'bhenchod', 'bhosdi*', 'gaandu', 'gandu', 'harami',
+      'haramkhor', 'kamina', 'kamine', 'randi']
+  }
+};
+
+// Harmless phrases that contain blocked words
+export const DEFAULT_ALLOWLIST = [
+  'water gun', 'water guns', 'water pistol', 'glue gun', 'bubble gun', 'nerf gun', 'bath bomb', 'bath bombs',
+  'killer whale', 'killer whales', 'shooting star', 'shooting stars', 'blood orange', 'butter knife',
+  'shiitake', 'shiitakes', 'shitake', 'shitakes', 'pull a weed', 'pulling a weed', 'pulled a weed', 'pull the weed',
+  'pulling the weed', 'a weed in the garden', 'garden weed', 'sea weed', 'bullet train', 'bullet trains',
+  'bullet point', 'bullet points', 'blue footed booby', 'blue footed boobies', 'moby dick'
+];
+
+export const BLOCKED_PROMPT_MESSAGE = "Oops! Let's imagine something else. " +
+  'How about a friendly dragon, a rainbow garden or a rocket flying to the moon? 🌈🚀';
+
+// Characters leetspeak uses in place of Latin letters
+const LOOKALIKES = {
+  a: 'a4@', b: 'b8', e: 'e3', g: 'g9', i: 'i1!|', l: 'l1!|', o: 'o0', s: 's5$', t: 't7+', z: 'z2'
+};
+
+// Characters that continue a word (a term must not be part of a longer word)
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}]';
+
+// Endings a `*` term may take, one after another (murder-er-s, shit-head)
+const WILDCARD_ENDINGS = ['s', 'es', 'e', 'ed', 'd', 'er', 'ers', 'r', 'ing', 'y', 'ies', 'ily', 'ly', 'al', 'ally',
+  'ity', 'ty', 'ous', 'ist', 'ism', 'sm', 'ic', 'ion', 'o', 'ography', 'ry', 'ise', 'ize', 'ke', 'wala',
+  'head', 'face', 'hole', 'load', 'wit', 'proof', 'house', 'man', 'men'];
+const WILDCARD_ENDING = `(?:${WILDCARD_ENDINGS.join('|')})*`;
+
+// Runs of single characters split by separators: k.i.l.l, k i l l, k-i-l-l
+const SPACED_LETTERS = /(?<![\p{L}\p{M}\p{N}])(?:[\p{L}\p{N}@$!|+][\s._\-*~]+){2,}[\p{L}\p{N}@$!|+](?![\p{L}\p{M}\p{N}])/gu;
+
+const INVISIBLE = /[\u00AD\u200B-\u200F\u2060\uFEFF]/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalize text for matching: compatibility forms, lowercase, no accents on
+ * Latin letters, no invisible characters
+ */
+export const normalizeForModeration = (text) => text
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .normalize('NFC')
+  .replace(INVISIBLE, '')
+  .toLowerCase();
+
+/**
+ * Build the patterns for one term: every letter may be repeated or swapped for
+ * a lookalike, words may be split by any separator, `*` matches known endings.
+ * `pattern` matches whole words, `loosePattern` anywhere (for spaced out letters).
+ */
+const compileTerm = (term) => {
+  const normalized = normalizeForModeration(term.trim());
+  const wildcard = normalized.endsWith('*');
+  const body = wildcard ? normalized.slice(0, -1) : normalized;
+
+  const pattern = body
+    .split(/\s+/)
+    .map(word => (word.match(/(.)\1*/gu) || [])
+      .map(run => {
+        const char = Array.from(run)[0];
+        const count = Array.from(run).length;
+        const chars = LOOKALIKES[char] ? `[${escapeRegExp(LOOKALIKES[char])}]` : escapeRegExp(char);
+        return count === 1 ? `${chars}+` : `${chars}{${count},}`;
+      })
+      .join(''))
+    .join('[\\s._\\-*~]+');
+
+  return {
+    pattern: new RegExp(`(?<!${WORD_CHAR})${pattern}${wildcard ? WILDCARD_ENDING : ''}(?!${WORD_CHAR})`, 'u'),
+    loosePattern: new RegExp(pattern, 'u')
+  };
+};
+
+/**
+ * Spaced out letters in a text, joined up ("a g.u.n" -> "agun"). Word
+ * boundaries are lost, so terms are looked for anywhere inside these.
+ */
+const getSpacedRuns = (text) => (text.match(SPACED_LETTERS) || [])
+  .map(match => match.replace(/[\s._\-*~]+/g, ''));
+
+/**
+ * Create a moderator
+ * @param {Object} options
+ * @param {Object} options.blockTerms - Extra { category: [terms] } on top of DEFAULT_BLOCKLIST
+ * @param {Array} options.allowTerms - Extra harmless phrases on top of DEFAULT_ALLOWLIST
+ * @param {Function} options.classifier - async (prompt) => { blocked, category } (optional)
+ * @param {Object} options.log - Log store for blocked prompts (optional)
+ * @returns {Object} { check(prompt, requester) }
+ */
+export const createModerator = ({ blockTerms = {}, allowTerms = [], classifier = null, log = null } = {}) => {
+  const rules = [];
+  const addRule = (category, term) => {
+    if (typeof term === 'string' && term.trim()) {
+      rules.push({ category, term, ...compileTerm(term) });
+    }
+  };
+
+  Object.entries(DEFAULT_BLOCKLIST).forEach(([category, languages]) => {
+    Object.values(languages).flat().forEach(term => addRule(category, term));
+  });
+  Object.entries(blockTerms).forEach(([category, terms]) => {
+    terms.forEach(term => addRule(category, term));
+  });
+
+  const allowPatterns = [...DEFAULT_ALLOWLIST, ...allowTerms]
+    .filter(term => typeof term === 'string' && term.trim())
+    .map(term => new RegExp(compileTerm(term).pattern.source, 'gu'));
+
+  const findMatches = (prompt) => {
+    let text = normalizeForModeration(prompt);
+    allowPatterns.forEach(pattern => {
+      text = text.replace(pattern, ' ');
+    });
+
+    const runs = getSpacedRuns(text);
+    return rules.filter(rule => rule.pattern.test(text) || runs.some(run => rule.loosePattern.test(run)));
+  };
+
+  const classify = async (prompt) => {
+    if (!classifier) return null;
+    try {
+      const verdict = await classifier(prompt);
+      return verdict?.blocked ? { category: verdict.category || 'classifier' } : null;
+    } catch (error) {
+      console.warn(`⚠️ Moderation classifier failed, using the blocklist only: ${error.message}`);
+      return null;
+    }
+  };
+
+  return {
+    /**
+     * Check a prompt, logging it for teachers when it is blocked
+     * @param {string} prompt - Prompt as sent by the learner
+     * @param {Object} requester - { clientId, studentId, classroomId } for the log (optional)
+     * @returns {Promise<Object>} { blocked: false } or { blocked: true, category, matches, source }
+     */
+    async check(prompt, requester = {}) {
+      const matches = findMatches(prompt);
+      let verdict = null;
+
+      if (matches.length > 0) {
+        verdict = {
+          blocked: true,
+          category: matches[0].category,
+          matches: [...new Set(matches.map(rule => rule.term))],
+          source: 'blocklist'
+        };
+      } else {
+        const classified = await classify(prompt);
+        if (classified) {
+          verdict = { blocked: true, category: classified.category, matches: [], source: 'classifier' };
+        }
+      }
+
+      if (!verdict) return { blocked: false };
+
+      console.warn(`🚫 Blocked prompt (${verdict.category}, ${verdict.source})${requester.classroomId ? ` in classroom ${requester.classroomId}` : ''}`);
+      if (log) {
+        await log.add({
+          id: crypto.randomUUID(),
+          timestamp: new Date().toISOString(),
+          prompt,
+          category: verdict.category,
+          matches: verdict.matches,
+          source: verdict.source,
+          clientId: requester.clientId || null,
+          studentId: requester.studentId || null,
+          classroomId: requester.classroomId || null
+        }).catch(error => console.warn(`⚠️ Could not log blocked prompt: ${error.message}`));
+      }
+      return verdict;
+    }
+  };
+};
+
+const matchesFilters = (entry, { classroomId, studentId, clientId }) =>
+  (!classroomId || entry.classroomId === classroomId) &&
+  (!studentId || entry.studentId === studentId) &&
+  (!clientId || entry.clientId === clientId);
+
+/**
+ * In-memory log (per process / isolate), keeping the newest entries
+ * @param {Object} options - { maxEntries }
+ */
+export const createMemoryModerationLog = ({ maxEntries = 1000 } = {}) => {
+  const entries = [];
+
+  return {
+    name: 'memory',
+    add: async (entry) => {
+      entries.unshift(entry);
+      if (entries.length > maxEntries) entries.length = maxEntries;
+    },
+    list: async ({ offset = 0, limit = 50, ...filters } = {}) => {
+      const matching = entries.filter(entry => matchesFilters(entry, filters));
+      return { total: matching.length, entries: matching.slice(offset, offset + limit) };
+    }
+  };
+};
+
+/**
+ * Cloudflare KV log, newest first, entries expire after `ttlSeconds`
+ * Only the newest 1000 entries are searched.
+ * @param {Object} namespace - KV namespace binding
+ * @param {Object} options - { prefix, ttlSeconds }
+ */
+export const createKVModerationLog = (namespace, { prefix = 'moderation:', ttlSeconds = 30 * 24 * 60 * 60 } = {}) => ({
+  name: 'kv',
+  add: async (entry) => {
+    // KV lists keys in order, so newer entries get smaller keys
+    const order = String(Number.MAX_SAFE_INTEGER - Date.parse(entry.timestamp)).padStart(16, '0');
+    await namespace.put(`${prefix}${order}:${entry.id}`, JSON.stringify(entry), {
+      expirationTtl: ttlSeconds,
+      metadata: { classroomId: entry.classroomId, studentId: entry.studentId, clientId: entry.clientId }
+    });
+  },
+  list: async ({ offset = 0, limit = 50, ...filters } = {}) => {
+    const { keys } = await namespace.list({ prefix, limit: 1000 });
+    const matching = keys.filter(({ metadata }) => matchesFilters(metadata || {}, filters));
+    const page = await Promise.all(matching.slice(offset, offset + limit).map(({ name }) => namespace.get(name, 'json')));
+    return { total: matching.length, entries: page.filter(Boolean) };
+  }
+});
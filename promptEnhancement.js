@@ -0,0 +1,129 @@
+/**
+ * Prompt Enhancement
+ * Turns a learner's prompt into the text the image provider receives, using a
+ * named preset. Shared by the core handler (Express server and internal
+ * workers) and the main worker's direct fallback, so every runtime sends the
+ * same text for the same prompt.
+ *
+ * A preset is a template with a {prompt} placeholder:
+ *
+ *   literal               - the original "exactly as described" suffix (default)
+ *   kid-friendly-cartoon  - bright, simple cartoon illustration
+ *   none                  - the prompt as typed
+ *   custom                - a template sent with the request (enhancementTemplate)
+ *
+ * More presets can be added in config.js (enhancement.presets). The preset
+ * name (and, for custom templates, a hash of the template) is part of the
+ * image cache key.
+ */
+
+export const PROMPT_PLACEHOLDER = '{prompt}';
+export const MAX_TEMPLATE_LENGTH = 300;
+
+export const ENHANCEMENT_PRESETS = {
+  literal: `${PROMPT_PLACEHOLDER}, exactly as described, nothing more nothing less, literal interpretation, precise and accurate`,
+  'kid-friendly-cartoon': `${PROMPT_PLACEHOLDER}, friendly cartoon illustration for children, bright cheerful colours, simple clean shapes`,
+  none: PROMPT_PLACEHOLDER
+};
+
+export const DEFAULT_ENHANCEMENT = 'literal';
+
+// Preset name for a template sent with the request
+export const CUSTOM_ENHANCEMENT = 'custom';
+
+export const PRESET_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+/**
+ * 32-bit FNV-1a hash: short, stable ids for custom templates and generation
+ * seeds that come out the same on every runtime
+ * @returns {number} Unsigned 32-bit integer
+ */
+export const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+/**
+ * Normalise a prompt so trivially different spellings ("A  cat ", "a cat") count as the same prompt
+ */
+export const normalizePrompt = (prompt) => prompt.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Check a template
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateTemplate = (template) => {
+  if (typeof template !== 'string' || template.trim().length === 0) {
+    return 'Enhancement template must be a non-empty string';
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return `Enhancement template too long (max ${MAX_TEMPLATE_LENGTH} characters)`;
+  }
+  if (!template.includes(PROMPT_PLACEHOLDER)) {
+    return `Enhancement template must contain ${PROMPT_PLACEHOLDER}`;
+  }
+  return null;
+};
+
+/**
+ * Fill a template with a prompt (runs of whitespace collapsed, case kept)
+ */
+export const applyTemplate = (template, prompt) =>
+  template.split(PROMPT_PLACEHOLDER).join(prompt.trim().replace(/\s+/g, ' ')).trim();
+
+/**
+ * Create a prompt enhancer
+ * @param {Object} options
+ * @param {string} options.defaultPreset - Preset used when a request names none (default literal)
+ * @param {Object} options.presets - Extra presets { name: template }, added to ENHANCEMENT_PRESETS
+ * @returns {Object} { defaultPreset, presets, validate(options), enhance(prompt, options) }
+ */
+export const createPromptEnhancer = ({ defaultPreset = DEFAULT_ENHANCEMENT, presets = {} } = {}) => {
+  const templates = { ...ENHANCEMENT_PRESETS, ...presets };
+  const names = [...Object.keys(templates), CUSTOM_ENHANCEMENT];
+
+  return {
+    defaultPreset,
+    presets: templates,
+
+    /**
+     * Validate the enhancement fields of a generation request
+     * @param {Object} options - { enhancement, enhancementTemplate } from the request body
+     * @returns {string|null} Error message, or null when valid
+     */
+    validate({ enhancement, enhancementTemplate } = {}) {
+      if (enhancement !== undefined && !(typeof enhancement === 'string' && names.includes(enhancement))) {
+        return `Enhancement must be one of: ${names.join(', ')}`;
+      }
+      if (enhancement === CUSTOM_ENHANCEMENT) {
+        return validateTemplate(enhancementTemplate);
+      }
+      if (enhancementTemplate !== undefined) {
+        return `enhancementTemplate needs "enhancement": "${CUSTOM_ENHANCEMENT}"`;
+      }
+      return null;
+    },
+
+    /**
+     * Build the text sent to the image provider (validate first)
+     * @param {string} prompt - Learner's prompt
+     * @param {Object} options - { enhancement, enhancementTemplate } from the request body
+     * @returns {Object} { preset, key, prompt } where key identifies the template in the cache key
+     */
+    enhance(prompt, { enhancement, enhancementTemplate } = {}) {
+      const preset = enhancement || defaultPreset;
+      if (preset === CUSTOM_ENHANCEMENT) {
+        return {
+          preset,
+          key: `${CUSTOM_ENHANCEMENT}-${hashText(enhancementTemplate).toString(16).padStart(8, '0')}`,
+          prompt: applyTemplate(enhancementTemplate, prompt)
+        };
+      }
+      return { preset, key: preset, prompt: applyTemplate(templates[preset], prompt) };
+    }
+  };
+};
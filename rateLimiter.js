@@ -0,0 +1,335 @@
+/**
+ * Rate Limiter
+ * Token buckets and daily quotas for generation and comparison requests,
+ * shared by the Express server and the main load balancer worker.
+ *
+ * Requests are counted per subject, and must pass every subject that applies:
+ *
+ *   token      - the API token (see auth.js)
+ *   ip         - the client IP, only for requests without a token (a whole
+ *                classroom often shares one IP behind NAT, so it gets as much
+ *                room as a classroom)
+ *   student    - X-Student-Id header, within the token
+ *   classroom  - X-Classroom-Id header, within the token
+ *
+ * Each subject has a bucket (burst `capacity`, refilled at `refillPerMinute`)
+ * and optional daily quotas per action (`dailyGenerate`, `dailyCompare`, reset
+ * at midnight UTC). Answers carry RateLimit-* headers for the tightest bucket;
+ * rejections are 429 { success: false, error } with Retry-After. Requests the
+ * handler turns away as invalid before any upstream work are refunded; unsafe
+ * prompts (moderation may call a classifier) and upstream 429s still count.
+ *
+ * Store interface (all async):
+ *   get(key)                -> value or null
+ *   set(key, value, ttlMs)  -> void
+ *
+ * Counting is a read followed by a write, which the store does not make
+ * atomic. Checks and refunds touching the same bucket or quota are serialised
+ * within a limiter, so counts are exact per process or isolate. Memory and KV stores are provided; KV is
+ * eventually consistent and has no compare-and-set, so isolates sharing it
+ * can both spend the last token and limits are approximate across them. A
+ * Durable Object can implement the same interface for exact counts.
+ */
+
+import { VALIDATION_FAILED_HEADER, jsonResponse } from './core.js';
+
+export const DEFAULT_RATE_LIMITS = {
+  token: { capacity: 60, refillPerMinute: 60, dailyGenerate: null, dailyCompare: null },
+  ip: { capacity: 60, refillPerMinute: 60, dailyGenerate: 2000, dailyCompare: 1000 },
+  student: { capacity: 5, refillPerMinute: 5, dailyGenerate: 100, dailyCompare: 50 },
+  classroom: { capacity: 60, refillPerMinute: 60, dailyGenerate: 2000, dailyCompare: 1000 }
+};
+
+export const RATE_LIMIT_SUBJECTS = Object.keys(DEFAULT_RATE_LIMITS);
+
+// Limited routes and the action they count against
+const ACTIONS = {
+  'POST /api/generate-image': 'generate',
+  'POST /api/generate-image-stream': 'generate',
+  'POST /api/compare-images': 'compare'
+};
+
+const QUOTA_FIELDS = { generate: 'dailyGenerate', compare: 'dailyCompare' };
+const ACTION_NAMES = { generate: 'generation', compare: 'comparison' };
+
+const HEADER_ID_PATTERN = /^[A-Za-z0-9_.@:-]{1,64}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const utcDay = (now) => new Date(now).toISOString().slice(0, 10);
+
+const msUntilNextUtcDay = (now) => DAY_MS - (now % DAY_MS);
+
+const describePolicy = (limit) => `${limit.capacity};w=${Math.round(limit.capacity / limit.refillPerMinute * 60)}`;
+
+const rateLimitHeaders = (limit, remaining, resetMs, policy) => ({
+  'RateLimit-Limit': String(limit),
+  'RateLimit-Remaining': String(Math.max(0, remaining)),
+  'RateLimit-Reset': String(Math.ceil(resetMs / 1000)),
+  'RateLimit-Policy': policy
+});
+
+const rejection = (error, retryAfterMs, headers) => {
+  const retryAfter = String(Math.max(1, Math.ceil(retryAfterMs / 1000)));
+  return {
+    headers,
+    error: jsonResponse({
+      success: false,
+      error,
+      retryAfter: Number(retryAfter)
+    }, 429, { ...headers, 'Retry-After': retryAfter })
+  };
+};
+
+/**
+ * Copy a response with extra headers (handler responses may have immutable headers)
+ */
+const withHeaders = (response, extraHeaders) => {
+  const headers = new Headers(response.headers);
+  Object.entries(extraHeaders).forEach(([name, value]) => headers.set(name, value));
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+};
+
+/**
+ * Subjects a request counts against
+ * @returns {Object} { subjects: [{ type, id }] } or { error } for a malformed header
+ */
+const getSubjects = (request, { client, ip }) => {
+  const subjects = [];
+  const owner = client?.id || `ip:${ip || 'unknown'}`;
+
+  if (client) {
+    subjects.push({ type: 'token', id: client.id });
+  } else {
+    subjects.push({ type: 'ip', id: ip || 'unknown' });
+  }
+
+  for (const [type, header] of [['student', 'X-Student-Id'], ['classroom', 'X-Classroom-Id']]) {
+    const value = request.headers.get(header);
+    if (value === null) continue;
+    if (!HEADER_ID_PATTERN.test(value)) {
+      return { error: `Invalid ${header} header (1-64 letters, digits or . _ @ : -)` };
+    }
+    subjects.push({ type, id: `${owner}/${value}` });
+  }
+
+  return { subjects };
+};
+
+/**
+ * Create a rate limiter
+ * @param {Object} options
+ * @param {Object} options.store - Rate limit store
+ * @param {Object} options.limits - Per-subject overrides of DEFAULT_RATE_LIMITS (null disables a subject)
+ * @returns {Object} { check(request, { client, ip }) }
+ */
+export const createRateLimiter = ({ store, limits = {} }) => {
+  const settings = Object.fromEntries(RATE_LIMIT_SUBJECTS.map(type => [
+    type,
+    limits[type] === null ? null : { ...DEFAULT_RATE_LIMITS[type], ...limits[type] }
+  ]));
+
+  // Run read-then-write updates of the same keys one at a time so concurrent
+  // requests cannot both spend the same token, while other subjects go ahead.
+  // Each task waits for the last task queued on any of its keys.
+  const tails = new Map();
+  const exclusive = (keys, task) => {
+    const result = Promise.all(keys.map(key => tails.get(key))).then(task);
+    const tail = result.catch(() => {});
+    keys.forEach(key => tails.set(key, tail));
+    tail.then(() => keys.forEach(key => {
+      if (tails.get(key) === tail) tails.delete(key);
+    }));
+    return result;
+  };
+
+  const storeKeys = (entries) => entries.flatMap(entry => (entry.quota ? [entry.bucketKey, entry.quotaKey] : [entry.bucketKey]));
+
+  const refillPerMs = (limit) => limit.refillPerMinute / 60000;
+
+  /**
+   * Give back what a request was charged
+   */
+  const refund = (checks, now) => exclusive(storeKeys(checks), () => Promise.all(checks.map(async (entry) => {
+    const saved = await store.get(entry.bucketKey);
+    if (saved) {
+      const tokens = Math.min(entry.limit.capacity,
+        saved.tokens + (now - saved.updatedAt) * refillPerMs(entry.limit) + 1);
+      const fullInMs = Math.ceil((entry.limit.capacity - tokens) / refillPerMs(entry.limit));
+      await store.set(entry.bucketKey, { tokens, updatedAt: now }, Math.max(1, fullInMs));
+    }
+    if (entry.quota) {
+      const used = (await store.get(entry.quotaKey)) || 0;
+      if (used > 0) await store.set(entry.quotaKey, used - 1, msUntilNextUtcDay(now));
+    }
+  })));
+
+  /**
+   * Take a token from every bucket and count the quotas, or reject
+   * @param {Array} entries - { subject, limit, bucketKey, quota, quotaKey } per subject
+   */
+  const charge = async (entries, action, now) => {
+    const checks = await Promise.all(entries.map(async (entry) => {
+      // Refill since the last request, never above the burst capacity
+      const saved = await store.get(entry.bucketKey);
+      const tokens = saved
+        ? Math.min(entry.limit.capacity, saved.tokens + (now - saved.updatedAt) * refillPerMs(entry.limit))
+        : entry.limit.capacity;
+      const used = entry.quota ? (await store.get(entry.quotaKey)) || 0 : 0;
+
+      return { ...entry, tokens, used };
+    }));
+
+    // Quotas first: their wait is the longest
+    const overQuota = checks.find(entry => entry.quota && entry.used >= entry.quota);
+    if (overQuota) {
+      const retryAfterMs = msUntilNextUtcDay(now);
+      return rejection(
+        `Daily ${ACTION_NAMES[action]} quota of ${overQuota.quota} reached for this ${overQuota.subject.type}`,
+        retryAfterMs,
+        rateLimitHeaders(overQuota.quota, 0, retryAfterMs, `${overQuota.quota};w=86400`)
+      );
+    }
+
+    const empty = checks
+      .filter(entry => entry.tokens < 1)
+      .map(entry => ({ ...entry, waitMs: (1 - entry.tokens) / refillPerMs(entry.limit) }))
+      .sort((a, b) => b.waitMs - a.waitMs)[0];
+    if (empty) {
+      return rejection(
+        `Too many requests for this ${empty.subject.type}, please slow down`,
+        empty.waitMs,
+        rateLimitHeaders(empty.limit.capacity, 0, empty.waitMs, describePolicy(empty.limit))
+      );
+    }
+
+    // Everything passed: take a token from each bucket and count the quotas
+    await Promise.all(checks.map(async (entry) => {
+      const fullInMs = Math.ceil((entry.limit.capacity - (entry.tokens - 1)) / refillPerMs(entry.limit));
+      await store.set(entry.bucketKey, { tokens: entry.tokens - 1, updatedAt: now }, fullInMs);
+      if (entry.quota) {
+        await store.set(entry.quotaKey, entry.used + 1, msUntilNextUtcDay(now));
+      }
+    }));
+
+    // Report the bucket closest to running out
+    const tightest = checks.reduce((best, entry) =>
+      !best || entry.tokens - 1 < best.tokens - 1 ? entry : best, null);
+    if (!tightest) return { headers: {} };
+
+    const remaining = Math.floor(tightest.tokens - 1);
+    const resetMs = (tightest.limit.capacity - (tightest.tokens - 1)) / refillPerMs(tightest.limit);
+    return {
+      headers: rateLimitHeaders(tightest.limit.capacity, remaining, resetMs, describePolicy(tightest.limit)),
+      refund: (at = Date.now()) => refund(checks, at)
+    };
+  };
+
+  return {
+    /**
+     * Count a request against its buckets and quotas
+     * @param {Request} request - Incoming request
+     * @param {Object} info - { client, ip } (client from auth.js, null when anonymous)
+     * @returns {Promise<Object>} { headers } to add to the response, plus `error`
+     *   (a 400 or 429 Response) when the request must be rejected, or
+     *   `refund()` to give the charge back when the handler rejects it
+     */
+    check(request, { client = null, ip = null } = {}, now = Date.now()) {
+      const { pathname } = new URL(request.url);
+      const action = ACTIONS[`${request.method} ${pathname}`];
+      if (!action) return Promise.resolve({ headers: {} });
+
+      const { subjects, error } = getSubjects(request, { client, ip });
+      if (error) {
+        return Promise.resolve({ headers: {}, error: jsonResponse({ success: false, error }, 400) });
+      }
+
+      const entries = subjects
+        .filter(subject => settings[subject.type])
+        .map((subject) => {
+          const limit = settings[subject.type];
+          return {
+            subject,
+            limit,
+            bucketKey: `bucket:${subject.type}:${subject.id}`,
+            quota: limit[QUOTA_FIELDS[action]],
+            quotaKey: `quota:${action}:${subject.type}:${subject.id}:${utcDay(now)}`
+          };
+        });
+
+      return exclusive(storeKeys(entries), () => charge(entries, action, now));
+    }
+  };
+};
+
+/**
+ * Whether a handler response means the request was turned away before any
+ * work was done. Only validation failures qualify (see VALIDATION_FAILED_HEADER
+ * in core.js): a moderation block or an upstream 429 keeps its charge.
+ * @param {Response} response - Handler response
+ * @returns {boolean}
+ */
+export const isRefundable = (response) => response.status === 400 &&
+  response.headers.get(VALIDATION_FAILED_HEADER) === 'true';
+
+/**
+ * Wrap a handler (see withAuth in auth.js) so limited routes are counted first
+ * @param {Object} limiter - See createRateLimiter
+ * @param {Function} handler - async (request, client) => Response
+ * @returns {Function} async (request, client, { ip }) => Response
+ */
+export const withRateLimit = (limiter, handler) => async (request, client = null, { ip } = {}) => {
+  const { headers, error, refund } = await limiter.check(request, { client, ip });
+  if (error) return error;
+
+  const response = await handler(request, client);
+  if (refund && isRefundable(response)) await refund();
+  return Object.keys(headers).length > 0 ? withHeaders(response, headers) : response;
+};
+
+/**
+ * In-memory store (per process / isolate)
+ */
+export const createMemoryRateLimitStore = () => {
+  const entries = new Map();
+  let writes = 0;
+
+  // Drop expired entries now and then so idle subjects do not pile up
+  const sweep = (now) => {
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  };
+
+  return {
+    name: 'memory',
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      if (++writes % 1000 === 0) sweep(Date.now());
+    }
+  };
+};
+
+/**
+ * Cloudflare KV store (KV needs a TTL of at least 60 seconds)
+ * @param {Object} namespace - KV namespace binding
+ * @param {Object} options - { prefix }
+ */
+export const createKVRateLimitStore = (namespace, { prefix = 'ratelimit:' } = {}) => ({
+  name: 'kv',
+  get: async (key) => namespace.get(`${prefix}${key}`, 'json'),
+  set: async (key, value, ttlMs) => {
+    await namespace.put(`${prefix}${key}`, JSON.stringify(value), {
+      expirationTtl: Math.max(60, Math.ceil(ttlMs / 1000))
+    });
+  }
+});
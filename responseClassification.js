@@ -0,0 +1,76 @@
+/**
+ * Response Classification
+ * Decides what the load balancers (loadbalancer.js, main-worker.js) do with an
+ * upstream result:
+ *
+ *   success       - 1xx-3xx, pass through
+ *   client_error  - 4xx caused by the request itself; return it untouched, never
+ *                   retry and never count it against the backend
+ *   retryable     - 408, 429, 5xx, timeouts and network errors; try another
+ *                   backend after a backoff, honouring Retry-After
+ *
+ * Internal workers answer 401 only when a load balancer's signature does not
+ * check out (INTERNAL_SIGNING_SECRET missing or rotated on that worker), so
+ * for them 401 is the worker's fault and retryable too.
+ */
+
+export const RETRY_DEFAULTS = {
+  baseDelayMs: 250,
+  maxDelayMs: 5000
+};
+
+// 4xx statuses that say "try again later" rather than "your request is wrong"
+const RETRYABLE_CLIENT_STATUSES = [408, 429];
+
+// Statuses an internal worker only gives for its own misconfiguration
+const INTERNAL_FAULT_STATUSES = [401];
+
+/**
+ * Classify an upstream HTTP status
+ * @param {number} status - HTTP status code
+ * @param {Object} options - { internal } true when the upstream is an internal worker
+ * @returns {string} 'success' | 'client_error' | 'retryable'
+ */
+export const classifyStatus = (status, { internal = false } = {}) => {
+  if (status < 400) return 'success';
+  if (internal && INTERNAL_FAULT_STATUSES.includes(status)) return 'retryable';
+  if (status < 500 && !RETRYABLE_CLIENT_STATUSES.includes(status)) return 'client_error';
+  return 'retryable';
+};
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Delay in ms, or null when absent or invalid
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null;
+
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return Number(trimmed) * 1000;
+  }
+
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter, or the
+ * upstream Retry-After when it asks for longer
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} options - { retryAfterMs, baseDelayMs, maxDelayMs, random }
+ * @returns {number} Delay in ms (never above maxDelayMs)
+ */
+export const getRetryDelay = (attempt, {
+  retryAfterMs = null,
+  baseDelayMs = RETRY_DEFAULTS.baseDelayMs,
+  maxDelayMs = RETRY_DEFAULTS.maxDelayMs,
+  random = Math.random
+} = {}) => {
+  const backoff = baseDelayMs * 2 ** (attempt - 1) * (0.5 + random() / 2);
+  return Math.min(Math.max(backoff, retryAfterMs ?? 0), maxDelayMs);
+};
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
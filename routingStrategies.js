@@ -0,0 +1,188 @@
+/**
+ * Routing Strategies
+ * Backend selection shared by the Node load balancer (loadbalancer.js) and the
+ * Workers load balancer (main-worker.js), plus the per-backend stats they use.
+ *
+ *   round-robin        - take turns
+ *   weighted           - smooth weighted round-robin (weights per backend, default 1)
+ *   least-outstanding  - fewest requests in flight
+ *   ewma               - lowest EWMA latency, scaled by requests in flight
+ *   power-of-two       - pick two at random, keep the less loaded one
+ */
+
+export const ROUTING_STRATEGIES = ['round-robin', 'weighted', 'least-outstanding', 'ewma', 'power-of-two'];
+export const DEFAULT_ROUTING_STRATEGY = 'round-robin';
+
+// Latency samples kept per backend for percentiles
+const MAX_LATENCY_SAMPLES = 50;
+
+/**
+ * Create empty stats for one backend
+ */
+export const createBackendStats = () => ({
+  requests: 0,
+  failures: 0,
+  outstanding: 0,
+  avgResponseTime: 0,
+  ewmaResponseTime: null,
+  latencySamples: [],
+  lastUsed: null
+});
+
+/**
+ * Count a request as sent
+ */
+export const startRequest = (stats, now = Date.now()) => {
+  stats.outstanding++;
+  stats.lastUsed = now;
+};
+
+/**
+ * Record how a request ended
+ * Latency only counts for successes, so fast failures do not make a backend look good.
+ * @param {Object} stats - Backend stats
+ * @param {Object} result - { latencyMs, success }
+ * @param {number} alpha - EWMA smoothing factor (0-1, higher reacts faster)
+ */
+export const finishRequest = (stats, { latencyMs, success }, alpha = 0.3) => {
+  stats.outstanding = Math.max(0, stats.outstanding - 1);
+  stats.requests++;
+
+  if (!success) {
+    stats.failures++;
+    return;
+  }
+
+  const successes = stats.requests - stats.failures;
+  stats.avgResponseTime += (latencyMs - stats.avgResponseTime) / successes;
+  stats.ewmaResponseTime = stats.ewmaResponseTime === null
+    ? latencyMs
+    : alpha * latencyMs + (1 - alpha) * stats.ewmaResponseTime;
+
+  stats.latencySamples.push(latencyMs);
+  if (stats.latencySamples.length > MAX_LATENCY_SAMPLES) {
+    stats.latencySamples.shift();
+  }
+};
+
+/**
+ * Latency percentiles over the recent samples (nearest-rank)
+ * @returns {Object} { p50, p95, p99 } in ms, null when there are no samples
+ */
+export const latencyPercentiles = (stats) => {
+  const sorted = [...stats.latencySamples].sort((a, b) => a - b);
+  const percentile = (p) => sorted.length === 0
+    ? null
+    : sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+
+  return { p50: percentile(50), p95: percentile(95), p99: percentile(99) };
+};
+
+/**
+ * Summarize backend stats for status endpoints
+ */
+export const describeBackendStats = (stats) => ({
+  requests: stats.requests,
+  failures: stats.failures,
+  outstanding: stats.outstanding,
+  avgResponseTime: Math.round(stats.avgResponseTime),
+  ewmaResponseTime: stats.ewmaResponseTime === null ? null : Math.round(stats.ewmaResponseTime),
+  latency: latencyPercentiles(stats),
+  lastUsed: stats.lastUsed ? new Date(stats.lastUsed).toISOString() : null
+});
+
+/**
+ * Expected cost of sending one more request to a backend
+ * Backends without latency data score 0 so they get tried.
+ */
+const latencyScore = (stats) => (stats.ewmaResponseTime ?? 0) * (stats.outstanding + 1);
+
+/**
+ * Create a router
+ * @param {Object} options
+ * @param {string} options.strategy - One of ROUTING_STRATEGIES
+ * @param {Object} options.weights - { backend: weight } for the weighted strategy
+ * @param {Object} options.cursor - Object holding the round-robin `currentIndex` (optional)
+ * @param {Function} options.random - Random number source (optional)
+ * @returns {Object} Router with pick(candidates, getStats)
+ */
+export const createRouter = ({
+  strategy = DEFAULT_ROUTING_STRATEGY,
+  weights = {},
+  cursor = { currentIndex: 0 },
+  random = Math.random
+} = {}) => {
+  if (!ROUTING_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown routing strategy "${strategy}". Available: ${ROUTING_STRATEGIES.join(', ')}`);
+  }
+
+  const currentWeights = new Map();
+  const weightOf = (backend) => {
+    const weight = Number(weights[backend] ?? 1);
+    return Number.isFinite(weight) && weight > 0 ? weight : 1;
+  };
+
+  const minBy = (candidates, score) => candidates.reduce((best, candidate) =>
+    score(candidate) < score(best) ? candidate : best
+  );
+
+  const strategies = {
+    'round-robin': (candidates) => {
+      const backend = candidates[cursor.currentIndex % candidates.length];
+      cursor.currentIndex++;
+      return backend;
+    },
+
+    // nginx-style smooth weighted round-robin: spreads heavy backends out
+    // instead of sending them bursts
+    'weighted': (candidates) => {
+      const totalWeight = candidates.reduce((sum, backend) => sum + weightOf(backend), 0);
+      candidates.forEach(backend => {
+        currentWeights.set(backend, (currentWeights.get(backend) || 0) + weightOf(backend));
+      });
+      const backend = minBy(candidates, candidate => -currentWeights.get(candidate));
+      currentWeights.set(backend, currentWeights.get(backend) - totalWeight);
+      return backend;
+    },
+
+    'least-outstanding': (candidates, getStats) =>
+      minBy(candidates, backend => getStats(backend).outstanding),
+
+    'ewma': (candidates, getStats) =>
+      minBy(candidates, backend => latencyScore(getStats(backend))),
+
+    'power-of-two': (candidates, getStats) => {
+      if (candidates.length === 1) return candidates[0];
+      const first = Math.floor(random() * candidates.length);
+      const second = (first + 1 + Math.floor(random() * (candidates.length - 1))) % candidates.length;
+      const [a, b] = [candidates[first], candidates[second]];
+      const [statsA, statsB] = [getStats(a), getStats(b)];
+      if (statsA.outstanding !== statsB.outstanding) {
+        return statsA.outstanding < statsB.outstanding ? a : b;
+      }
+      return latencyScore(statsA) <= latencyScore(statsB) ? a : b;
+    }
+  };
+
+  return {
+    strategy,
+    /**
+     * Pick a backend
+     * @param {string[]} candidates - Backends currently allowed to take requests
+     * @param {Function} getStats - backend -> stats (see createBackendStats)
+     * @returns {string|null}
+     */
+    pick: (candidates, getStats) => (candidates.length === 0 ? null : strategies[strategy](candidates, getStats))
+  };
+};
+
+/**
+ * Parse weights written as "name=weight,name=weight"
+ */
+export const parseWeights = (value) => Object.fromEntries(
+  String(value || '')
+    .split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([name, weight]) => name && weight)
+    .map(([name, weight]) => [name, Number(weight)])
+);
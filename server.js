@@ -1,278 +1,144 @@
+// Load environment variables before any module reads process.env
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import dotenv from 'dotenv';
-import { generateImage, generateImageWithProgress, clearImageCache, getCacheStats } from './imageGenerator.js';
+import {
+  appConfig,
+  getNextApiKey,
+  reportApiKey,
+  imageKeyPool,
+  comparisonKeyPool,
+  imageCacheStore,
+  imageBlobStore
+} from './imageGenerator.js';
+import { getProviderNames } from './imageProviders.js';
+import { createApiHandler } from './core.js';
+import { mountFetchHandler } from './expressAdapter.js';
+import { createAuthenticator, createMemoryTokenStore, createTokenAdminHandler, withAuth } from './auth.js';
+import { createFileTokenStore } from './fileTokenStore.js';
+import { createMemoryRateLimitStore, createRateLimiter, withRateLimit } from './rateLimiter.js';
+import { createMemoryModerationLog, createModerator } from './moderation.js';
+import { createPromptEnhancer } from './promptEnhancement.js';
+import { createRubric } from './comparisonRubric.js';
+import { createImageInput } from './imageInput.js';
 import ImageGenerationLoadBalancer from './loadbalancer.js';
 
-// Load environment variables
-dotenv.config();
-
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Create load balancer instance for image comparison
-const loadBalancer = new ImageGenerationLoadBalancer();
+// Create load balancer instance for image comparison (server pool from config.js)
+const loadBalancer = new ImageGenerationLoadBalancer({
+  servers: appConfig.servers.urls,
+  strategy: appConfig.servers.strategy,
+  weights: appConfig.servers.weights,
+  signingSecret: process.env.INTERNAL_SIGNING_SECRET
+});
+if (!process.env.INTERNAL_SIGNING_SECRET) {
+  console.warn('⚠️ INTERNAL_SIGNING_SECRET is not set: internal workers refuse unsigned comparison calls');
+}
+
+// API tokens (hashed at rest) - AUTH_TOKEN_STORE = "file" (default) | "memory"
+const tokenStore = process.env.AUTH_TOKEN_STORE === 'memory'
+  ? createMemoryTokenStore()
+  : createFileTokenStore(process.env.AUTH_TOKEN_FILE || '.cache/tokens.json');
+
+const authenticator = createAuthenticator({
+  store: tokenStore,
+  adminToken: process.env.ADMIN_TOKEN,
+  enabled: appConfig.auth.enabled
+});
+
+// Token buckets and daily quotas per token, IP, student and classroom
+const rateLimiter = createRateLimiter({
+  store: createMemoryRateLimitStore(),
+  limits: appConfig.rateLimits.limits
+});
+
+// Child-safety check before generation; blocked prompts are kept for teachers
+// (GET /admin/moderation) until the process restarts
+const moderationLog = createMemoryModerationLog();
+const moderator = appConfig.moderation.enabled
+  ? createModerator({ ...appConfig.moderation, log: moderationLog })
+  : null;
+
+if (!appConfig.moderation.enabled) {
+  console.warn('⚠️ Prompt moderation is disabled (MODERATION_ENABLED=false)');
+}
+
+if (!appConfig.auth.enabled) {
+  console.warn('⚠️ Authentication is disabled (AUTH_ENABLED=false), every route is open');
+} else if (!process.env.ADMIN_TOKEN) {
+  console.warn('⚠️ ADMIN_TOKEN is not set, only existing admin tokens can issue new API tokens');
+}
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 or "loopback") so rate
+// limits see the client IP instead of the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
 // Middleware
 app.use(helmet());
-app.use(cors());
+app.use(cors({
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
+}));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Image uploads for /api/compare-images, passed on to the core handler as they came
+app.use(express.raw({ type: 'multipart/form-data', limit: '12mb' }));
 
 // API Routes
-
-/**
- * POST /api/generate-image
- * Generate an image from a text prompt
- * Body: { prompt: string }
- * Response: { success: boolean, imageUrl?: string, error?: string }
- */
-app.post('/api/generate-image', async (req, res) => {
-  try {
-    const { prompt } = req.body;
-
-    // Validate request
-    if (!prompt) {
-      return res.status(400).json({
-        success: false,
-        error: 'Prompt is required'
-      });
-    }
-
-    if (typeof prompt !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Prompt must be a string'
-      });
-    }
-
-    if (prompt.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Prompt cannot be empty'
-      });
-    }
-
-    if (prompt.length > 1000) {
-      return res.status(400).json({
-        success: false,
-        error: 'Prompt too long (max 1000 characters)'
-      });
-    }
-
-    console.log(`🎨 Generating image for prompt: "${prompt}"`);
-
-    // Generate image
-    const imageUrl = await generateImage(prompt);
-
-    console.log(`✅ Image generated successfully: ${imageUrl}`);
-
-    // Check if it was from cache
-    const cacheStats = getCacheStats();
-    
-    res.json({
-      success: true,
-      imageUrl: imageUrl,
-      prompt: prompt,
-      cached: cacheStats.prompts.includes(prompt.trim().toLowerCase()),
-      totalCached: cacheStats.size
-    });
-
-  } catch (error) {
-    console.error('❌ Error generating image:', error);
-    
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to generate image'
-    });
-  }
-});
-
-/**
- * POST /api/generate-image-stream
- * Generate an image with progress updates (using Server-Sent Events)
- * Body: { prompt: string }
- * Response: Server-Sent Events stream
- */
-app.post('/api/generate-image-stream', async (req, res) => {
-  try {
-    const { prompt } = req.body;
-
-    // Validate request
-    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Valid prompt is required'
-      });
-    }
-
-    // Set up Server-Sent Events
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control'
-    });
-
-    // Progress callback function
-    const onProgress = (message) => {
-      res.write(`data: ${JSON.stringify({ type: 'progress', message })}\n\n`);
+// All /api/* routes are served by the shared core handler (core.js), the same
+// code the Cloudflare workers run. Comparisons are delegated to the workers.
+const handleApi = createApiHandler({
+  platform: 'Node.js (Express)',
+  configuredProviders: appConfig.providers.chain,
+  providerEndpoints: appConfig.providers.endpoints,
+  getApiKey: () => getNextApiKey(),
+  reportApiKey,
+  cache: imageCacheStore,
+  blobStore: imageBlobStore,
+  compareImages: (targetImage, generatedImage, originalPrompt, { weights, feedback, client }) =>
+    loadBalancer.compareImages(targetImage, generatedImage, originalPrompt, { weights, feedback, clientId: client?.id }),
+  getComparisonKey: () => comparisonKeyPool.acquire(),
+  reportComparisonKey: (key, result) => comparisonKeyPool.report(key, result),
+  // Vision model endpoint and model, used here by the generated image safety check
+  comparison: appConfig.providers.comparison,
+  generation: appConfig.generation,
+  enhancer: createPromptEnhancer(appConfig.enhancement),
+  rubric: createRubric(appConfig.rubric),
+  imageInput: createImageInput({ ...appConfig.imageInput, blobStore: imageBlobStore }),
+  imageSafety: appConfig.imageSafety,
+  moderator,
+  moderationLog,
+  getStatus: () => {
+    const { circuits, ...servers } = loadBalancer.getCircuitStatus();
+    const { total, available } = imageKeyPool.describe();
+    const { total: comparisonTotal, available: comparisonAvailable } = comparisonKeyPool.describe();
+    return {
+      server: { uptime: process.uptime() },
+      loadBalancer: servers,
+      apiKeys: {
+        image: { total, available },
+        comparison: { total: comparisonTotal, available: comparisonAvailable }
+      }
     };
-
-    try {
-      // Generate image with progress
-      const imageUrl = await generateImageWithProgress(prompt, onProgress);
-      
-      // Send success result
-      res.write(`data: ${JSON.stringify({ 
-        type: 'success', 
-        imageUrl,
-        prompt 
-      })}\n\n`);
-      
-    } catch (error) {
-      // Send error result
-      res.write(`data: ${JSON.stringify({ 
-        type: 'error', 
-        error: error.message 
-      })}\n\n`);
-    }
-
-    res.end();
-
-  } catch (error) {
-    console.error('❌ Error in stream endpoint:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to generate image'
-    });
-  }
-});
-
-/**
- * POST /api/compare-images
- * Compare two images and provide feedback
- * Body: { targetImage: string (data URL), generatedImage: string (data URL), originalPrompt?: string }
- * Response: { success: boolean, similarityScore: number, keyDifferences: string, promptImprovements: string }
- */
-app.post('/api/compare-images', async (req, res) => {
-  try {
-    const { targetImage, generatedImage, originalPrompt } = req.body;
-
-    // Validate request
-    if (!targetImage || !generatedImage) {
-      return res.status(400).json({
-        success: false,
-        error: 'Both targetImage and generatedImage are required'
-      });
-    }
-
-    if (typeof targetImage !== 'string' || typeof generatedImage !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Images must be base64 data URL strings'
-      });
-    }
-
-    // Validate data URL format
-    if (!targetImage.startsWith('data:image/') || !generatedImage.startsWith('data:image/')) {
-      return res.status(400).json({
-        success: false,
-        error: 'Images must be valid data URLs (data:image/...)'
-      });
-    }
-
-    console.log(`🔍 Comparing images${originalPrompt ? ` for prompt: "${originalPrompt}"` : ''}`);
-
-    // Compare images using load balancer
-    const result = await loadBalancer.compareImages(targetImage, generatedImage, originalPrompt || '');
-
-    if (!result.success) {
-      throw new Error(result.error || 'Comparison failed');
-    }
-
-    console.log(`✅ Images compared successfully: ${result.similarityScore}%`);
-
-    res.json({
-      success: true,
-      similarityScore: result.similarityScore,
-      fullResponse: result.fullResponse,
-      keyDifferences: result.keyDifferences,
-      promptImprovements: result.promptImprovements,
-      metadata: result.metadata,
-      serverUsed: result.serverUsed,
-      responseTime: result.responseTime
-    });
-
-  } catch (error) {
-    console.error('❌ Error comparing images:', error);
-    
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to compare images'
-    });
-  }
-});
-
-/**
- * GET /api/health
- * Health check endpoint
- */
-app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Server is running',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  });
-});
-
-/**
- * GET /api/status
- * Get server status and statistics
- */
-app.get('/api/status', (req, res) => {
-  const cacheStats = getCacheStats();
-  
-  res.json({
-    success: true,
+  },
+  getAdminStatus: () => ({
     server: {
       uptime: process.uptime(),
       memory: process.memoryUsage(),
       version: process.version,
       platform: process.platform
     },
-    cache: {
-      enabled: true,
-      totalCached: cacheStats.size,
-      cachedPrompts: cacheStats.prompts
-    },
-    api: {
-      endpoints: [
-        'POST /api/generate-image',
-        'POST /api/generate-image-stream',
-        'POST /api/compare-images',
-        'GET /api/health',
-        'GET /api/status',
-        'POST /api/clear-cache'
-      ]
+    loadBalancer: loadBalancer.getCircuitStatus(),
+    apiKeys: {
+      image: imageKeyPool.describe(),
+      comparison: comparisonKeyPool.describe()
     }
-  });
-});
-
-/**
- * POST /api/clear-cache
- * Clear the image cache
- */
-app.post('/api/clear-cache', (req, res) => {
-  const cleared = clearImageCache();
-  res.json({
-    success: true,
-    message: `Cleared ${cleared} cached images`,
-    clearedCount: cleared
-  });
+  })
 });
 
 // Root endpoint - API info
@@ -286,33 +152,61 @@ app.get('/', (req, res) => {
       'POST /api/generate-image-stream': 'Generate an image with real-time progress updates',
       'POST /api/compare-images': 'Compare two images and get feedback',
       'GET /api/health': 'Check server health status',
-      'GET /api/status': 'Get detailed server status and statistics'
+      'GET /api/status': 'Get server status and aggregate statistics',
+      'GET /admin/status': 'Detailed status: memory, circuits, API key health (admin)',
+      'GET /admin/cache': 'List cached images, ?offset=&limit=&prefix= (admin)',
+      'POST /admin/cache/invalidate': 'Remove cached images by prompt, prefix or age (admin)',
+      'POST /admin/cache/clear': 'Clear the whole image cache (admin)',
+      'GET /admin/moderation': 'Prompts blocked by moderation, ?classroomId=&studentId= (admin)',
+      'GET /admin/tokens': 'List API tokens (admin)',
+      'POST /admin/tokens': 'Issue an API token (admin)',
+      'DELETE /admin/tokens/:id': 'Revoke an API token (admin)'
     },
+    authentication: 'Authorization: Bearer <token> (scopes: generate, compare, admin)',
     usage: {
       generate_image: {
         method: 'POST',
         url: '/api/generate-image',
         body: {
-          prompt: 'string (required, max 1000 characters)'
+          prompt: 'string (required, max 1000 characters)',
+          provider: `string (optional, one of: ${getProviderNames().join(', ')})`,
+          model: 'string (optional, provider specific model id)',
+          size: 'string (optional, e.g. "1024x1024" or "auto")',
+          aspectRatio: 'string (optional, e.g. "3:2", instead of size)',
+          quality: 'string (optional, e.g. "auto", "high")',
+          format: 'string (optional, e.g. "webp", "png")',
+          n: 'number (optional, images to generate)',
+          seed: 'number (optional, providers that support seeds)',
+          negativePrompt: 'string (optional, what to leave out)',
+          enhancement: 'string (optional, literal, kid-friendly-cartoon, none or custom)',
+          enhancementTemplate: 'string (with enhancement "custom", e.g. "pixel art of {prompt}")'
         },
         response: {
           success: 'boolean',
           imageUrl: 'string',
-          prompt: 'string'
-        }
+          prompt: 'string',
+          provider: 'string',
+          parameters: 'object (size, quality, format, n, ... used)',
+          enhancedPrompt: 'string (text the image provider received)'
+        },
+        allowedValues: 'GET /api/status (providers.parameters)'
       }
     },
     timestamp: new Date().toISOString()
   });
 });
 
-// 404 handler for API routes
-app.use('/api/*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'API endpoint not found'
-  });
-});
+// Shared API routes (including the 404 handler for unknown API routes),
+// behind the bearer token check (see auth.js for the scope each route needs)
+// and the rate limiter (see rateLimiter.js)
+const limitedApi = appConfig.rateLimits.enabled ? withRateLimit(rateLimiter, handleApi) : handleApi;
+app.use('/api', mountFetchHandler(withAuth(authenticator, limitedApi)));
+
+// Admin routes (admin scope): tokens here, cache and status in the core handler
+const handleTokenAdmin = createTokenAdminHandler(tokenStore);
+app.use('/admin', mountFetchHandler(withAuth(authenticator, async (request) =>
+  (await handleTokenAdmin(request)) || handleApi(request)
+)));
 
 // Global error handler
 app.use((error, req, res, next) => {
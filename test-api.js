@@ -3,6 +3,9 @@
 /**
  * Comprehensive API Test Suite
  * Tests both local Express server and Cloudflare Worker functionality
+ *
+ * Every run spends rate limit tokens and daily quota (see rateLimiter.js);
+ * start the local server with RATE_LIMIT_ENABLED=false to run it repeatedly.
  */
 
 import fetch from 'node-fetch';
@@ -20,6 +23,9 @@ const TEST_CONFIGS = {
   }
 };
 
+// API token sent as a bearer token (protected routes need one unless AUTH_ENABLED=false)
+const API_TOKEN = process.env.API_TOKEN;
+
 // Test prompts
 const TEST_PROMPTS = [
   'a grey square',
@@ -41,7 +47,7 @@ class APITester {
     console.log(`${prefix} [${timestamp}] ${this.name}: ${message}`);
   }
 
-  async testEndpoint(method, path, body = null, expectedStatus = 200) {
+  async testEndpoint(method, path, body = null, expectedStatus = 200, { authenticated = true } = {}) {
     const url = `${this.baseUrl}${path}`;
     const startTime = Date.now();
     
@@ -50,15 +56,21 @@ class APITester {
         method,
         headers: {
           'Content-Type': 'application/json',
-          'User-Agent': 'API-Tester/1.0'
+          'User-Agent': 'API-Tester/1.0',
+          ...(authenticated && API_TOKEN ? { 'Authorization': `Bearer ${API_TOKEN}` } : {})
         }
       };
 
-      if (body) {
+      // FormData bodies set their own multipart Content-Type
+      const isForm = body instanceof FormData;
+      if (isForm) {
+        delete options.headers['Content-Type'];
+        options.body = body;
+      } else if (body) {
         options.body = JSON.stringify(body);
       }
 
-      await this.log(`Testing ${method} ${path}${body ? ` with body: ${JSON.stringify(body)}` : ''}`);
+      await this.log(`Testing ${method} ${path}${body ? ` with body: ${isForm ? '(multipart/form-data)' : JSON.stringify(body)}` : ''}`);
       
       const response = await fetch(url, options);
       const responseTime = Date.now() - startTime;
@@ -139,6 +151,44 @@ class APITester {
 
     // Test CORS preflight
     await this.testEndpoint('OPTIONS', '/api/generate-image');
+
+    // Test comparison validation (shared core handler on both runtimes)
+    await this.testEndpoint('POST', '/api/compare-images', {}, 400); // Missing images
+    await this.testEndpoint('POST', '/api/compare-images', { targetImage: 'abc', generatedImage: 'def' }, 400); // Not data URLs
+    const tinyImage = 'data:image/png;base64,iVBORw0KGgo=';
+    await this.testEndpoint('POST', '/api/compare-images', { targetImage: tinyImage, generatedImage: tinyImage, lesson: 'no-such-lesson' }, 400); // Unknown lesson
+    await this.testEndpoint('POST', '/api/compare-images', { targetImage: tinyImage, generatedImage: tinyImage, weights: { shoes: 2 } }, 400); // Unknown rubric aspect
+    await this.testEndpoint('POST', '/api/compare-images', { targetImage: tinyImage, generatedImage: tinyImage, language: 'english', script: 'devanagari' }, 400); // Script the language is not written in
+
+    // Local similarity needs no comparison API key (8x8 orange PNG)
+    const orangeImage = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAgAAAAICAIAAABLbSncAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAEklEQVR4nGP438GAFWEXHbQSAHHCYcFrRny5AAAAAElFTkSuQmCC';
+    await this.testEndpoint('POST', '/api/compare-images', { targetImage: orangeImage, generatedImage: orangeImage, scoring: 'local' });
+    await this.testEndpoint('POST', '/api/compare-images', { targetImage: tinyImage, generatedImage: tinyImage, scoring: 'local' }, 400); // Cannot be decoded
+    await this.testEndpoint('POST', '/api/compare-images', { targetImage: orangeImage, generatedImage: orangeImage, localWeight: 0.5 }, 400); // localWeight without blend
+
+    // Images as uploads and URLs (only https URLs on allowed hosts, or this server's /api/images)
+    const upload = new FormData();
+    upload.append('targetImage', new Blob([Buffer.from(orangeImage.split(',')[1], 'base64')], { type: 'image/png' }), 'target.png');
+    upload.append('generatedImage', orangeImage);
+    upload.append('scoring', 'local');
+    await this.testEndpoint('POST', '/api/compare-images', upload);
+    await this.testEndpoint('POST', '/api/compare-images', { targetImage: 'http://example.com/cat.png', generatedImage: orangeImage, scoring: 'local' }, 400); // Not https
+    await this.testEndpoint('POST', '/api/compare-images', { targetImage: 'https://not-allowed.example.com/cat.png', generatedImage: orangeImage, scoring: 'local' }, 400); // Host not allowed
+  }
+
+  async runAuthTests() {
+    await this.log(`Starting authentication tests...`);
+
+    // Protected routes reject missing and unknown tokens
+    await this.testEndpoint('POST', '/api/generate-image', { prompt: 'a cat' }, 401, { authenticated: false });
+    await this.testEndpoint('POST', '/api/compare-images', {}, 401, { authenticated: false });
+    await this.testEndpoint('GET', '/admin/tokens', null, 401, { authenticated: false });
+    await this.testEndpoint('GET', '/admin/cache', null, 401, { authenticated: false });
+    await this.testEndpoint('POST', '/admin/cache/invalidate', { all: true }, 401, { authenticated: false });
+    await this.testEndpoint('POST', '/admin/cache/clear', {}, 401, { authenticated: false });
+
+    // Public routes stay open
+    await this.testEndpoint('GET', '/api/health', null, 200, { authenticated: false });
   }
 
   async runImageGenerationTests() {
@@ -156,6 +206,13 @@ class APITester {
     await this.testEndpoint('POST', '/api/generate-image', { prompt: '' }, 400); // Empty prompt
     await this.testEndpoint('POST', '/api/generate-image', { prompt: 123 }, 400); // Invalid type
     await this.testEndpoint('POST', '/api/generate-image', { prompt: 'a'.repeat(1001) }, 400); // Too long
+    await this.testEndpoint('POST', '/api/generate-image', { prompt: 'a cat', provider: 'unknown' }, 400); // Unknown provider
+    await this.testEndpoint('POST', '/api/generate-image', { prompt: 'a cat', provider: 'mock', size: '10x10' }, 400); // Size not allowed
+    await this.testEndpoint('POST', '/api/generate-image', { prompt: 'a cat', size: 'auto', aspectRatio: '1:1' }, 400); // Size and aspect ratio
+    await this.testEndpoint('POST', '/api/generate-image', { prompt: 'a cat', provider: 'mock', aspectRatio: '3:2', seed: 42 }); // Parameters
+    await this.testEndpoint('POST', '/api/generate-image', { prompt: 'a cat', enhancement: 'unknown' }, 400); // Unknown preset
+    await this.testEndpoint('POST', '/api/generate-image', { prompt: 'a cat', provider: 'mock', enhancement: 'custom', enhancementTemplate: 'pixel art of {prompt}' }); // Custom template
+    await this.testEndpoint('POST', '/api/generate-image', { prompt: 'a k1ll3r with a gun' }, 400); // Blocked by moderation
   }
 
   async runPerformanceTests() {
@@ -261,6 +318,9 @@ async function runTests() {
     try {
       // Run all test suites
       await tester.runBasicTests();
+      if (API_TOKEN) {
+        await tester.runAuthTests();
+      }
       await tester.runImageGenerationTests();
       await tester.runPerformanceTests();
       await tester.testImageURLValidity();
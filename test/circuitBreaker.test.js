@@ -0,0 +1,78 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_BREAKER_OPTIONS,
+  acquireRequest,
+  canRequest,
+  createBreaker,
+  describeBreaker,
+  recordFailure,
+  recordSuccess
+} from '../circuitBreaker.js';
+
+const { openMs, consecutiveFailureThreshold } = DEFAULT_BREAKER_OPTIONS;
+
+const tripped = (now = 0) => {
+  const breaker = createBreaker();
+  for (let i = 0; i < consecutiveFailureThreshold; i++) recordFailure(breaker, now);
+  return breaker;
+};
+
+describe('circuit breaker', () => {
+  test('opens after consecutive failures', () => {
+    const breaker = createBreaker();
+    recordFailure(breaker, 0);
+    recordFailure(breaker, 0);
+    assert.equal(canRequest(breaker, 0), true);
+    recordFailure(breaker, 0);
+    assert.equal(breaker.state, 'open');
+    assert.equal(canRequest(breaker, 1), false);
+  });
+
+  test('a success resets the consecutive failure count', () => {
+    const breaker = createBreaker();
+    recordFailure(breaker, 0);
+    recordFailure(breaker, 0);
+    recordSuccess(breaker, 0);
+    recordFailure(breaker, 0);
+    assert.equal(breaker.state, 'closed');
+  });
+
+  test('opens on a high failure rate', () => {
+    const breaker = createBreaker();
+    for (let i = 0; i < 5; i++) {
+      recordSuccess(breaker, 0);
+      recordFailure(breaker, 0);
+    }
+    assert.equal(breaker.state, 'open');
+    assert.match(breaker.transitions.at(-1).reason, /failure rate 50%/);
+  });
+
+  test('lets one probe through when half-open and closes after enough successes', () => {
+    const breaker = tripped();
+    const later = openMs;
+    assert.equal(acquireRequest(breaker, later), true);
+    assert.equal(breaker.state, 'half_open');
+    assert.equal(acquireRequest(breaker, later), false);
+
+    recordSuccess(breaker, later);
+    assert.equal(acquireRequest(breaker, later), true);
+    recordSuccess(breaker, later);
+    assert.equal(breaker.state, 'closed');
+  });
+
+  test('doubles the open interval when a probe fails', () => {
+    const breaker = tripped();
+    acquireRequest(breaker, openMs);
+    recordFailure(breaker, openMs);
+    assert.equal(breaker.state, 'open');
+    assert.equal(describeBreaker(breaker, openMs).retryInMs, openMs * 2);
+  });
+
+  test('frees a probe slot that never reported back', () => {
+    const breaker = tripped();
+    acquireRequest(breaker, openMs);
+    assert.equal(canRequest(breaker, openMs + 1), false);
+    assert.equal(canRequest(breaker, openMs + DEFAULT_BREAKER_OPTIONS.probeTimeoutMs + 1), true);
+  });
+});
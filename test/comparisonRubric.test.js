@@ -0,0 +1,45 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RUBRIC_WEIGHTS, createRubric, scoreRubric, validateRubricWeights } from '../comparisonRubric.js';
+
+const scores = (values) => Object.fromEntries(Object.entries(values).map(([aspect, score]) => [aspect, { score }]));
+
+describe('scoreRubric', () => {
+  test('takes the weighted mean of the aspect scores', () => {
+    const aspects = scores({ subject: 100, count: 0, colours: 0, composition: 0, style: 0, background: 0 });
+    assert.equal(scoreRubric(aspects), 30);
+    assert.equal(scoreRubric(aspects, { subject: 1, count: 1, colours: 0, composition: 0, style: 0, background: 0 }), 50);
+  });
+
+  test('skips missing aspects and returns null without weights', () => {
+    assert.equal(scoreRubric(scores({ subject: 80 })), 80);
+    assert.equal(scoreRubric(scores({ subject: 80 }), { subject: 0 }), null);
+  });
+});
+
+describe('validateRubricWeights', () => {
+  test('accepts partial weights and rejects the rest', () => {
+    assert.equal(validateRubricWeights({ subject: 5 }), null);
+    assert.match(validateRubricWeights([]), /must be an object/);
+    assert.match(validateRubricWeights({ smell: 1 }), /Unknown rubric aspects: smell/);
+    assert.match(validateRubricWeights({ subject: -1, count: '2' }), /from 0 to 100 \(subject, count\)/);
+  });
+});
+
+describe('createRubric', () => {
+  const rubric = createRubric({ weights: { style: 0 }, lessons: { colours: { colours: 10 } } });
+
+  test('layers defaults, the lesson and the request weights', () => {
+    assert.deepEqual(rubric.resolveWeights(), { ...DEFAULT_RUBRIC_WEIGHTS, style: 0 });
+    assert.equal(rubric.resolveWeights({ lesson: 'colours' }).colours, 10);
+    assert.equal(rubric.resolveWeights({ lesson: 'colours', weights: { colours: 1 } }).colours, 1);
+  });
+
+  test('validates lessons and weights of a request', () => {
+    assert.equal(rubric.validate({ lesson: 'colours' }), null);
+    assert.match(rubric.validate({ lesson: 'shapes' }), /Lesson must be one of: colours/);
+    assert.match(createRubric().validate({ lesson: 'colours' }), /No lessons are configured/);
+    assert.match(rubric.validate({ weights: { subject: 0, count: 0, colours: 0, composition: 0, background: 0 } }),
+      /At least one rubric weight/);
+  });
+});
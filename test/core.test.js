@@ -0,0 +1,410 @@
+/**
+ * Core handler tests
+ * Calls the shared /api/* handler (core.js) directly with Fetch API requests,
+ * with upstream APIs stubbed, and checks that the Express adapter and the
+ * internal worker answer the same requests the same way.
+ */
+
+import { after, afterEach, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { SAFETY_PLACEHOLDER_IMAGE, createApiHandler } from '../core.js';
+import { ImageCache, createMemoryBackend } from '../imageCache.js';
+import { createModerator } from '../moderation.js';
+import { createKeyPool } from '../keyPool.js';
+import { MAX_STORED_IMAGE_BYTES, createMemoryBlobStore } from '../blobStore.js';
+import { mountFetchHandler } from '../expressAdapter.js';
+import { signInternalRequest } from '../auth.js';
+import worker from '../worker.js';
+import { ORANGE_PNG, jsonRequest, stubFetch } from './helpers.js';
+
+const handler = createApiHandler({ platform: 'test', configuredProviders: 'mock' });
+
+const call = async (method, path, body) => {
+  const response = await handler(jsonRequest(method, path, body));
+  return { status: response.status, body: await response.json() };
+};
+
+// A SiliconFlow answer in the JSON format the comparison prompt asks for
+const comparisonAnswer = (score) => JSON.stringify({
+  similarityScore: score,
+  differences: 'Rang alag hai',
+  improvements: 'Prompt me "orange" likho',
+  aspects: Object.fromEntries(['subject', 'count', 'colours', 'composition', 'style', 'background']
+    .map(aspect => [aspect, { score, explanation: 'Theek hai' }]))
+});
+
+describe('core handler', () => {
+  let restoreFetch = null;
+  afterEach(() => {
+    restoreFetch?.();
+    restoreFetch = null;
+  });
+
+  test('answers health and status', async () => {
+    const health = await call('GET', '/api/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.status, 'healthy');
+
+    const status = await call('GET', '/api/status');
+    assert.equal(status.status, 200);
+    assert.deepEqual(status.body.providers.configured, ['mock']);
+    assert.ok(status.body.rubric.aspects.includes('subject'));
+  });
+
+  test('answers unknown routes with 404', async () => {
+    const { status, body } = await call('GET', '/api/nonexistent');
+    assert.equal(status, 404);
+    assert.equal(body.success, false);
+  });
+
+  test('clears the cache on the admin route only', async () => {
+    const cache = new ImageCache({ backend: createMemoryBackend() });
+    const cached = createApiHandler({ platform: 'test', configuredProviders: 'mock', cache });
+    await cache.set('a', { imageUrl: 'x' });
+
+    assert.equal((await cached(jsonRequest('POST', '/api/clear-cache', {}))).status, 404);
+    const response = await cached(jsonRequest('POST', '/admin/cache/clear', {}));
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).clearedCount, 1);
+  });
+
+  test('generates with the mock provider', async () => {
+    const { status, body } = await call('POST', '/api/generate-image', { prompt: 'a red ball' });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.provider, 'mock');
+    assert.match(body.imageUrl, /^data:image\/svg\+xml;base64,/);
+    assert.equal(body.parameters.seedSource, 'derived');
+    assert.equal(body.seedApplied, true);
+  });
+
+  test('streams generation progress over SSE', async () => {
+    const response = await handler(jsonRequest('POST', '/api/generate-image-stream', { prompt: 'a red ball' }));
+    assert.equal(response.headers.get('Content-Type'), 'text/event-stream');
+    const events = (await response.text()).split('\n\n').filter(line => line.startsWith('data: '))
+      .map(line => JSON.parse(line.slice('data: '.length)));
+    assert.deepEqual(events.slice(0, 2).map(event => event.phase), ['validated', 'queued']);
+    assert.equal(events.at(-1).type, 'success');
+    assert.equal(events.at(-1).provider, 'mock');
+  });
+
+  test('still answers when the cache cannot store the image', async () => {
+    const cache = new ImageCache({ backend: { ...createMemoryBackend(), set: async () => { throw new Error('KV down'); } } });
+    const cached = createApiHandler({ platform: 'test', configuredProviders: 'mock', cache });
+    const response = await cached(jsonRequest('POST', '/api/generate-image', { prompt: 'a red ball' }));
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).cached, false);
+  });
+
+  test('serves stored SVG images sandboxed', async () => {
+    const stored = createApiHandler({ platform: 'test', configuredProviders: 'mock', blobStore: createMemoryBlobStore() });
+    const { imageUrl } = await (await stored(jsonRequest('POST', '/api/generate-image', { prompt: 'a red ball' }))).json();
+    const image = await stored(jsonRequest('GET', new URL(imageUrl).pathname));
+    assert.equal(image.headers.get('Content-Type'), 'image/svg+xml');
+    assert.equal(image.headers.get('Content-Security-Policy'), 'sandbox');
+    assert.equal(image.headers.get('Content-Disposition'), 'attachment');
+  });
+
+  test('rejects invalid generation requests', async () => {
+    for (const body of [{}, { prompt: '' }, { prompt: 123 }, { prompt: 'a'.repeat(1001) }, { prompt: 'a cat', provider: 'unknown' }]) {
+      const response = await call('POST', '/api/generate-image', body);
+      assert.equal(response.status, 400, JSON.stringify(body));
+      assert.equal(response.body.success, false);
+    }
+  });
+
+  test('sends the enhanced prompt to ImageRouter', async () => {
+    const sent = [];
+    restoreFetch = stubFetch(async (url, init) => {
+      sent.push({ url, body: JSON.parse(init.body) });
+      return Response.json({ data: [{ url: 'https://images.example.org/cat.webp' }] });
+    });
+    const routed = createApiHandler({ platform: 'test', configuredProviders: 'imagerouter', getApiKey: () => 'key-1' });
+
+    // The first ImageRouter generation in this file, so it warns that the seed is dropped
+    const warnings = [];
+    const { warn } = console;
+    console.warn = (message) => warnings.push(message);
+    const response = await routed(jsonRequest('POST', '/api/generate-image', { prompt: 'a  cat' }));
+    await routed(jsonRequest('POST', '/api/generate-image', { prompt: 'a dog' }));
+    console.warn = warn;
+    assert.equal(warnings.filter(message => /ImageRouter.io takes no seed/.test(message)).length, 1);
+
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.imageUrl, 'https://images.example.org/cat.webp');
+    assert.equal(body.seedApplied, false);
+    assert.equal(sent.length, 2);
+    assert.match(sent[0].body.prompt, /^a cat, exactly as described/);
+  });
+
+  test('applies the requested enhancement preset or template', async () => {
+    const custom = await call('POST', '/api/generate-image', { prompt: 'a cat', enhancement: 'custom', enhancementTemplate: 'pixel art of {prompt}' });
+    assert.equal(custom.body.enhancement, 'custom');
+    assert.equal(custom.body.enhancedPrompt, 'pixel art of a cat');
+
+    assert.equal((await call('POST', '/api/generate-image', { prompt: 'a cat', enhancement: 'no-such-preset' })).status, 400);
+  });
+
+  test('keeps a provider client error or rate limit status', async () => {
+    const routed = createApiHandler({ platform: 'test', configuredProviders: 'imagerouter', getApiKey: () => 'key-1' });
+    restoreFetch = stubFetch(async () => new Response('bad prompt', { status: 400 }));
+    assert.equal((await routed(jsonRequest('POST', '/api/generate-image', { prompt: 'a cat' }))).status, 400);
+    restoreFetch();
+
+    restoreFetch = stubFetch(async () => new Response('slow down', { status: 429, headers: { 'Retry-After': '7' } }));
+    const limited = await routed(jsonRequest('POST', '/api/generate-image', { prompt: 'a dog' }));
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('Retry-After'), '7');
+
+    const stream = await routed(jsonRequest('POST', '/api/generate-image-stream', { prompt: 'a fox' }));
+    const events = (await stream.text()).split('\n\n').filter(line => line.startsWith('data: '))
+      .map(line => JSON.parse(line.slice('data: '.length)));
+    assert.equal(events.at(-1).status, 429);
+    assert.equal(events.at(-1).retryAfter, 7);
+  });
+
+  test('falls back only after a retryable provider failure', async () => {
+    const chained = createApiHandler({ platform: 'test', configuredProviders: 'imagerouter,mock', getApiKey: () => 'key-1' });
+    restoreFetch = stubFetch(async () => new Response('bad prompt', { status: 400 }));
+    assert.equal((await chained(jsonRequest('POST', '/api/generate-image', { prompt: 'a cat' }))).status, 400);
+    restoreFetch();
+
+    restoreFetch = stubFetch(async () => new Response('down', { status: 503 }));
+    const response = await chained(jsonRequest('POST', '/api/generate-image', { prompt: 'a cat' }));
+    assert.equal((await response.json()).provider, 'mock');
+  });
+
+  test('keeps the provider URL of an image too large to store', async () => {
+    restoreFetch = stubFetch(async (url) => (url.startsWith('https://images.example.org')
+      ? new Response(new Uint8Array(MAX_STORED_IMAGE_BYTES + 1), { headers: { 'Content-Type': 'image/png' } })
+      : Response.json({ data: [{ url: 'https://images.example.org/huge.png' }] })));
+    const stored = createApiHandler({
+      platform: 'test', configuredProviders: 'imagerouter', getApiKey: () => 'key-1', blobStore: createMemoryBlobStore()
+    });
+    const body = await (await stored(jsonRequest('POST', '/api/generate-image', { prompt: 'a cat' }))).json();
+    assert.equal(body.imageUrl, 'https://images.example.org/huge.png');
+  });
+
+  test('answers 429 with Retry-After when every API key is blocked', async () => {
+    const pool = createKeyPool([{ name: 'IMAGE_ROUTER_API_KEY_1', value: 'key-1' }], { name: 'image' });
+    pool.report(pool.acquire(), { status: 429, retryAfterMs: 30000 });
+    let calls = 0;
+    restoreFetch = stubFetch(async () => {
+      calls++;
+      return Response.json({ data: [{ url: 'https://images.example.org/cat.webp' }] });
+    });
+    const routed = createApiHandler({ platform: 'test', configuredProviders: 'imagerouter', getApiKey: () => pool.acquire() });
+
+    const response = await routed(jsonRequest('POST', '/api/generate-image', { prompt: 'a cat' }));
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers.get('Retry-After')) >= 29);
+    assert.match((await response.json()).error, /quarantined or over quota/);
+    assert.equal(calls, 0);
+  });
+
+  test('rejects a negative prompt for providers without one', async () => {
+    const routed = createApiHandler({ platform: 'test', configuredProviders: 'imagerouter', getApiKey: () => 'key-1' });
+    const response = await routed(jsonRequest('POST', '/api/generate-image', { prompt: 'a cat', negativePrompt: 'dogs' }));
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /does not support negative prompts/);
+  });
+
+  test('sends a negative prompt to Pollinations as its own field', async () => {
+    const pollinations = createApiHandler({ platform: 'test', configuredProviders: 'pollinations' });
+    const response = await pollinations(jsonRequest('POST', '/api/generate-image', { prompt: 'a cat', negativePrompt: 'dogs' }));
+    const { imageUrl } = await response.json();
+    const url = new URL(imageUrl);
+    assert.equal(url.searchParams.get('negative_prompt'), 'dogs');
+    assert.doesNotMatch(decodeURIComponent(url.pathname), /dogs/);
+  });
+
+  test('moderates the negative prompt along with the prompt', async () => {
+    const moderated = createApiHandler({ platform: 'test', configuredProviders: 'mock', moderator: createModerator() });
+    const response = await moderated(jsonRequest('POST', '/api/generate-image', { prompt: 'a cat', negativePrompt: 'no fucking dogs' }));
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).blocked, true);
+  });
+
+  test('regenerates an unsuitable image with the avoid list as a negative prompt', async () => {
+    let checks = 0;
+    const checked = createApiHandler({
+      platform: 'test',
+      configuredProviders: 'pollinations',
+      imageSafety: { enabled: true, maxRegenerations: 1, failOpen: true },
+      checkImageSafety: async () => (++checks === 1 ? { safe: false, category: 'violence' } : { safe: true, category: 'none' })
+    });
+
+    const response = await checked(jsonRequest('POST', '/api/generate-image', { prompt: 'a knight', negativePrompt: 'dragons' }));
+    const body = await response.json();
+    assert.equal(body.safety.action, 'regenerated');
+    const url = new URL(body.imageUrl);
+    assert.match(decodeURIComponent(url.pathname), /wholesome, bright and cheerful/);
+    assert.doesNotMatch(decodeURIComponent(url.pathname), /violence|avoid/i);
+    assert.match(url.searchParams.get('negative_prompt'), /^violence, blood, .*, dragons$/);
+  });
+
+  test('keeps the avoid list out of the prompt for providers without a negative prompt', async () => {
+    const sent = [];
+    restoreFetch = stubFetch(async (url, init) => {
+      sent.push(JSON.parse(init.body));
+      return Response.json({ data: [{ url: `https://images.example.org/${sent.length}.webp` }] });
+    });
+    let checks = 0;
+    const checked = createApiHandler({
+      platform: 'test',
+      configuredProviders: 'imagerouter',
+      getApiKey: () => 'key-1',
+      imageSafety: { enabled: true, maxRegenerations: 1, failOpen: true },
+      checkImageSafety: async () => (++checks === 1 ? { safe: false, category: 'violence' } : { safe: true, category: 'none' })
+    });
+
+    const body = await (await checked(jsonRequest('POST', '/api/generate-image', { prompt: 'a knight' }))).json();
+    assert.equal(body.safety.action, 'regenerated');
+    assert.equal(sent.length, 2);
+    assert.match(sent[1].prompt, /wholesome, bright and cheerful/);
+    assert.doesNotMatch(sent[1].prompt, /violence|avoid/i);
+  });
+
+  test('replaces an image that stays unsuitable with the placeholder', async () => {
+    const checked = createApiHandler({
+      platform: 'test',
+      configuredProviders: 'mock',
+      imageSafety: { enabled: true, maxRegenerations: 1, failOpen: true },
+      checkImageSafety: async () => ({ safe: false, category: 'violence' })
+    });
+
+    const body = await (await checked(jsonRequest('POST', '/api/generate-image', { prompt: 'a knight' }))).json();
+    assert.equal(body.safety.action, 'placeholder');
+    assert.equal(body.imageUrl, SAFETY_PLACEHOLDER_IMAGE);
+  });
+
+  test('compares images with a stubbed vision model', async () => {
+    restoreFetch = stubFetch(async () => Response.json({ choices: [{ message: { content: comparisonAnswer(80) } }] }));
+    const comparing = createApiHandler({ platform: 'test', configuredProviders: 'mock', getComparisonKey: () => 'key-1' });
+
+    const response = await comparing(jsonRequest('POST', '/api/compare-images', {
+      targetImage: ORANGE_PNG,
+      generatedImage: ORANGE_PNG,
+      originalPrompt: 'an orange square'
+    }));
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.equal(body.similarityScore, 80);
+    assert.equal(body.overallScore, 80);
+    assert.equal(body.parseStatus, 'valid');
+    assert.equal(body.localSimilarity.score, 100);
+  });
+
+  test('asks the vision model again for an answer that is not valid JSON', async () => {
+    const answers = ['{ "similarityScore": "high" }', comparisonAnswer(60)];
+    restoreFetch = stubFetch(async () => Response.json({ choices: [{ message: { content: answers.shift() } }] }));
+    const comparing = createApiHandler({ platform: 'test', configuredProviders: 'mock', getComparisonKey: () => 'key-1' });
+
+    const response = await comparing(jsonRequest('POST', '/api/compare-images', { targetImage: ORANGE_PNG, generatedImage: ORANGE_PNG }));
+    const body = await response.json();
+    assert.equal(body.similarityScore, 60);
+    assert.equal(body.parseStatus, 'reasked');
+    assert.equal(answers.length, 0);
+  });
+
+  test('asks for feedback in the requested language', async () => {
+    let prompt = null;
+    restoreFetch = stubFetch(async (url, init) => {
+      prompt = JSON.parse(init.body).messages[0].content[0].text;
+      return Response.json({ choices: [{ message: { content: comparisonAnswer(70) } }] });
+    });
+    const comparing = createApiHandler({ platform: 'test', configuredProviders: 'mock', getComparisonKey: () => 'key-1' });
+
+    const response = await comparing(jsonRequest('POST', '/api/compare-images', {
+      targetImage: ORANGE_PNG,
+      generatedImage: ORANGE_PNG,
+      language: 'english',
+      ageBand: '9-12'
+    }));
+    assert.equal(response.status, 200);
+    assert.match(prompt, /Target image \(the one to recreate\)/);
+    assert.match(prompt, /9-12 year old student/);
+  });
+
+  test('compares locally without a vision model', async () => {
+    const { status, body } = await call('POST', '/api/compare-images', {
+      targetImage: ORANGE_PNG,
+      generatedImage: ORANGE_PNG,
+      scoring: 'local'
+    });
+    assert.equal(status, 200);
+    assert.equal(body.similarityScore, 100);
+    assert.equal(body.images.targetImage.source, 'data-url');
+  });
+
+  test('rejects invalid comparison requests', async () => {
+    for (const body of [
+      {},
+      { targetImage: 'abc', generatedImage: 'def' },
+      { targetImage: ORANGE_PNG, generatedImage: ORANGE_PNG, lesson: 'no-such-lesson' },
+      { targetImage: ORANGE_PNG, generatedImage: ORANGE_PNG, language: 'english', script: 'devanagari' },
+      { targetImage: 'http://example.com/cat.png', generatedImage: ORANGE_PNG }
+    ]) {
+      const response = await call('POST', '/api/compare-images', body);
+      assert.equal(response.status, 400, JSON.stringify(body));
+    }
+  });
+});
+
+describe('Express and Workers', () => {
+  const SECRET = 'test-signing-secret';
+  const env = { IMAGE_PROVIDER: 'mock', INTERNAL_SIGNING_SECRET: SECRET, MODERATION_ENABLED: 'false' };
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+    app.use('/api', mountFetchHandler(createApiHandler({ platform: 'Node.js (Express)', configuredProviders: 'mock' })));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const viaExpress = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const viaWorker = async (method, path, body) => {
+    const request = jsonRequest(method, path, body,
+      await signInternalRequest(SECRET, { method, path, body: body ? JSON.stringify(body) : '' }));
+    const response = await worker.fetch(request, env, {});
+    return { status: response.status, body: await response.json() };
+  };
+
+  const cases = [
+    ['GET', '/api/health'],
+    ['POST', '/api/generate-image', { prompt: 'a red ball' }],
+    ['POST', '/api/generate-image', { prompt: '' }],
+    ['POST', '/api/generate-image', { prompt: 'a cat', provider: 'unknown' }],
+    ['POST', '/api/compare-images', { targetImage: ORANGE_PNG, generatedImage: ORANGE_PNG, scoring: 'local' }],
+    ['POST', '/api/compare-images', { targetImage: 'abc', generatedImage: 'def' }],
+    ['GET', '/api/nonexistent']
+  ];
+
+  for (const [method, path, body] of cases) {
+    test(`${method} ${path} ${body ? JSON.stringify(body).slice(0, 60) : ''}`, async () => {
+      const [node, edge] = await Promise.all([viaExpress(method, path, body), viaWorker(method, path, body)]);
+      assert.equal(node.status, edge.status);
+      assert.equal(node.body.success, edge.body.success);
+      assert.equal(node.body.error, edge.body.error);
+      assert.equal(node.body.imageUrl, edge.body.imageUrl);
+      assert.equal(node.body.similarityScore, edge.body.similarityScore);
+    });
+  }
+});
@@ -0,0 +1,26 @@
+/**
+ * Shared test fixtures
+ */
+
+// 8x8 orange PNG
+export const ORANGE_PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAgAAAAICAIAAABLbSncAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAEklEQVR4nGP438GAFWEXHbQSAHHCYcFrRny5AAAAAElFTkSuQmCC';
+
+/**
+ * Build a Fetch API request for the handlers under test
+ */
+export const jsonRequest = (method, path, body, headers = {}) => new Request(`http://localhost${path}`, {
+  method,
+  headers: { ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+  body: body ? JSON.stringify(body) : undefined
+});
+
+/**
+ * Replace the global fetch (upstream APIs) until the returned function is called
+ */
+export const stubFetch = (impl) => {
+  const original = globalThis.fetch;
+  globalThis.fetch = impl;
+  return () => {
+    globalThis.fetch = original;
+  };
+};
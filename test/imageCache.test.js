@@ -0,0 +1,147 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { ImageCache, buildCacheKey, createKVBackend, createMemoryBackend, parseCacheKey } from '../imageCache.js';
+import { createFileBackend } from '../fileCacheBackend.js';
+
+// A cache whose clock the test moves by hand
+const createCache = (options = {}) => {
+  const clock = { now: 1000 };
+  const cache = new ImageCache({ backend: createMemoryBackend(), now: () => clock.now, ...options });
+  return { cache, clock };
+};
+
+describe('buildCacheKey', () => {
+  test('normalises the prompt and keeps the settings', () => {
+    const key = buildCacheKey('  A  Red   Ball ', { provider: 'Mock', size: '512x512', seed: 7 });
+    assert.equal(key, 'mock|default|512x512|literal|seed=7|a red ball');
+    assert.deepEqual(parseCacheKey(key), {
+      provider: 'mock',
+      model: 'default',
+      size: '512x512',
+      enhancement: 'literal',
+      options: { seed: '7' },
+      prompt: 'a red ball'
+    });
+  });
+
+  test('keeps a | in the prompt', () => {
+    assert.equal(parseCacheKey(buildCacheKey('cats | dogs')).prompt, 'cats | dogs');
+  });
+});
+
+describe('ImageCache', () => {
+  test('returns stored values and counts hits and misses', async () => {
+    const { cache } = createCache();
+    await cache.set('a', { imageUrl: 'x' });
+    assert.deepEqual(await cache.get('a'), { imageUrl: 'x' });
+    assert.equal(await cache.get('b'), null);
+    const { hits, misses, size } = cache.stats();
+    assert.deepEqual({ hits, misses, size }, { hits: 1, misses: 1, size: 1 });
+  });
+
+  test('evicts the least recently used entry', async () => {
+    const { cache } = createCache({ maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+    assert.equal(await cache.get('b'), null);
+    assert.equal(await cache.get('a'), 1);
+    assert.equal(await cache.get('c'), 3);
+    assert.equal(cache.stats().evictions, 1);
+  });
+
+  test('keeps within the byte limit and skips oversized values', async () => {
+    const { cache } = createCache({ maxBytes: 40 });
+    await cache.set('a', 'x'.repeat(25));
+    await cache.set('b', 'y'.repeat(25));
+    assert.equal(cache.stats().size, 1);
+    await cache.set('c', 'z'.repeat(100));
+    assert.equal(await cache.get('c'), null);
+  });
+
+  test('expires entries after their TTL', async () => {
+    const { cache, clock } = createCache({ ttlMs: 100 });
+    await cache.set('a', 1);
+    await cache.set('b', 2, { ttlMs: 1000 });
+    clock.now += 200;
+    assert.equal(await cache.get('a'), null);
+    assert.equal(await cache.get('b'), 2);
+    assert.equal(cache.stats().expired, 1);
+  });
+
+  test('invalidates by prompt, prefix and age', async () => {
+    const { cache, clock } = createCache();
+    await cache.set(buildCacheKey('a red ball'), 1);
+    await cache.set(buildCacheKey('a red car'), 2);
+    clock.now += 5000;
+    await cache.set(buildCacheKey('a blue ball'), 3);
+
+    assert.equal(await cache.invalidate({ prompt: 'A RED BALL' }), 1);
+    assert.equal(await cache.invalidate({ prefix: 'a ', olderThanMs: 1000 }), 1);
+    assert.deepEqual((await cache.list()).entries.map(entry => entry.prompt), ['a blue ball']);
+  });
+
+  test('rebuilds its index from a persistent backend', async () => {
+    const backend = createMemoryBackend();
+    await new ImageCache({ backend }).set('a', 1);
+    const reopened = new ImageCache({ backend });
+    assert.equal(await reopened.get('a'), 1);
+    assert.equal(await reopened.clear(), 1);
+    assert.equal(await reopened.get('a'), null);
+  });
+});
+
+// Just enough of a KV namespace, refusing metadata over 1024 bytes like KV does
+const createNamespace = () => {
+  const items = new Map();
+  return {
+    get: async (name) => (items.has(name) ? JSON.parse(items.get(name).value) : null),
+    put: async (name, value, { metadata }) => {
+      assert.ok(new TextEncoder().encode(JSON.stringify(metadata)).length <= 1024, 'metadata over 1024 bytes');
+      items.set(name, { value, metadata });
+    },
+    delete: async (name) => {
+      items.delete(name);
+    },
+    list: async ({ prefix }) => ({
+      keys: Array.from(items.entries())
+        .filter(([name]) => name.startsWith(prefix))
+        .map(([name, { metadata }]) => ({ name, metadata })),
+      list_complete: true
+    })
+  };
+};
+
+describe('cache backends', () => {
+  test('KV keeps long keys out of the metadata and reads them back from the value', async () => {
+    const namespace = createNamespace();
+    const key = buildCacheKey(`a ${'very '.repeat(300)}long prompt`);
+    await new ImageCache({ backend: createKVBackend(namespace) }).set(key, 1);
+
+    const reopened = new ImageCache({ backend: createKVBackend(namespace) });
+    assert.deepEqual((await reopened.list()).entries.map(entry => entry.key), [key]);
+    assert.equal(await reopened.get(key), 1);
+  });
+
+  test('the file backend writes access times with the next change only', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'image-cache-'));
+    const filePath = path.join(dir, 'cache.json');
+    const saved = async () => JSON.parse(await readFile(filePath, 'utf8')).entries.a.lastAccessedAt;
+    try {
+      const clock = { now: 1000 };
+      const cache = new ImageCache({ backend: createFileBackend(filePath), now: () => clock.now });
+      await cache.set('a', 1);
+      clock.now = 2000;
+      await cache.get('a');
+      assert.equal(await saved(), 1000);
+      await cache.set('b', 2);
+      assert.equal(await saved(), 2000);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  blendScores,
+  compareImagesLocally,
+  hammingDistance,
+  measureSimilarity,
+  validateScoringOptions
+} from '../localSimilarity.js';
+import { ORANGE_PNG } from './helpers.js';
+
+// RGBA image filled by colourAt(x, y) => [r, g, b, a]
+const image = (width, height, colourAt) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) data.set(colourAt(x, y), (y * width + x) * 4);
+  }
+  return { width, height, data };
+};
+
+const BLACK = [0, 0, 0, 255];
+const WHITE = [255, 255, 255, 255];
+const halves = (left, right) => image(64, 64, x => (x < 32 ? left : right));
+
+describe('measureSimilarity', () => {
+  test('scores identical images 100', () => {
+    const result = measureSimilarity(halves(BLACK, WHITE), halves(BLACK, WHITE));
+    assert.equal(result.score, 100);
+    assert.equal(result.phash.distance, 0);
+  });
+
+  test('keeps the colour match but not the structure of a mirrored image', () => {
+    const mirrored = measureSimilarity(halves(BLACK, WHITE), halves(WHITE, BLACK));
+    assert.equal(mirrored.histogram, 1);
+    assert.ok(mirrored.ssim < 0.5, `ssim ${mirrored.ssim}`);
+    assert.ok(mirrored.score < 70, `score ${mirrored.score}`);
+  });
+
+  test('scores different colours low', () => {
+    assert.ok(measureSimilarity(image(8, 8, () => BLACK), image(8, 8, () => WHITE)).score < 50);
+  });
+
+  test('ignores the image size and puts transparency over white', () => {
+    assert.equal(measureSimilarity(halves(BLACK, WHITE), image(128, 128, x => (x < 64 ? BLACK : WHITE))).score, 100);
+    assert.equal(measureSimilarity(image(8, 8, () => [0, 0, 0, 0]), image(8, 8, () => WHITE)).score, 100);
+  });
+});
+
+describe('compareImagesLocally', () => {
+  test('decodes data URLs', async () => {
+    assert.equal((await compareImagesLocally(ORANGE_PNG, ORANGE_PNG)).score, 100);
+  });
+
+  test('rejects what it cannot decode', async () => {
+    await assert.rejects(compareImagesLocally('data:image/png;base64,AAAA', ORANGE_PNG));
+  });
+});
+
+describe('scoring helpers', () => {
+  test('counts differing hash bits', () => {
+    assert.equal(hammingDistance('00ff', '00ff'), 0);
+    assert.equal(hammingDistance('0000', '000f'), 4);
+  });
+
+  test('blends scores and falls back to whichever is there', () => {
+    assert.equal(blendScores(80, 40), 68);
+    assert.equal(blendScores(80, 40, 0.5), 60);
+    assert.equal(blendScores(null, 40), 40);
+    assert.equal(blendScores(80, null), 80);
+  });
+
+  test('validates scoring options', () => {
+    assert.equal(validateScoringOptions({ scoring: 'blend', localWeight: 0.5 }), null);
+    assert.match(validateScoringOptions({ scoring: 'fast' }), /scoring must be one of/);
+    assert.match(validateScoringOptions({ localWeight: 0.5 }), /needs "scoring": "blend"/);
+    assert.match(validateScoringOptions({ scoring: 'blend', localWeight: 2 }), /from 0 to 1/);
+  });
+});
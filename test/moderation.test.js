@@ -0,0 +1,66 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryModerationLog, createModerator, normalizeForModeration } from '../moderation.js';
+
+const moderator = createModerator();
+
+const blocked = async (prompt) => (await moderator.check(prompt)).blocked;
+
+describe('moderation', () => {
+  test('blocks unsafe prompts in English, Hindi and Hinglish', async () => {
+    for (const prompt of ['a man with a gun', 'a murderer in the dark', 'बंदूक वाला आदमी', 'khoon se bhara kamra', 'smoking weed']) {
+      assert.equal(await blocked(prompt), true, prompt);
+    }
+  });
+
+  test('sees through leetspeak, stretched letters, separators and invisible characters', async () => {
+    for (const prompt of ['k1ll the dragon', 'kiiiill it', 'k.i.l.l', 'k i l l', 'sh1t', 'shiiitty', 'gu\u200bn']) {
+      assert.equal(await blocked(prompt), true, prompt);
+    }
+  });
+
+  test('matches wildcard terms with word endings and compounds', async () => {
+    for (const prompt of ['murderous clown', 'shithead', 'tortured cat', 'weaponry shop', 'bulletproof vest']) {
+      assert.equal(await blocked(prompt), true, prompt);
+    }
+  });
+
+  test('lets harmless prompts through', async () => {
+    for (const prompt of [
+      'shiitake mushrooms', 'a spicy shitake soup', 'pulling a weed', 'sea weed on the beach', 'weeds in a pot',
+      'a bulletin board', 'a bullet train', 'a blue-footed booby', 'Moby Dick the whale', 'a water gun fight',
+      'a killer whale', 'a skilled painter', 'a glass of milk', 'the assembly hall', 'a method to draw a cat'
+    ]) {
+      assert.equal(await blocked(prompt), false, prompt);
+    }
+  });
+
+  test('does not let an allowed phrase hide a blocked word', async () => {
+    assert.equal(await blocked('shiitake and a gun'), true);
+  });
+
+  test('reports the category and logs the requester', async () => {
+    const log = createMemoryModerationLog();
+    const verdict = await createModerator({ log }).check('a bloody knife', { classroomId: 'c1', studentId: 's1' });
+    assert.equal(verdict.category, 'violence');
+    assert.deepEqual(verdict.matches, ['bloody', 'knife']);
+
+    const { total, entries } = await log.list({ classroomId: 'c1' });
+    assert.equal(total, 1);
+    assert.equal(entries[0].studentId, 's1');
+  });
+
+  test('takes extra terms and falls back to the blocklist when the classifier fails', async () => {
+    const custom = createModerator({
+      blockTerms: { custom: ['zombie*'] },
+      allowTerms: ['friendly zombie'],
+      classifier: async () => { throw new Error('down'); }
+    });
+    assert.equal((await custom.check('zombies attack')).category, 'custom');
+    assert.equal((await custom.check('a friendly zombie')).blocked, false);
+  });
+
+  test('normalizes accents and compatibility forms', () => {
+    assert.equal(normalizeForModeration('Ｋíll'), 'kill');
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApiHandler } from '../core.js';
+import { createModerator } from '../moderation.js';
+import { createMemoryRateLimitStore, createRateLimiter, isRefundable, withRateLimit } from '../rateLimiter.js';
+import { jsonRequest } from './helpers.js';
+
+const generate = (headers) => jsonRequest('POST', '/api/generate-image', { prompt: 'a red ball' }, headers);
+
+const createLimiter = (limits) => createRateLimiter({ store: createMemoryRateLimitStore(), limits });
+
+describe('rate limiter', () => {
+  test('rejects once the bucket is empty and refills over time', async () => {
+    const limiter = createLimiter({ ip: { capacity: 2, refillPerMinute: 60 } });
+    assert.equal((await limiter.check(generate(), { ip: '1.2.3.4' }, 0)).headers['RateLimit-Remaining'], '1');
+    assert.equal((await limiter.check(generate(), { ip: '1.2.3.4' }, 0)).error, undefined);
+
+    const { error } = await limiter.check(generate(), { ip: '1.2.3.4' }, 0);
+    assert.equal(error.status, 429);
+    assert.equal(error.headers.get('Retry-After'), '1');
+
+    assert.equal((await limiter.check(generate(), { ip: '5.6.7.8' }, 0)).error, undefined);
+    assert.equal((await limiter.check(generate(), { ip: '1.2.3.4' }, 1000)).error, undefined);
+  });
+
+  test('leaves a classroom behind one IP enough room', async () => {
+    const limiter = createLimiter();
+    for (let i = 0; i < 30; i++) {
+      assert.equal((await limiter.check(generate(), { ip: '1.2.3.4' }, 0)).error, undefined);
+    }
+  });
+
+  test('enforces daily quotas per action', async () => {
+    const limiter = createLimiter({ ip: { dailyGenerate: 1 } });
+    await limiter.check(generate(), { ip: '1.2.3.4' }, 0);
+    const { error } = await limiter.check(generate(), { ip: '1.2.3.4' }, 0);
+    assert.match((await error.json()).error, /Daily generation quota of 1/);
+
+    const compare = jsonRequest('POST', '/api/compare-images', {});
+    assert.equal((await limiter.check(compare, { ip: '1.2.3.4' }, 0)).error, undefined);
+  });
+
+  test('checks student and classroom headers within the token', async () => {
+    const limiter = createLimiter({ student: { capacity: 1 } });
+    const client = { id: 'teacher' };
+    await limiter.check(generate({ 'X-Student-Id': 'ada' }), { client }, 0);
+    assert.equal((await limiter.check(generate({ 'X-Student-Id': 'ada' }), { client }, 0)).error.status, 429);
+    assert.equal((await limiter.check(generate({ 'X-Student-Id': 'bob' }), { client }, 0)).error, undefined);
+    assert.equal((await limiter.check(generate({ 'X-Student-Id': 'a b' }), { client }, 0)).error.status, 400);
+  });
+
+  test('does not count unlimited routes', async () => {
+    const limiter = createLimiter({ ip: { capacity: 1 } });
+    for (let i = 0; i < 3; i++) {
+      assert.deepEqual(await limiter.check(jsonRequest('GET', '/api/health'), { ip: '1.2.3.4' }, 0), { headers: {} });
+    }
+  });
+
+  test('refunds the token and quota of a rejected request', async () => {
+    const limiter = createLimiter({ ip: { capacity: 1, dailyGenerate: 1 } });
+    const { refund } = await limiter.check(generate(), { ip: '1.2.3.4' }, 0);
+    await refund(0);
+    assert.equal((await limiter.check(generate(), { ip: '1.2.3.4' }, 0)).error, undefined);
+  });
+
+  test('withRateLimit refunds validation failures and keeps the charge otherwise', async () => {
+    const limiter = createLimiter({ ip: { capacity: 1, refillPerMinute: 1 } });
+    const limited = withRateLimit(limiter, createApiHandler({ platform: 'test', configuredProviders: 'mock' }));
+
+    for (let i = 0; i < 2; i++) {
+      const invalid = jsonRequest('POST', '/api/generate-image', { prompt: '' });
+      assert.equal((await limited(invalid, null, { ip: '1.2.3.4' })).status, 400);
+    }
+    const served = await limited(generate(), null, { ip: '1.2.3.4' });
+    assert.equal(served.headers.get('RateLimit-Remaining'), '0');
+    assert.equal((await limited(generate(), null, { ip: '1.2.3.4' })).status, 429);
+  });
+
+  test('never refunds moderation blocks or upstream rate limits', async () => {
+    const moderated = createApiHandler({ platform: 'test', configuredProviders: 'mock', moderator: createModerator() });
+    const blocked = await moderated(jsonRequest('POST', '/api/generate-image', { prompt: 'a man with a gun' }));
+    assert.equal(blocked.status, 400);
+    assert.equal(isRefundable(blocked), false);
+    assert.equal(isRefundable(Response.json({ success: false }, { status: 429, headers: { 'Retry-After': '5' } })), false);
+
+    const limiter = createLimiter({ ip: { capacity: 1, refillPerMinute: 1 } });
+    const limited = withRateLimit(limiter, moderated);
+    await limited(jsonRequest('POST', '/api/generate-image', { prompt: 'a man with a gun' }), null, { ip: '1.2.3.4' });
+    assert.equal((await limited(generate(), null, { ip: '1.2.3.4' })).status, 429);
+  });
+
+  test('concurrent checks cannot spend the same token', async () => {
+    const limiter = createLimiter({ ip: { capacity: 3, refillPerMinute: 1 } });
+    const results = await Promise.all(Array.from({ length: 6 }, () => limiter.check(generate(), { ip: '1.2.3.4' }, 0)));
+    assert.equal(results.filter(result => !result.error).length, 3);
+  });
+
+  test('a slow store for one subject does not hold up another', async () => {
+    const memory = createMemoryRateLimitStore();
+    let release;
+    const stalled = new Promise(resolve => { release = resolve; });
+    const store = {
+      get: async (key) => {
+        if (key.includes('1.2.3.4')) await stalled;
+        return memory.get(key);
+      },
+      set: memory.set
+    };
+    const limiter = createRateLimiter({ store });
+
+    const slow = limiter.check(generate(), { ip: '1.2.3.4' }, 0);
+    const other = limiter.check(generate(), { ip: '5.6.7.8' }, 0);
+    const first = await Promise.race([other.then(() => 'other'), new Promise(resolve => setTimeout(resolve, 100, 'stalled'))]);
+    assert.equal(first, 'other');
+    release();
+    assert.equal((await slow).error, undefined);
+  });
+});
@@ -0,0 +1,96 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyStatus, getRetryDelay, parseRetryAfter } from '../responseClassification.js';
+import ImageGenerationLoadBalancer from '../loadbalancer.js';
+import { CLIENT_ID_HEADER, verifyInternalRequest } from '../auth.js';
+import { stubFetch } from './helpers.js';
+
+describe('classifyStatus', () => {
+  test('passes client errors through and retries the rest', () => {
+    assert.equal(classifyStatus(200), 'success');
+    assert.equal(classifyStatus(400), 'client_error');
+    assert.equal(classifyStatus(401), 'client_error');
+    assert.equal(classifyStatus(429), 'retryable');
+    assert.equal(classifyStatus(503), 'retryable');
+  });
+
+  test('counts a 401 from an internal worker as the worker\'s fault', () => {
+    assert.equal(classifyStatus(401, { internal: true }), 'retryable');
+    assert.equal(classifyStatus(400, { internal: true }), 'client_error');
+  });
+});
+
+describe('retry delays', () => {
+  test('parses Retry-After seconds and dates', () => {
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter(new Date(10000).toUTCString(), 4000), 6000);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+
+  test('backs off exponentially up to the cap', () => {
+    assert.equal(getRetryDelay(1, { random: () => 1 }), 250);
+    assert.equal(getRetryDelay(3, { random: () => 1 }), 1000);
+    assert.equal(getRetryDelay(1, { retryAfterMs: 2000, random: () => 1 }), 2000);
+    assert.equal(getRetryDelay(10, { random: () => 1 }), 5000);
+  });
+});
+
+describe('Express load balancer', () => {
+  let restoreFetch = null;
+  afterEach(() => restoreFetch?.());
+
+  test('retries a worker that rejects its signature on another worker', async () => {
+    const calls = [];
+    restoreFetch = stubFetch(async (url) => {
+      calls.push(new URL(url).origin);
+      return url.startsWith('https://a.example')
+        ? Response.json({ success: false, error: 'Direct calls to internal workers are not allowed' }, { status: 401 })
+        : Response.json({ success: true, similarityScore: 70 });
+    });
+    const balancer = new ImageGenerationLoadBalancer({ servers: ['https://a.example', 'https://b.example'] });
+
+    const result = await balancer.compareImages('data:image/png;base64,', 'data:image/png;base64,', 'a cat');
+    assert.equal(result.similarityScore, 70);
+    assert.deepEqual(calls, ['https://a.example', 'https://b.example']);
+    assert.equal(balancer.breakers.get('https://a.example').consecutiveFailures, 1);
+  });
+
+  test('retries a rate limited server without tripping its circuit', async () => {
+    const calls = [];
+    restoreFetch = stubFetch(async (url) => {
+      calls.push(new URL(url).origin);
+      return url.startsWith('https://a.example')
+        ? Response.json({ success: false, error: 'All 1 image API keys are quarantined or over quota' }, { status: 429 })
+        : Response.json({ success: true, similarityScore: 70 });
+    });
+    const balancer = new ImageGenerationLoadBalancer({ servers: ['https://a.example', 'https://b.example'] });
+
+    assert.equal((await balancer.compareImages('', '', '')).similarityScore, 70);
+    assert.deepEqual(calls, ['https://a.example', 'https://b.example']);
+    assert.equal(balancer.breakers.get('https://a.example').consecutiveFailures, 0);
+  });
+
+  test('signs the body and the caller for the workers', async () => {
+    let verified = null;
+    restoreFetch = stubFetch(async (url, init) => {
+      verified = await verifyInternalRequest(new Request(url, init), 'secret') && init.headers[CLIENT_ID_HEADER];
+      return Response.json({ success: true, similarityScore: 70 });
+    });
+    const balancer = new ImageGenerationLoadBalancer({ servers: ['https://a.example'], signingSecret: 'secret' });
+
+    await balancer.compareImages('', '', 'a cat', { clientId: 'teacher' });
+    assert.equal(verified, 'teacher');
+  });
+
+  test('hands other client errors back without retrying', async () => {
+    let calls = 0;
+    restoreFetch = stubFetch(async () => {
+      calls++;
+      return Response.json({ success: false, error: 'Both targetImage and generatedImage are required' }, { status: 400 });
+    });
+    const balancer = new ImageGenerationLoadBalancer({ servers: ['https://a.example', 'https://b.example'] });
+
+    await assert.rejects(balancer.compareImages('', '', ''), { status: 400 });
+    assert.equal(calls, 1);
+  });
+});
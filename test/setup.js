@@ -0,0 +1,10 @@
+/**
+ * Loaded before every test file (see "test" in package.json)
+ * The handlers log every step; that output is dropped so the runner only
+ * reports results (it also trips Node 20's test runner, which reads child
+ * output and results from the same stream). TEST_LOGS=1 keeps the logs.
+ */
+
+if (!process.env.TEST_LOGS) {
+  for (const method of ['log', 'info', 'warn', 'error']) console[method] = () => {};
+}
@@ -0,0 +1,74 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signInternalRequest, verifyInternalRequest } from '../auth.js';
+import worker from '../worker.js';
+import mainWorker from '../main-worker.js';
+import { jsonRequest } from './helpers.js';
+
+const SECRET = 'test-signing-secret';
+const env = { IMAGE_PROVIDER: 'mock', INTERNAL_SIGNING_SECRET: SECRET, MODERATION_ENABLED: 'false' };
+
+const signed = async (method, path, body, secret = SECRET, signedBody = body) =>
+  jsonRequest(method, path, body, await signInternalRequest(secret, {
+    method,
+    path,
+    body: signedBody ? JSON.stringify(signedBody) : ''
+  }));
+
+describe('internal worker', () => {
+  test('serves signed calls', async () => {
+    const response = await worker.fetch(await signed('POST', '/api/generate-image', { prompt: 'a red ball' }), env, {});
+    assert.equal(response.status, 200);
+  });
+
+  test('rejects unsigned and wrongly signed calls', async () => {
+    for (const request of [
+      jsonRequest('POST', '/api/generate-image', { prompt: 'a red ball' }),
+      await signed('POST', '/api/generate-image', { prompt: 'a red ball' }, 'another-secret'),
+      await signed('POST', '/api/generate-image', { prompt: 'a red ball', n: 4 }, SECRET, { prompt: 'a red ball' }),
+      jsonRequest('GET', '/admin/cache')
+    ]) {
+      assert.equal((await worker.fetch(request, env, {})).status, 401);
+    }
+  });
+
+  test('fails closed without INTERNAL_SIGNING_SECRET', async () => {
+    const { INTERNAL_SIGNING_SECRET, ...unsigned } = env;
+    for (const [method, path, body] of [
+      ['POST', '/api/generate-image', { prompt: 'a red ball' }],
+      ['POST', '/admin/cache/invalidate', { all: true }],
+      ['GET', '/api/status']
+    ]) {
+      const response = await worker.fetch(jsonRequest(method, path, body), unsigned, {});
+      assert.equal(response.status, 500, path);
+    }
+    assert.equal((await worker.fetch(jsonRequest('GET', '/api/health'), unsigned, {})).status, 200);
+  });
+});
+
+describe('main worker', () => {
+  test('sends cache changes to every internal worker and adds up what they cleared', async () => {
+    const calls = [];
+    const binding = (answer) => ({
+      fetch: async (request) => {
+        calls.push(await verifyInternalRequest(request, SECRET));
+        return answer();
+      }
+    });
+    const mainEnv = {
+      INTERNAL_SIGNING_SECRET: SECRET,
+      ADMIN_TOKEN: 'admin-token',
+      SERVER1: binding(() => Response.json({ success: true, clearedCount: 2, cache: { backend: 'memory' } })),
+      SERVER2: binding(() => Response.json({ success: true, clearedCount: 3, cache: { backend: 'memory' } })),
+      SERVER3: binding(() => Response.json({ success: false, error: 'Worker exceeded its CPU limit' }, { status: 503 }))
+    };
+
+    const request = jsonRequest('POST', '/admin/cache/clear', { expiredOnly: true }, { Authorization: 'Bearer admin-token' });
+    const response = await mainWorker.fetch(request, mainEnv, {});
+    const body = await response.json();
+    assert.equal(response.status, 502);
+    assert.equal(body.clearedCount, 5);
+    assert.deepEqual(body.workers.map(result => result.status), [200, 200, 503]);
+    assert.deepEqual(calls, [true, true, true]);
+  });
+});
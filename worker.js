@@ -4,253 +4,142 @@
  * Used internally by the main load balancer
  */
 
+import { createApiHandler } from './core.js';
+import { getProviderNames } from './imageProviders.js';
+import { ImageCache, createMemoryBackend, createKVBackend } from './imageCache.js';
+import { createR2BlobStore } from './blobStore.js';
+import { loadConfig } from './config.js';
+import { createKeyPool } from './keyPool.js';
+import { CLIENT_ID_HEADER, verifyInternalRequest } from './auth.js';
+import { createKVModerationLog, createMemoryModerationLog, createModerator } from './moderation.js';
+import { createPromptEnhancer } from './promptEnhancement.js';
+import { createRubric } from './comparisonRubric.js';
+import { createImageInput } from './imageInput.js';
+
 // Basic headers for internal responses (CORS handled at load balancer level)
 const basicHeaders = {
   'Content-Type': 'application/json'
 };
 
-// Round-robin counter for API key selection (per worker instance)
-let apiKeyIndex = 0;
-let comparisonKeyIndex = 0;
+// Configuration, validated on first request (env is only available per request)
+// and kept at module scope like the image cache below
+let workerConfig;
+
+// Key pools (health, quarantine and quotas per key, see keyPool.js), kept at
+// module scope so key health survives across requests in this isolate
+let keyPools;
 
 /**
- * Get next API key using round-robin load balancing from environment
+ * Get the validated configuration for this worker (see config.js)
+ * @throws {Error} When the configuration is invalid
  */
-const getNextApiKey = (env) => {
-  const API_KEYS = [
-    env.IMAGE_ROUTER_API_KEY_1,
-    env.IMAGE_ROUTER_API_KEY_2,
-    env.IMAGE_ROUTER_API_KEY_3,
-    env.IMAGE_ROUTER_API_KEY_4,
-    env.IMAGE_ROUTER_API_KEY_5,
-    env.IMAGE_ROUTER_API_KEY_6,
-    env.IMAGE_ROUTER_API_KEY_7
-  ].filter(key => key);
-  
-  if (API_KEYS.length === 0) {
-    throw new Error('No API keys configured');
+const getConfig = (env) => {
+  if (!workerConfig) {
+    workerConfig = loadConfig(env);
+    workerConfig.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
   }
-  
-  const key = API_KEYS[apiKeyIndex];
-  apiKeyIndex = (apiKeyIndex + 1) % API_KEYS.length;
-  return key;
+  return workerConfig;
 };
 
 /**
- * Get next comparison API key using round-robin load balancing
+ * Get the image and comparison key pools
+ * Keys are every IMAGE_ROUTER_API_KEY_<n> / COMPARISON_API_KEY_<n> secret (or the configured prefixes).
  */
-const getNextComparisonKey = (env) => {
-  const COMPARISON_KEYS = [
-    env.COMPARISON_API_KEY_1,
-    env.COMPARISON_API_KEY_2,
-    env.COMPARISON_API_KEY_3,
-    env.COMPARISON_API_KEY_4,
-    env.COMPARISON_API_KEY_5,
-    env.COMPARISON_API_KEY_6,
-    env.COMPARISON_API_KEY_7,
-    env.COMPARISON_API_KEY_8
-  ].filter(key => key);
-  
-  if (COMPARISON_KEYS.length === 0) {
-    throw new Error('No comparison API keys configured');
+const getKeyPools = (config) => {
+  if (!keyPools) {
+    keyPools = {
+      image: createKeyPool(config.keys.image, { name: 'image', ...config.keyLimits.image }),
+      comparison: createKeyPool(config.keys.comparison, { name: 'comparison', ...config.keyLimits.comparison })
+    };
   }
-  
-  const key = COMPARISON_KEYS[comparisonKeyIndex];
-  comparisonKeyIndex = (comparisonKeyIndex + 1) % COMPARISON_KEYS.length;
-  return key;
+  return keyPools;
 };
 
-const API_URL = 'https://api.imagerouter.io/v1/openai/images/generations';
-const SILICONFLOW_API_URL = 'https://api.siliconflow.com/v1/chat/completions';
-const SILICONFLOW_MODEL = 'Qwen/Qwen3-VL-8B-Instruct';
-
-// Image generation logic using ImageRouter.io API
-const generateImage = async (prompt, env) => {
-  try {
-    if (!prompt || prompt.trim().length === 0) {
-      throw new Error("Prompt cannot be empty");
-    }
-
-    console.log(`🎨 Generating image with ImageRouter.io for prompt: "${prompt}"`);
-
-    // Enhance prompt for exact literal interpretation
-    const enhancedPrompt = `${prompt.trim()}, exactly as described, nothing more nothing less, literal interpretation, precise and accurate`;
-
-    // Get next API key for load balancing
-    const apiKey = getNextApiKey(env);
-
-    // Call ImageRouter.io API with optimized parameters for accuracy
-    const response = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        prompt: enhancedPrompt,
-        model: 'run-diffusion/Juggernaut-Lightning-Flux',
-        n: 1,
-        size: 'auto',
-        quality: 'auto',
-        output_format: 'webp'
-      })
-    });
-
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`ImageRouter.io API error: ${response.status} - ${errorData}`);
-    }
-
-    const data = await response.json();
-    
-    // Extract image URL from response
-    const imageUrl = data?.data?.[0]?.url || data?.url || data?.image_url;
-    
-    if (!imageUrl) {
-      console.error('Unexpected API response:', data);
-      throw new Error('No image URL in API response');
-    }
+// Prompt moderation and its log of blocked prompts, kept at module scope
+let moderation;
 
-    console.log(`✅ Successfully generated image: ${imageUrl}`);
-    return imageUrl;
-    
-  } catch (error) {
-    console.error("❌ Error in generateImage:", error);
-    throw new Error(`Image generation failed: ${error.message}`);
+/**
+ * Get the moderator and the log teachers read (GET /admin/moderation)
+ * The log uses the MODERATION_LOG KV binding when present (shared by every
+ * worker), otherwise isolate memory.
+ */
+const getModeration = (config, env) => {
+  if (!moderation) {
+    const log = env.MODERATION_LOG ? createKVModerationLog(env.MODERATION_LOG) : createMemoryModerationLog();
+    moderation = {
+      log,
+      moderator: config.moderation.enabled ? createModerator({ ...config.moderation, log }) : null
+    };
   }
+  return moderation;
 };
 
-// Image comparison logic using SiliconFlow API with retry
-const compareImages = async (targetImageData, generatedImageData, originalPrompt, env) => {
-  const maxRetries = 3;
-  const baseDelay = 1000; // 1 second
-  
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      console.log(`🔍 Starting image comparison (attempt ${attempt + 1}/${maxRetries})...`);
-
-      // Get next comparison API key for load balancing
-      const apiKey = getNextComparisonKey(env);
-      console.log(`Using API key ending in: ...${apiKey.slice(-8)}`);
-
-    // Build comparison prompt
-    const promptSection = originalPrompt ? `✏️ SECOND: Generated (prompt: "${originalPrompt}")` : '✏️ SECOND: Generated image';
-    const comparisonPrompt = `Compare these two images:
-🎯 FIRST: Target image (jo banana hai)
-${promptSection}
-
-Note: Use simple, playful Hinglish (Hindi + English) suitable for a 5-8 year old child.
-Note: Keep all suggestions simple and actionable, giving short English prompt examples where needed.
-
-Format EXACTLY as:
-SIMILARITY SCORE: [number]%
-VISUAL DIFFERENCES: [max 70 simple words brief analysis in Hinglish for 5-8 year boy]
-PROMPT IMPROVEMENTS: [max 70 simple words - target image jaisa image banane ke liye prompt me kya add/change karein, specific suggestions with English prompt examples in Hinglish for 5-8 year boy]`;
-
-    // Build request payload
-    const requestPayload = {
-      model: SILICONFLOW_MODEL,
-      messages: [{
-        role: 'user',
-        content: [
-          { type: 'text', text: comparisonPrompt },
-          { type: 'image_url', image_url: { url: targetImageData } },
-          { type: 'image_url', image_url: { url: generatedImageData } }
-        ]
-      }],
-      max_tokens: 800,
-      temperature: 0.2,
-      stream: false
-    };
-
-    console.log('📤 Sending request to SiliconFlow API...');
-
-    // Call SiliconFlow API
-    const response = await fetch(SILICONFLOW_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestPayload)
-    });
+// Image cache, created on first request (env is only available per request)
+// and kept at module scope so it survives across requests in this isolate
+let imageCache;
 
-    if (!response.ok) {
-      const errorData = await response.text();
-      const statusCode = response.status;
-      
-      // Check if it's a 503 error that we should retry
-      if (statusCode === 503 && attempt < maxRetries - 1) {
-        const delay = baseDelay * Math.pow(2, attempt); // Exponential backoff: 1s, 2s, 4s
-        console.log(`⏳ API busy (503), retrying in ${delay}ms with next API key...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        continue; // Try again with next API key
-      }
-      
-      throw new Error(`SiliconFlow API error: ${statusCode} - ${errorData}`);
-    }
+/**
+ * Get the image cache for this worker
+ * Uses the IMAGE_CACHE KV binding when present, otherwise isolate memory.
+ * IMAGE_CACHE_BACKEND = "kv" | "memory" | "none" overrides the choice.
+ */
+const getImageCache = (env) => {
+  if (imageCache !== undefined) return imageCache;
 
-    const data = await response.json();
-    console.log('✅ Received response from SiliconFlow');
+  const backendName = env.IMAGE_CACHE_BACKEND || (env.IMAGE_CACHE ? 'kv' : 'memory');
 
-    // Extract and parse response
-    const aiResponse = data?.choices?.[0]?.message?.content || '';
-    
-    if (!aiResponse) {
-      throw new Error('No content in API response');
-    }
+  if (backendName === 'none') {
+    imageCache = null;
+    return imageCache;
+  }
 
-    // Parse response
-    let similarityScore = null;
-    let keyDifferences = '';
-    let promptImprovements = '';
+  if (backendName === 'kv' && !env.IMAGE_CACHE) {
+    console.warn('⚠️ IMAGE_CACHE_BACKEND is "kv" but no IMAGE_CACHE binding exists, using memory');
+  }
 
-    const scoreMatch = aiResponse.match(/SIMILARITY\s+SCORE:\s*(\d+)%/i);
-    if (scoreMatch) {
-      similarityScore = parseInt(scoreMatch[1], 10);
-    }
+  imageCache = new ImageCache({
+    backend: backendName === 'kv' && env.IMAGE_CACHE ? createKVBackend(env.IMAGE_CACHE) : createMemoryBackend(),
+    maxEntries: Number(env.IMAGE_CACHE_MAX_ENTRIES) || undefined,
+    maxBytes: Number(env.IMAGE_CACHE_MAX_BYTES) || undefined,
+    ttlMs: env.IMAGE_CACHE_TTL_SECONDS !== undefined ? Number(env.IMAGE_CACHE_TTL_SECONDS) * 1000 : undefined
+  });
 
-    const diffMatch = aiResponse.match(/VISUAL\s+DIFFERENCES:\s*(.+?)(?=PROMPT\s+IMPROVEMENTS:|$)/is);
-    if (diffMatch) {
-      keyDifferences = diffMatch[1].trim();
-    }
+  return imageCache;
+};
 
-    const improvMatch = aiResponse.match(/PROMPT\s+IMPROVEMENTS:\s*(.+?)$/is);
-    if (improvMatch) {
-      promptImprovements = improvMatch[1].trim();
-    }
+/**
+ * Get the image blob store for this worker
+ * Needs the IMAGES R2 binding, which every worker shares, so an image stored
+ * by one worker can be served by any other. IMAGE_BLOB_STORE = "none" disables it.
+ */
+const getBlobStore = (env) => {
+  if (!env.IMAGES || env.IMAGE_BLOB_STORE === 'none') return null;
+  return createR2BlobStore(env.IMAGES);
+};
 
-    return {
-      success: true,
-      similarityScore,
-      fullResponse: aiResponse,
-      keyDifferences,
-      promptImprovements,
-      metadata: {
-        model: SILICONFLOW_MODEL,
-        provider: 'SiliconFlow',
-        timestamp: new Date().toISOString(),
-        attempt: attempt + 1
-      }
-    };
+// Status fields specific to the Workers runtime
+const getWorkerStatus = (request) => {
+  const cf = {
+    colo: request.cf?.colo || 'Unknown',
+    country: request.cf?.country || 'Unknown',
+    city: request.cf?.city || 'Unknown'
+  };
 
-    } catch (error) {
-      console.error(`❌ Image comparison error (attempt ${attempt + 1}):`, error.message);
-      
-      // If this is the last attempt, throw the error
-      if (attempt === maxRetries - 1) {
-        throw new Error(`Image comparison failed after ${maxRetries} attempts: ${error.message}`);
-      }
-      
-      // Otherwise, wait and try again with next API key
-      const delay = baseDelay * Math.pow(2, attempt);
-      console.log(`⏳ Retrying in ${delay}ms...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
+  return {
+    deployment: {
+      region: cf.colo,
+      country: cf.country,
+      city: cf.city,
+      edgeLocation: 'Global CDN'
+    },
+    features: {
+      imageGeneration: 'enabled',
+      multipleFormats: 'enabled',
+      globalEdge: 'enabled',
+      cors: 'enabled',
+      streaming: 'enabled'
     }
-  }
-  
-  // This should never be reached, but just in case
-  throw new Error('Image comparison failed: Maximum retries exceeded');
+  };
 };
 
 // Main request handler
@@ -267,66 +156,96 @@ async function handleRequest(request, env) {
     });
   }
 
-  try {
-    // Route handling
-    if (path === '/' && method === 'GET') {
-      return handleRoot(request);
-    }
-    
-    if (path === '/api/health' && method === 'GET') {
-      return handleHealth();
-    }
-    
-    if (path === '/api/status' && method === 'GET') {
-      return handleStatus(env);
-    }
-    
-    if (path === '/api/generate-image' && method === 'POST') {
-      return handleGenerateImage(request, env);
-    }
-    
-    if (path === '/api/generate-image-stream' && method === 'POST') {
-      return handleGenerateImageStream(request, env);
+  if (path === '/' && method === 'GET') {
+    return handleRoot(request);
+  }
+
+  // Only the load balancers may call the API: they sign every request with the
+  // shared INTERNAL_SIGNING_SECRET (see auth.js). Without the secret a worker
+  // cannot tell them from the public, so it refuses everything. Health checks stay open.
+  if (path !== '/api/health') {
+    if (!env.INTERNAL_SIGNING_SECRET) {
+      console.error('❌ INTERNAL_SIGNING_SECRET is not set, refusing API calls');
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Worker is not configured (INTERNAL_SIGNING_SECRET is missing)'
+      }), {
+        status: 500,
+        headers: basicHeaders
+      });
     }
-    
-    if (path === '/api/compare-images' && method === 'POST') {
-      return handleCompareImages(request, env);
+
+    if (!(await verifyInternalRequest(request, env.INTERNAL_SIGNING_SECRET))) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Direct calls to internal workers are not allowed'
+      }), {
+        status: 401,
+        headers: basicHeaders
+      });
     }
-    
-    // 404 for unknown routes
-    return new Response(JSON.stringify({
-      success: false,
-      error: 'Route not found',
-      availableEndpoints: [
-        'GET /',
-        'GET /api/health',
-        'GET /api/status',
-        'POST /api/generate-image',
-        'POST /api/generate-image-stream',
-        'POST /api/compare-images'
-      ]
-    }), {
-      status: 404,
-      headers: {
-        'Content-Type': 'application/json',
-        ...basicHeaders
-      }
-    });
-    
+  }
+
+  let config;
+  try {
+    config = getConfig(env);
   } catch (error) {
-    console.error('Global error handler:', error);
+    console.error(`❌ ${error.message}`);
     return new Response(JSON.stringify({
       success: false,
-      error: 'Internal server error',
-      message: error.message
+      error: 'Worker configuration is invalid',
+      details: error.message
     }), {
       status: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        ...basicHeaders
-      }
+      headers: basicHeaders
     });
   }
+
+  const pools = getKeyPools(config);
+  const { moderator, log: moderationLog } = getModeration(config, env);
+  const blobStore = getBlobStore(env);
+
+  // All /api/* routes are served by the shared core handler
+  const handleApi = createApiHandler({
+    platform: 'Cloudflare Workers',
+    configuredProviders: config.providers.chain,
+    providerEndpoints: config.providers.endpoints,
+    getApiKey: () => pools.image.acquire(),
+    reportApiKey: (key, result) => pools.image.report(key, result),
+    getComparisonKey: () => pools.comparison.acquire(),
+    reportComparisonKey: (key, result) => pools.comparison.report(key, result),
+    comparison: config.providers.comparison,
+    cache: getImageCache(env),
+    blobStore,
+    imageInput: createImageInput({ ...config.imageInput, blobStore }),
+    moderator,
+    moderationLog,
+    generation: config.generation,
+    enhancer: createPromptEnhancer(config.enhancement),
+    rubric: createRubric(config.rubric),
+    imageSafety: config.imageSafety,
+    getStatus: (request) => {
+      const { total: imageTotal, available: imageAvailable } = pools.image.describe();
+      const { total: comparisonTotal, available: comparisonAvailable } = pools.comparison.describe();
+      return {
+        ...getWorkerStatus(request),
+        apiKeys: {
+          image: { total: imageTotal, available: imageAvailable },
+          comparison: { total: comparisonTotal, available: comparisonAvailable }
+        }
+      };
+    },
+    getAdminStatus: () => ({
+      apiKeys: {
+        image: pools.image.describe(),
+        comparison: pools.comparison.describe()
+      }
+    })
+  });
+
+  // The client id is only set (and signed) by the main worker
+  const clientId = request.headers.get(CLIENT_ID_HEADER);
+  return handleApi(request, clientId ? { id: clientId } : null);
 }
 
 // Route handlers
@@ -360,8 +279,19 @@ async function handleRoot(request) {
         path: "/api/generate-image",
         description: "Generate image from text prompt",
         body: {
-          prompt: "string (required, max 1000 characters) - Text description for image generation"
+          prompt: "string (required, max 1000 characters) - Text description for image generation",
+          provider: `string (optional) - one of: ${getProviderNames().join(', ')}`,
+          model: "string (optional) - provider specific model id",
+          size: "string (optional) - e.g. 1024x1024, or aspectRatio such as 3:2",
+          quality: "string (optional) - e.g. auto, high",
+          format: "string (optional) - e.g. webp, png",
+          n: "number (optional) - images to generate",
+          seed: "number (optional) - providers that support seeds",
+          negativePrompt: "string (optional) - what to leave out",
+          enhancement: "string (optional) - literal, kid-friendly-cartoon, none or custom",
+          enhancementTemplate: "string (with enhancement custom) - e.g. pixel art of {prompt}"
         },
+        allowedValues: "GET /api/status (providers.parameters)",
         example: {
           prompt: "a beautiful sunset over mountains with vibrant colors"
         }
@@ -408,372 +338,9 @@ print(response.json())`
   });
 }
 
-async function handleHealth() {
-  return new Response(JSON.stringify({
-    success: true,
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    platform: 'Cloudflare Workers',
-    service: 'AI Image Generation API',
-    version: '1.0.0',
-    uptime: 'Always available (edge computing)'
-  }), {
-    status: 200,
-    headers: {
-      'Content-Type': 'application/json',
-      ...basicHeaders
-    }
-  });
-}
-
-async function handleStatus(env) {
-  const cf = {
-    colo: env?.cf?.colo || 'Unknown',
-    country: env?.cf?.country || 'Unknown',
-    city: env?.cf?.city || 'Unknown'
-  };
-  
-  return new Response(JSON.stringify({
-    success: true,
-    service: 'AI Image Generation API',
-    status: 'operational',
-    platform: 'Cloudflare Workers',
-    version: '1.0.0',
-    deployment: {
-      region: cf.colo,
-      country: cf.country,
-      city: cf.city,
-      edgeLocation: 'Global CDN'
-    },
-    features: {
-      imageGeneration: 'enabled',
-      multipleFormats: 'enabled',
-      globalEdge: 'enabled',
-      cors: 'enabled',
-      streaming: 'enabled'
-    },
-    limits: {
-      requestsPerDay: '100,000',
-      maxPromptLength: '1000 characters',
-      timeout: '30 seconds'
-    },
-    timestamp: new Date().toISOString()
-  }), {
-    status: 200,
-    headers: {
-      'Content-Type': 'application/json',
-      ...basicHeaders
-    }
-  });
-}
-
-async function handleGenerateImage(request, env) {
-  try {
-    const contentType = request.headers.get('Content-Type');
-    if (!contentType || !contentType.includes('application/json')) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Content-Type must be application/json'
-      }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          ...basicHeaders
-        }
-      });
-    }
-
-    const body = await request.json().catch(() => null);
-    if (!body) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Invalid JSON in request body'
-      }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          ...basicHeaders
-        }
-      });
-    }
-
-    const { prompt } = body;
-    
-    // Validation
-    if (!prompt) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Prompt is required'
-      }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          ...basicHeaders
-        }
-      });
-    }
-    
-    if (typeof prompt !== 'string') {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Prompt must be a string'
-      }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          ...basicHeaders
-        }
-      });
-    }
-    
-    if (prompt.trim().length === 0) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Prompt cannot be empty'
-      }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          ...basicHeaders
-        }
-      });
-    }
-    
-    if (prompt.length > 1000) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Prompt too long (max 1000 characters)'
-      }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          ...basicHeaders
-        }
-      });
-    }
-    
-    console.log(`🎨 Generating image for prompt: "${prompt}"`);
-    
-    // Generate image
-    const imageUrl = await generateImage(prompt, env);
-    
-    console.log(`✅ Image generated successfully: ${imageUrl}`);
-    
-    return new Response(JSON.stringify({
-      success: true,
-      imageUrl: imageUrl,
-      prompt: prompt,
-      timestamp: new Date().toISOString(),
-      generatedBy: 'ImageRouter.io (Juggernaut-Lightning-Flux)',
-      platform: 'Cloudflare Workers'
-    }), {
-      status: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        ...basicHeaders
-      }
-    });
-    
-  } catch (error) {
-    console.error('❌ Error generating image:', error);
-    
-    return new Response(JSON.stringify({
-      success: false,
-      error: error.message || 'Failed to generate image',
-      timestamp: new Date().toISOString()
-    }), {
-      status: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        ...basicHeaders
-      }
-    });
-  }
-}
-
-async function handleGenerateImageStream(request, env) {
-  try {
-    const body = await request.json().catch(() => null);
-    if (!body || !body.prompt) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Valid prompt is required'
-      }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          ...basicHeaders
-        }
-      });
-    }
-
-    const { prompt } = body;
-    
-    // Validation
-    if (typeof prompt !== 'string' || prompt.trim().length === 0) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Valid prompt is required'
-      }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          ...basicHeaders
-        }
-      });
-    }
-    
-    // For Workers, we'll return immediate result since streaming is complex
-    // In a real implementation, you might use Durable Objects for state management
-    try {
-      const imageUrl = await generateImage(prompt, env);
-      
-      return new Response(JSON.stringify({
-        success: true,
-        imageUrl: imageUrl,
-        prompt: prompt,
-        timestamp: new Date().toISOString(),
-        generatedBy: 'ImageRouter.io (Juggernaut-Lightning-Flux)',
-        platform: 'Cloudflare Workers',
-        note: 'Streaming simplified for Workers environment'
-      }), {
-        status: 200,
-        headers: {
-          'Content-Type': 'application/json',
-          ...basicHeaders
-        }
-      });
-      
-    } catch (error) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: error.message
-      }), {
-        status: 500,
-        headers: {
-          'Content-Type': 'application/json',
-          ...basicHeaders
-        }
-      });
-    }
-    
-  } catch (error) {
-    console.error('❌ Error in stream endpoint:', error);
-    return new Response(JSON.stringify({
-      success: false,
-      error: error.message || 'Failed to generate image'
-    }), {
-      status: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        ...basicHeaders
-      }
-    });
-  }
-}
-
-async function handleCompareImages(request, env) {
-  try {
-    const contentType = request.headers.get('Content-Type');
-    if (!contentType || !contentType.includes('application/json')) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Content-Type must be application/json'
-      }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          ...basicHeaders
-        }
-      });
-    }
-
-    const body = await request.json().catch(() => null);
-    if (!body) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Invalid JSON in request body'
-      }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          ...basicHeaders
-        }
-      });
-    }
-
-    const { targetImage, generatedImage, originalPrompt } = body;
-    
-    // Validation
-    if (!targetImage || !generatedImage) {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Both targetImage and generatedImage are required'
-      }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          ...basicHeaders
-        }
-      });
-    }
-    
-    if (typeof targetImage !== 'string' || typeof generatedImage !== 'string') {
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Images must be base64 data URLs'
-      }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          ...basicHeaders
-        }
-      });
-    }
-    
-    console.log(`🔍 Comparing images${originalPrompt ? ` for prompt: "${originalPrompt}"` : ''}`);
-    
-    // Compare images
-    const result = await compareImages(targetImage, generatedImage, originalPrompt || '', env);
-    
-    console.log(`✅ Image comparison completed: ${result.similarityScore}%`);
-    
-    return new Response(JSON.stringify({
-      success: true,
-      similarityScore: result.similarityScore,
-      fullResponse: result.fullResponse,
-      keyDifferences: result.keyDifferences,
-      promptImprovements: result.promptImprovements,
-      metadata: result.metadata,
-      platform: 'Cloudflare Workers'
-    }), {
-      status: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        ...basicHeaders
-      }
-    });
-    
-  } catch (error) {
-    console.error('❌ Error comparing images:', error);
-    
-    return new Response(JSON.stringify({
-      success: false,
-      error: error.message || 'Failed to compare images',
-      timestamp: new Date().toISOString()
-    }), {
-      status: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        ...basicHeaders
-      }
-    });
-  }
-}
-
 // Main export for Cloudflare Workers
 export default {
   async fetch(request, env, ctx) {
     return handleRequest(request, env);
   }
-};
\ No newline at end of file
+};